@@ -2,16 +2,48 @@
 var constants = require('./lib/constants');
 exports.amf0Types = constants.amf0Types;
 exports.amf3Types = constants.amf3Types;
+exports.MOVIECLIP = constants.MOVIECLIP;
+exports.UNSUPPORTED = constants.UNSUPPORTED;
+exports.RECORDSET = constants.RECORDSET;
 
 exports.read = require('./lib/read');
 exports.write = require('./lib/write');
 exports.remoting = require('./lib/remoting');
+exports.RemotingClient = require('./lib/client').RemotingClient;
+exports.messages = require('./lib/messages');
+exports.Writer = require('./lib/writer');
+exports.AMFDecodeError = require('./lib/errors').AMFDecodeError;
+exports.AMFEncodeError = require('./lib/errors').AMFEncodeError;
+exports.RemotingFault = require('./lib/errors').RemotingFault;
+exports.defaultLimits = require('./lib/limits').defaults;
+exports.AMFNumber = require('./lib/numbers').AMFNumber;
+exports.int = require('./lib/numbers').int;
+exports.uint = require('./lib/numbers').uint;
+exports.double = require('./lib/numbers').double;
+exports.DecodeStream = require('./lib/stream').DecodeStream;
+exports.decodeValues = require('./lib/stream').decodeValues;
+exports.EncodeStream = require('./lib/stream').EncodeStream;
+exports.toTypedJSON = require('./lib/typed').toTypedJSON;
+exports.fromTypedJSON = require('./lib/typed').fromTypedJSON;
+exports.notation = require('./lib/notation');
+exports.dump = require('./lib/dump').dump;
+exports.formatDump = require('./lib/dump').formatDump;
+exports.diff = require('./lib/diff').diff;
+exports.formatDiff = require('./lib/diff').formatDiff;
+exports.AMF3Decoder = require('./lib/amf3/decoder').AMF3Decoder;
+exports.AMF3Encoder = require('./lib/amf3/encoder').AMF3Encoder;
+
+var registry = require('./lib/registry');
+var flex = require('./lib/flex');
+exports.registerClassAlias = registry.registerClassAlias;
+exports.getClassByAlias = registry.getClassByAlias;
+exports.registerClass = registry.registerClass;
 
 // High-level helpers with auto-detect (AMF0/AMF3)
 exports.decode = function decode(buffer, options) {
   options = options || {};
   var read = exports.read;
-  var info = { offset: 0 };
+  var info = Object.assign({}, options, { offset: 0 });
   if (options.objectEncoding === 0 || options.objectEncoding === 3) {
     info.version = options.objectEncoding;
   } else {
@@ -24,15 +56,19 @@ exports.decode = function decode(buffer, options) {
 exports.encode = function encode(value, options) {
   options = options || {};
   var write = exports.write;
-  var info = { offset: 0 };
+  var info = Object.assign({}, options, { offset: 0 });
   var version = 0;
   if (options.objectEncoding === 3) version = 3;
   if (options.objectEncoding === 0) version = 0;
   info.version = version;
-  // conservative preallocation; caller may pass a buffer
-  var buf = options.buffer || Buffer.alloc(options.size || 1024 * 1024);
-  write(buf, value, info);
-  return buf.slice(0, info.offset);
+  if (options.buffer) {
+    // caller-supplied Buffer: encode in place and return the used slice
+    write(options.buffer, value, info);
+    return options.buffer.slice(0, info.offset);
+  }
+  var out = new exports.Writer(options.size);
+  write(out, value, info);
+  return out.toBuffer();
 };
 
 // Helper functions for AMF3 support
@@ -53,7 +89,34 @@ exports.createAmf3XML = function (xmlString, isDocument) {
   };
 };
 
+exports.createArrayCollection = flex.createArrayCollection;
+exports.createArrayList = flex.createArrayList;
+exports.createObjectProxy = flex.createObjectProxy;
+
 exports.createAmf3ByteArray = function (buffer) {
   buffer.__amf3__ = true;
   return buffer;
 };
+
+exports.createAmf3Vector = function (values, type, fixed) {
+  // `type` is "int", "uint", "Number" or the element class name of a Vector.<Object>
+  var vector;
+  if (type === 'int') {
+    vector = Int32Array.from(values);
+  } else if (type === 'uint') {
+    vector = Uint32Array.from(values);
+  } else if (type === 'Number') {
+    vector = Float64Array.from(values);
+  } else {
+    vector = Array.from(values);
+    Object.defineProperty(vector, '__vectorType__', { value: type || '', writable: true, configurable: true });
+  }
+  Object.defineProperty(vector, '__fixed__', { value: !!fixed, writable: true, configurable: true });
+  return vector;
+};
+
+exports.createAmf3Dictionary = function (entries, weakKeys) {
+  var dictionary = new Map(entries);
+  Object.defineProperty(dictionary, '__weakKeys__', { value: !!weakKeys, writable: true, configurable: true });
+  return dictionary;
+};
@@ -0,0 +1,224 @@
+'use strict';
+
+var http = require('http');
+var https = require('https');
+var remoting = require('./remoting');
+var Writer = require('./writer');
+
+/**
+ * Module exports.
+ */
+
+exports.RemotingClient = RemotingClient;
+exports.httpTransport = httpTransport;
+
+/**
+ * Calls services on an AMF gateway the way Flash Player's `NetConnection`
+ * does. Calls made in the same tick go out together in one packet, each
+ * answered on its own response URI (`/1`, `/2`, ... for the life of the
+ * client). Options:
+ *
+ *  - `objectEncoding`: `0` (the default) or `3`, for the packet version and
+ *    the call arguments
+ *  - `headers`: `[{ name, mustUnderstand, value }]` sent with every packet
+ *  - `transport`: `function (url, body)` returning a Promise of the response
+ *    Buffer, `httpTransport()` by default
+ *  - `timeout`: for the default transport, in milliseconds
+ *  - the decoding options and limits of `remoting.decodePacket()`, and the
+ *    `write()` options (such as `bigint`) for the calls
+ *
+ * The server may send `AppendToGatewayUrl` and `ReplaceGatewayUrl` headers to
+ * change the URL later packets go to, and `RequestPersistentHeader` ones
+ * (`{ name, mustUnderstand, data }`) to have a header sent from then on.
+ *
+ * @param {String} url The gateway URL.
+ * @param {Object} [options]
+ * @api public
+ */
+
+function RemotingClient (url, options) {
+  options = options || {};
+  this.url = url;
+  this.objectEncoding = options.objectEncoding === 3 ? 3 : 0;
+  this.headers = [];
+  this.transport = options.transport || function (url, body) {
+    return httpTransport(url, body, options);
+  };
+  this.options = options;
+  this.sequence = 0;
+  this.pending = null;
+
+  var self = this;
+  (options.headers || []).forEach(function (header) {
+    self.addHeader(header.name, header.mustUnderstand, header.value);
+  });
+}
+
+/**
+ * Calls `target` (`'Service.method'`) with `args`. The Promise resolves to
+ * the result, or rejects with a `RemotingFault` when the server answers on
+ * `onStatus` (or not at all), with an `AMFEncodeError` when `args` cannot be
+ * encoded, and with the transport's error when the packet could not be sent.
+ * AMF3 calls go out the way Flash Player sends them: a strict Array of AVM+
+ * values in a version 3 packet.
+ *
+ * @param {String} target
+ * @param {...*} args
+ * @return {Promise}
+ * @api public
+ */
+
+RemotingClient.prototype.call = function (target) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  Object.defineProperty(args, '__strict__', { value: true, configurable: true });
+
+  // each call is encoded on its own, so arguments that cannot be only fail
+  // their own call and not the whole batch
+  var message = {
+    targetUri: target,
+    responseUri: '/' + (++this.sequence),
+    body: args,
+    objectEncoding: this.objectEncoding
+  };
+  var bytes;
+  try {
+    var out = new Writer();
+    remoting.writeMessage(out, message, this.options, this.pending ? this.pending.length : 0);
+    bytes = out.toBuffer();
+  } catch (err) {
+    return Promise.reject(err);
+  }
+
+  var self = this;
+  if (!this.pending) {
+    this.pending = [];
+    process.nextTick(function () {
+      var batch = self.pending;
+      self.pending = null;
+      self._send(batch);
+    });
+  }
+
+  var pending = this.pending;
+  return new Promise(function (resolve, reject) {
+    pending.push({ message: message, bytes: bytes, resolve: resolve, reject: reject });
+  });
+};
+
+/**
+ * Sends a header with every packet from now on, replacing any header of the
+ * same name; leaving out `value` removes it instead.
+ *
+ * @param {String} name
+ * @param {Boolean} [mustUnderstand]
+ * @param {*} [value]
+ * @api public
+ */
+
+RemotingClient.prototype.addHeader = function (name, mustUnderstand, value) {
+  this.headers = this.headers.filter(function (header) {
+    return header.name !== name;
+  });
+  if (undefined === value) return;
+  this.headers.push({ name: name, mustUnderstand: !!mustUnderstand, value: value });
+};
+
+RemotingClient.prototype._send = function (batch) {
+  var self = this;
+  var request = {
+    version: this.objectEncoding,
+    headers: this.headers.map(function (header) {
+      return Object.assign({ objectEncoding: self.objectEncoding }, header);
+    }),
+    messages: batch.map(function (entry) {
+      return entry.message;
+    })
+  };
+
+  var sent;
+  try {
+    // the messages go in as they were encoded by `call()`
+    var packet = remoting.encodePacket(Object.assign({}, request, {
+      messages: batch.map(function (entry) {
+        return entry.bytes;
+      })
+    }), this.options);
+    sent = Promise.resolve(this.transport(this.url, packet));
+  } catch (err) {
+    sent = Promise.reject(err);
+  }
+
+  sent.then(function (body) {
+    var response = remoting.decodePacket(body, self.options);
+    self._applyHeaders(response.headers);
+    remoting.pairResponses(request, response).calls.forEach(function (call, i) {
+      if (call.error) batch[i].reject(call.error);
+      else batch[i].resolve(call.result);
+    });
+  }).catch(function (err) {
+    batch.forEach(function (entry) {
+      entry.reject(err);
+    });
+  });
+};
+
+// the headers a gateway sends to steer the connection
+RemotingClient.prototype._applyHeaders = function (headers) {
+  var self = this;
+  headers.forEach(function (header) {
+    var value = header.value;
+    if ('AppendToGatewayUrl' === header.name) {
+      self.url += value;
+    } else if ('ReplaceGatewayUrl' === header.name) {
+      self.url = value;
+    } else if ('RequestPersistentHeader' === header.name && value && value.name) {
+      self.addHeader(value.name, value.mustUnderstand, value.data);
+    }
+  });
+};
+
+/**
+ * POSTs `body` to `url` with Node's `http` or `https` module and resolves to
+ * the response body. Responses other than 2xx reject with an Error carrying
+ * the `statusCode`. `options.timeout` aborts requests that take longer (in
+ * milliseconds).
+ *
+ * @param {String} url
+ * @param {Buffer} body
+ * @param {Object} [options]
+ * @return {Promise}
+ * @api public
+ */
+
+function httpTransport (url, body, options) {
+  options = options || {};
+  var client = /^https:/.test(url) ? https : http;
+
+  return new Promise(function (resolve, reject) {
+    var req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-amf', 'Content-Length': body.length }
+    }, function (res) {
+      var chunks = [];
+      res.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      res.on('error', reject);
+      res.on('end', function () {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          var err = new Error('AMF gateway answered with HTTP ' + res.statusCode);
+          err.statusCode = res.statusCode;
+          return reject(err);
+        }
+        resolve(Buffer.concat(chunks));
+      });
+    });
+    req.on('error', reject);
+    if (options.timeout) {
+      req.setTimeout(options.timeout, function () {
+        req.destroy(new Error('AMF gateway did not answer within ' + options.timeout + 'ms'));
+      });
+    }
+    req.end(body);
+  });
+}
@@ -28,6 +28,15 @@ exports.amf0Types = {
   kAvmPlusObjectType: 17
 };
 
+/**
+ * Sentinel values for the AMF0 markers that carry no payload and have no
+ * JavaScript equivalent. `read()` returns them, `write()` accepts them.
+ */
+
+exports.MOVIECLIP = { movieClip: true };
+exports.UNSUPPORTED = { unsupported: true };
+exports.RECORDSET = { recordSet: true };
+
 exports.amf3Types = {
   kUndefinedType:   0,
   kNullType:        1,
@@ -36,10 +45,15 @@ exports.amf3Types = {
   kIntegerType:     4,
   kDoubleType:      5,
   kStringType:      6,
-  kXMLType:         7,
+  kXMLType:         7, // legacy flash.xml.XMLDocument
   kDateType:        8,
   kArrayType:       9,
   kObjectType:     10,
-  kAvmPlusXmlType: 11,
-  kByteArrayType:  12
+  kAvmPlusXmlType: 11, // E4X XML
+  kByteArrayType:  12,
+  kVectorIntType:    13,
+  kVectorUintType:   14,
+  kVectorDoubleType: 15,
+  kVectorObjectType: 16,
+  kDictionaryType:   17
 };
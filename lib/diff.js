@@ -0,0 +1,374 @@
+
+/**
+ * Module dependencies.
+ */
+
+var typed = require('./typed');
+var notation = require('./notation');
+var formatPath = require('./errors').formatPath;
+
+/**
+ * Module exports.
+ */
+
+exports.diff = diff;
+exports.formatDiff = formatDiff;
+
+/**
+ * Compares two AMF payloads structurally, down to what a plain decode would
+ * hide: class names, `int` vs `double`, AVM+ switches, which values are
+ * references to the same object, and remoting headers and messages.
+ *
+ * Returns the changes as `{ kind, path, a, b }`, where `kind` is `"added"`,
+ * `"removed"` or `"changed"`, `path` is like `messages[0].body.items[2]`
+ * (`headers.sessionId` for headers), and `a` / `b` describe both sides.
+ *
+ * `options.ignore` skips volatile fields: a member name (`"timestamp"`,
+ * anywhere), a path with `*` for one segment and `**` for any number of them
+ * (`"messages[*].body.token"`), a RegExp tested against the path, a
+ * Function of the path, or an Array of those. The decoding options are
+ * `objectEncoding`, `remoting` and the limits.
+ *
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @param {Object} [options]
+ * @return {Array}
+ * @api public
+ */
+
+function diff (a, b, options) {
+  options = options || {};
+  var decodeOptions = Object.assign({}, options, { annotate: true });
+  var left = typed.decodeTree(a, decodeOptions);
+  var right = typed.decodeTree(b, decodeOptions);
+
+  var ctx = {
+    changes: [],
+    ignored: matcher(options.ignore),
+    targets: new Map(),
+    seen: new Map()
+  };
+  index(ctx, left);
+  index(ctx, right);
+
+  if (left.remoting) {
+    comparePackets(ctx, left.remoting, right.remoting);
+  } else {
+    var version = left.amf === 3 ? 3 : 0;
+    if (left.values || right.values) {
+      compareLists(ctx, left.values || [ left.value ], right.values || [ right.value ], version, []);
+    } else {
+      compare(ctx, left.value, right.value, version, version, []);
+    }
+  }
+  return ctx.changes;
+}
+
+/**
+ * Prints the changes of `diff()`, one per line: `~ path: a -> b`,
+ * `+ path: b` and `- path: a`.
+ *
+ * @param {Array} changes
+ * @return {String}
+ * @api public
+ */
+
+function formatDiff (changes) {
+  return changes.map(function (change) {
+    var path = change.path || '(root)';
+    if ('added' === change.kind) return '+ ' + path + ': ' + change.b;
+    if ('removed' === change.kind) return '- ' + path + ': ' + change.a;
+    return '~ ' + path + ': ' + change.a + ' -> ' + change.b;
+  }).join('\n') + (changes.length ? '\n' : '');
+}
+
+// `options.ignore` as a Function of the path segments
+function matcher (ignore) {
+  var patterns = [].concat(null == ignore ? [] : ignore).map(function (pattern) {
+    if ('function' == typeof pattern) {
+      return function (segments, path) { return pattern(path); };
+    }
+    if (pattern instanceof RegExp) {
+      return function (segments, path) { return pattern.test(path); };
+    }
+    pattern = String(pattern);
+    if (!/[.[\]*]/.test(pattern)) {
+      return function (segments) { return String(segments[segments.length - 1]) === pattern; };
+    }
+    var re = new RegExp('^' + pattern.replace(/[\\^$+?.()|{}[\]]/g, '\\$&')
+      .replace(/\*\*/g, '\u0000').replace(/\*/g, '[^.[\\]]*').replace(/\u0000/g, '.*') + '$');
+    return function (segments, path) { return re.test(path); };
+  });
+  return function (segments, path) {
+    return patterns.some(function (fn) { return fn(segments, path); });
+  };
+}
+
+/**
+ * References.
+ */
+
+// remembers for every reference node the node (and path) it points to.
+// Every top-level value, remoting body and AVM+ switch has tables of its own.
+function index (ctx, doc) {
+  if (doc.remoting) {
+    doc.remoting.headers.forEach(function (header) {
+      walk(ctx, header.value, 0, [ 'headers', header.name ], {});
+    });
+    doc.remoting.messages.forEach(function (message, i) {
+      walk(ctx, message.body, 0, [ 'messages', i, 'body' ], {});
+    });
+  } else {
+    var version = doc.amf === 3 ? 3 : 0;
+    var values = doc.values || [ doc.value ];
+    values.forEach(function (value, i) {
+      walk(ctx, value, version, doc.values ? [ i ] : [], {});
+    });
+  }
+}
+
+function walk (ctx, node, version, segments, table) {
+  if ('avmplus' === node.type) {
+    walk(ctx, node.value, 3, segments, {});
+    return;
+  }
+  if (isReference(node, version)) {
+    ctx.targets.set(node, table[node.ref]);
+    return;
+  }
+  if (node.dump && null != node.dump.index && isObject(node, version)) {
+    table[node.dump.index] = { node: node, path: formatPath(segments) };
+  }
+  children(node, version).forEach(function (child) {
+    walk(ctx, child.node, version, segments.concat(child.key), table);
+  });
+}
+
+function isReference (node, version) {
+  if (version === 0) return 'reference' === node.type;
+  return null != node.ref && 'string' !== node.type;
+}
+
+// whether the node went into the object table
+function isObject (node, version) {
+  if (version === 0) return /^(object|ecma-array|strict-array)$/.test(node.type);
+  return !/^(undefined|null|boolean|int|double|string)$/.test(node.type);
+}
+
+/**
+ * Comparing.
+ */
+
+// the nodes inside `node` with their path segments: members by name, items
+// by index
+function children (node, version) {
+  var list = [];
+  function add (members) {
+    (members || []).forEach(function (member) {
+      list.push({ key: typed.nameValue(member[0]), node: member[1] });
+    });
+  }
+  add(node.sealed);
+  add(node.members);
+  (node.items || []).forEach(function (item, i) {
+    // the numbers of `vector-int`, `vector-uint` and `vector-double`
+    if ('object' != typeof item || !item.type) item = { type: 'element', value: item };
+    list.push({ key: i, node: item });
+  });
+  (node.entries || []).forEach(function (entry, i) {
+    list.push({ key: i, node: { type: 'entry', key: entry[0], value: entry[1] } });
+  });
+  if ('entry' === node.type) {
+    list.push({ key: 'key', node: node.key }, { key: 'value', node: node.value });
+  }
+  (node.external || []).forEach(function (part, i) {
+    list.push({ key: i, node: 'string' == typeof part ? { type: 'bytes', value: part } : part });
+  });
+  return list;
+}
+
+// nodes without children, compared by what they hold
+var SCALARS = /^(undefined|null|boolean|number|int|double|string|long-string|xml|xml-document|date|bytearray|bytes|element|unsupported|movieclip|recordset)$/;
+
+// types that only differ in how AMF0 and AMF3 write them
+var KINDS = { 'number': 'double', 'long-string': 'string', 'strict-array': 'array' };
+
+function kind (node) {
+  return KINDS[node.type] || node.type;
+}
+
+function change (ctx, kind, segments, a, b) {
+  var entry = { kind: kind, path: formatPath(segments) };
+  if (undefined !== a) entry.a = a;
+  if (undefined !== b) entry.b = b;
+  ctx.changes.push(entry);
+}
+
+function compare (ctx, a, b, versionA, versionB, segments) {
+  if (ctx.ignored(segments, formatPath(segments))) return;
+
+  // AVM+ switches: note when only one side made it, then compare the values
+  if ('avmplus' === a.type) {
+    a = a.value;
+    versionA = 3;
+  }
+  if ('avmplus' === b.type) {
+    b = b.value;
+    versionB = 3;
+  }
+  if (versionA !== versionB) change(ctx, 'changed', segments, 'AMF' + versionA, 'AMF' + versionB);
+
+  var targetA = isReference(a, versionA) && ctx.targets.get(a);
+  var targetB = isReference(b, versionB) && ctx.targets.get(b);
+  if (targetA || targetB) {
+    if (targetA && targetB && targetA.path === targetB.path) return;
+    change(ctx, 'changed', segments, summary(ctx, a, versionA), summary(ctx, b, versionB));
+    if (targetA && targetB) return;
+    if (targetA) a = targetA.node;
+    if (targetB) b = targetB.node;
+  }
+
+  // a shared object that is only shared on one side gets compared once
+  var seen = ctx.seen.get(a) || new Set();
+  if (seen.has(b)) return;
+  ctx.seen.set(a, seen);
+  seen.add(b);
+
+  if (kind(a) !== kind(b) || ('int' === a.type) !== ('int' === b.type)) {
+    change(ctx, 'changed', segments, summary(ctx, a, versionA), summary(ctx, b, versionB));
+    return;
+  }
+
+  if (SCALARS.test(a.type)) {
+    if (describe(a, versionA) !== describe(b, versionB)) {
+      change(ctx, 'changed', segments, summary(ctx, a, versionA), summary(ctx, b, versionB));
+    }
+    return;
+  }
+  if (header(a, versionA) !== header(b, versionB)) {
+    change(ctx, 'changed', segments, header(a, versionA), header(b, versionB));
+  }
+
+  pair(children(a, versionA), children(b, versionB), function (kidA, kidB, key) {
+    var path = segments.concat(key);
+    if (kidA && kidB) compare(ctx, kidA.node, kidB.node, versionA, versionB, path);
+    else if (ctx.ignored(path, formatPath(path))) return;
+    else if (kidA) change(ctx, 'removed', path, summary(ctx, kidA.node, versionA));
+    else change(ctx, 'added', path, undefined, summary(ctx, kidB.node, versionB));
+  });
+}
+
+// calls `fn` for the children of both sides with the same key, in order
+function pair (kidsA, kidsB, fn) {
+  var byKey = new Map();
+  kidsB.forEach(function (kid) { byKey.set(String(kid.key), kid); });
+  var keys = new Set();
+  kidsA.forEach(function (kid) {
+    keys.add(String(kid.key));
+    fn(kid, byKey.get(String(kid.key)), kid.key);
+  });
+  kidsB.forEach(function (kid) {
+    if (!keys.has(String(kid.key))) fn(null, kid, kid.key);
+  });
+}
+
+function compareLists (ctx, a, b, version, segments) {
+  pair(a.map(function (node, i) { return { key: i, node: node }; }),
+    b.map(function (node, i) { return { key: i, node: node }; }),
+    function (kidA, kidB, key) {
+      var path = segments.concat(key);
+      if (kidA && kidB) compare(ctx, kidA.node, kidB.node, version, version, path);
+      else if (kidA) change(ctx, 'removed', path, summary(ctx, kidA.node, version));
+      else change(ctx, 'added', path, undefined, summary(ctx, kidB.node, version));
+    });
+}
+
+function comparePackets (ctx, a, b) {
+  if (a.version !== b.version && !ctx.ignored([ 'version' ], 'version')) {
+    change(ctx, 'changed', [ 'version' ], String(a.version), String(b.version));
+  }
+
+  var headersA = a.headers.map(function (header) { return { key: header.name, node: header }; });
+  var headersB = b.headers.map(function (header) { return { key: header.name, node: header }; });
+  pair(headersA, headersB, function (kidA, kidB, name) {
+    var path = [ 'headers', name ];
+    if (ctx.ignored(path, formatPath(path))) return;
+    if (!kidA) return change(ctx, 'added', path, undefined, summary(ctx, kidB.node.value, 0));
+    if (!kidB) return change(ctx, 'removed', path, summary(ctx, kidA.node.value, 0));
+    if (kidA.node.mustUnderstand !== kidB.node.mustUnderstand) {
+      change(ctx, 'changed', path.concat('mustUnderstand'),
+        String(kidA.node.mustUnderstand), String(kidB.node.mustUnderstand));
+    }
+    compare(ctx, kidA.node.value, kidB.node.value, 0, 0, path);
+  });
+
+  pair(entries(a.messages), entries(b.messages), function (kidA, kidB, i) {
+    var path = [ 'messages', i ];
+    if (ctx.ignored(path, formatPath(path))) return;
+    if (!kidA) return change(ctx, 'added', path, undefined, describeMessage(kidB.node));
+    if (!kidB) return change(ctx, 'removed', path, describeMessage(kidA.node));
+    [ 'targetUri', 'responseUri' ].forEach(function (key) {
+      var uri = path.concat(key);
+      if (kidA.node[key] !== kidB.node[key] && !ctx.ignored(uri, formatPath(uri))) {
+        change(ctx, 'changed', uri, JSON.stringify(kidA.node[key]), JSON.stringify(kidB.node[key]));
+      }
+    });
+    compare(ctx, kidA.node.body, kidB.node.body, 0, 0, path.concat('body'));
+  });
+}
+
+function entries (list) {
+  return list.map(function (node, i) { return { key: i, node: node }; });
+}
+
+function describeMessage (message) {
+  return JSON.stringify(message.targetUri) + ' -> ' + JSON.stringify(message.responseUri);
+}
+
+/**
+ * Describing.
+ */
+
+var MAX_SUMMARY = 60;
+
+// a short one-line description of a node, in the AMF notation
+function summary (ctx, node, version) {
+  if (isReference(node, version)) {
+    var target = ctx.targets.get(node);
+    return 'reference to ' + (target ? target.path || '(root)' : '#' + node.ref);
+  }
+  var text = describe(node, version);
+  if (/^(number|int|double)$/.test(node.type)) text = node.type + ' ' + text;
+  return text.length > MAX_SUMMARY ? text.slice(0, MAX_SUMMARY - 3) + '...' : text;
+}
+
+// the whole node in the AMF notation, leaving out how strings were written
+function describe (node, version) {
+  switch (node.type) {
+    case 'string':
+      return JSON.stringify(node.value);
+    case 'element':
+      return String(node.value);
+    case 'bytes':
+      return 'bytes ' + JSON.stringify(node.value);
+    case 'entry':
+      return describe(node.key, version) + ' => ' + describe(node.value, version);
+    default:
+      return notation.formatNode(node, version);
+  }
+}
+
+// what a container is, without its contents: type, class name and flags
+function header (node, version) {
+  var text = kind(node);
+  if (null != node.className) text += '<' + typed.nameValue(node.className) + '>';
+  if ('object' === node.type && version === 3) {
+    var dynamic = null == node.dynamic ? !typed.nameValue(node.className || '') : node.dynamic;
+    if (dynamic && node.className) text += ' dynamic';
+    if (node.external) text += ' external';
+  }
+  if (node.fixed) text += ' fixed';
+  if (node.weakKeys) text += ' weak';
+  if (node.timezone) text += ' tz ' + node.timezone;
+  return text;
+}
@@ -0,0 +1,222 @@
+
+/**
+ * Module dependencies.
+ */
+
+var typed = require('./typed');
+var constants = require('./constants');
+var amf0Types = constants.amf0Types;
+var amf3Types = constants.amf3Types;
+
+/**
+ * Module exports.
+ */
+
+exports.dump = dump;
+exports.formatDump = formatDump;
+
+/**
+ * Decodes `buffer` like `toTypedJSON()` does, with a `dump` on every node
+ * saying where it came from:
+ *
+ *  - `offset` and `end`: the bytes of the node, marker included
+ *  - `marker`: its marker byte
+ *  - `u29`: the U29 header of AMF3 strings, objects, arrays, ...
+ *  - `index`: the reference table entry it was stored at, or, with
+ *    `reference: true`, the one it points to (the string table for AMF3
+ *    strings, the object table otherwise)
+ *  - `traits`: `{ index, reference }` the same for the traits of AMF3 objects
+ *
+ * Remoting packets, headers and messages get `offset`, `end` and the
+ * `length` written in front of their value.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} [options] `objectEncoding`, `remoting`, `offset` and the
+ *   decoding limits.
+ * @return {Object}
+ * @api public
+ */
+
+function dump (buffer, options) {
+  return typed.decodeTree(buffer, Object.assign({}, options, { annotate: true }));
+}
+
+/**
+ * Prints a hexdump of `buffer`, interleaved with the nodes the bytes decode
+ * to. Every byte shows up once, next to the node (or member name, or end
+ * marker) it belongs to.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} [options] the options of `dump()`
+ * @return {String}
+ * @api public
+ */
+
+function formatDump (buffer, options) {
+  var doc = dump(buffer, options);
+  var lines = [];
+  if (doc.remoting) {
+    formatPacket(lines, buffer, doc.remoting);
+  } else {
+    var version = doc.amf === 3 ? 3 : 0;
+    (doc.values || [ doc.value ]).forEach(function (node) {
+      walk(lines, buffer, node, version, null, 0);
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+// one line per 16 bytes, labelled on the first
+function rows (lines, buffer, start, end, label, depth) {
+  var indent = new Array(depth + 1).join('  ');
+  for (var offset = start; offset < end; offset += 16) {
+    var bytes = buffer.slice(offset, Math.min(offset + 16, end)).toString('hex').replace(/(..)(?!$)/g, '$1 ');
+    var line = ('0000000' + offset.toString(16)).slice(-8) + '  ' + pad(bytes, 47);
+    lines.push(offset === start ? line + '  ' + indent + label : line.replace(/\s+$/, ''));
+  }
+}
+
+function pad (str, length) {
+  while (str.length < length) str += ' ';
+  return str;
+}
+
+function walk (lines, buffer, node, version, key, depth) {
+  var d = node.dump;
+  var kids = children(node, version);
+  var cursor = kids.length ? startOf(kids[0]) : d.end;
+  rows(lines, buffer, d.offset, cursor, (null == key ? '' : key + ': ') + describe(node, version), depth);
+
+  kids.forEach(function (kid, i) {
+    rows(lines, buffer, cursor, startOf(kid), gap(node, i), depth + 1);
+    rows(lines, buffer, startOf(kid), kid.node.dump.offset, '(name ' + kid.key + ')', depth + 1);
+    walk(lines, buffer, kid.node, kid.version, kid.key, depth + 1);
+    cursor = kid.node.dump.end;
+  });
+  rows(lines, buffer, cursor, d.end, gap(node, kids.length), depth + 1);
+}
+
+// where a child starts, its name included
+function startOf (kid) {
+  var d = kid.node.dump;
+  return null == d.nameOffset ? d.offset : d.nameOffset;
+}
+
+// the nodes inside `node`, in wire order
+function children (node, version) {
+  var kids = [];
+  function add (list, keyed) {
+    (list || []).forEach(function (entry, i) {
+      if (keyed) kids.push({ key: JSON.stringify(typed.nameValue(entry[0])), node: entry[1], version: version });
+      else kids.push({ key: '[' + i + ']', node: entry, version: version });
+    });
+  }
+
+  if (version === 0) {
+    if ('avmplus' === node.type) kids.push({ key: null, node: node.value, version: 3 });
+    add(node.members, true);
+    add(node.items, false);
+  } else if ('dictionary' === node.type) {
+    node.entries.forEach(function (entry, i) {
+      kids.push({ key: '[' + i + '] key', node: entry[0], version: 3 });
+      kids.push({ key: '[' + i + '] value', node: entry[1], version: 3 });
+    });
+  } else {
+    (node.external || []).forEach(function (part) {
+      if ('string' != typeof part) kids.push({ key: null, node: part, version: 3 });
+    });
+    add(node.sealed, true);
+    add(node.members, true);
+    add(node.items, false);
+  }
+  return kids;
+}
+
+// what the bytes in front of the `i`-th child (or after the last one) are,
+// other than its name
+function gap (node, i) {
+  if (node.external) return '(external bytes)';
+  if ('object' === node.type || 'ecma-array' === node.type) return '(end of members)';
+  if ('array' === node.type && i > 0) return '(end of members)';
+  return '(bytes)';
+}
+
+function describe (node, version) {
+  var d = node.dump;
+  var text = node.type;
+  if (null != node.className) text += '<' + typed.nameValue(node.className) + '>';
+
+  if (null != node.ref) {
+    text += ' -> ' + (version === 3 ? 'objects[' + node.ref + ']' : '#' + node.ref);
+  } else if (node.items) {
+    text += ' length=' + node.items.length + (node.fixed ? ' fixed' : '');
+  } else if (node.entries) {
+    text += ' entries=' + node.entries.length + (node.weakKeys ? ' weak' : '');
+  } else if ('ecma-array' === node.type) {
+    text += ' count=' + node.count;
+  } else if ('avmplus' === node.type) {
+    text += ' (switch to AMF3)';
+  } else if ('bytearray' === node.type) {
+    text += ' length=' + node.value.length / 2;
+  } else if ('object' !== node.type && undefined !== node.value) {
+    text += ' ' + preview(node.value);
+    if (node.timezone) text += ' tz=' + node.timezone;
+  }
+
+  var meta = [];
+  if (version === 0) {
+    if (null != d.index && !d.reference) meta.push('#' + d.index);
+    if (amf0Types.kAvmPlusObjectType === d.marker) meta.push('marker 0x11');
+  } else {
+    var table = amf3Types.kStringType === d.marker ? 'strings' : 'objects';
+    if (d.reference && 'strings' === table) meta.push('-> strings[' + d.index + ']');
+    else if (null != d.index && !d.reference) meta.push(table + '[' + d.index + ']');
+    if (d.traits) meta.push((d.traits.reference ? '-> ' : '') + 'traits[' + d.traits.index + ']');
+    if (null != d.u29) meta.push('u29 0x' + d.u29.toString(16) + ' (' + u29Bits(node, d.u29) + ')');
+  }
+  return meta.length ? text + '  ' + meta.join(' ') : text;
+}
+
+// what the bits of an AMF3 header mean
+function u29Bits (node, u29) {
+  if ((u29 & 1) === 0) return 'reference ' + (u29 >> 1);
+  if ('object' !== node.type) {
+    if ('string' === node.type && u29 === 1) return 'empty string';
+    return 'inline, ' + ('string' === node.type || 'xml' === node.type || 'xml-document' === node.type ||
+      'bytearray' === node.type ? 'byte length ' : 'count ') + (u29 >> 1);
+  }
+  if ((u29 & 2) === 0) return 'inline, traits reference ' + (u29 >> 2);
+  if (u29 & 4) return 'inline, inline traits, externalizable';
+  return 'inline, inline traits, ' + (u29 & 8 ? 'dynamic' : 'sealed') + ', ' + (u29 >> 4) + ' sealed members';
+}
+
+function preview (value) {
+  if ('string' != typeof value) return JSON.stringify(value);
+  var text = JSON.stringify(value.length > 40 ? value.slice(0, 40) : value);
+  return value.length > 40 ? text.slice(0, -1) + '..."' : text;
+}
+
+function formatPacket (lines, buffer, packet) {
+  var d = packet.dump;
+  var first = packet.headers.length ? packet.headers[0].dump.offset : d.offset + 4;
+  rows(lines, buffer, d.offset, first, 'remoting version ' + packet.version + ', ' +
+    packet.headers.length + ' header(s)', 0);
+
+  var cursor = first;
+  packet.headers.forEach(function (header, i) {
+    var label = 'headers[' + i + '] ' + JSON.stringify(header.name) +
+      (header.mustUnderstand ? ' mustUnderstand' : '') + ' length=' + header.dump.length;
+    rows(lines, buffer, header.dump.offset, header.value.dump.offset, label, 0);
+    walk(lines, buffer, header.value, 0, null, 1);
+    cursor = header.dump.end;
+  });
+
+  var next = packet.messages.length ? packet.messages[0].dump.offset : d.end;
+  rows(lines, buffer, cursor, next, packet.messages.length + ' message(s)', 0);
+  packet.messages.forEach(function (message, i) {
+    var label = 'messages[' + i + '] ' + JSON.stringify(message.targetUri) + ' -> ' +
+      JSON.stringify(message.responseUri) + ' length=' + message.dump.length;
+    rows(lines, buffer, message.dump.offset, message.body.dump.offset, label, 0);
+    walk(lines, buffer, message.body, 0, null, 1);
+  });
+}
@@ -0,0 +1,146 @@
+
+/**
+ * Module exports.
+ */
+
+exports.AMFDecodeError = AMFDecodeError;
+exports.AMFEncodeError = AMFEncodeError;
+exports.RemotingFault = RemotingFault;
+exports.formatPath = formatPath;
+exports.moveOffset = moveOffset;
+
+/**
+ * Thrown by `read()`, `decode()`, the AMF3 decoder and `remoting.decodePacket()`
+ * when the input is truncated or malformed.
+ *
+ * @param {String} reason What went wrong, without position information.
+ * @param {Object} [context] `offset`, `marker`, `version`, `path`, `cause`,
+ *   `truncated` when the input simply ended too early (more bytes may fix
+ *   it) and, when a resource limit tripped, its name as `limit`.
+ * @api public
+ */
+
+function AMFDecodeError (reason, context) {
+  init(this, reason, context);
+}
+AMFDecodeError.prototype = Object.create(Error.prototype, {
+  constructor: { value: AMFDecodeError, writable: true, configurable: true }
+});
+AMFDecodeError.prototype.name = 'AMFDecodeError';
+
+/**
+ * Thrown by `write()`, `encode()`, the AMF3 encoder and
+ * `remoting.encodePacket()` when a value cannot be serialized.
+ *
+ * @param {String} reason What went wrong, without position information.
+ * @param {Object} [context] `offset`, `marker`, `version`, `path` and `cause`.
+ * @api public
+ */
+
+function AMFEncodeError (reason, context) {
+  init(this, reason, context);
+}
+AMFEncodeError.prototype = Object.create(Error.prototype, {
+  constructor: { value: AMFEncodeError, writable: true, configurable: true }
+});
+AMFEncodeError.prototype.name = 'AMFEncodeError';
+
+/**
+ * A remoting call that failed: the server answered on `onStatus`, or did not
+ * answer at all. `remoting.pairResponses()` fills in what the server sent,
+ * from an AMF0 status object or a Flex `ErrorMessage` alike.
+ *
+ * @param {String} description What went wrong.
+ * @param {Object} [fault] `code`, `level`, `details`, `rootCause`,
+ *   `extendedData`, the raw status `body`, the Flex `ErrorMessage` it came
+ *   in as `flexMessage`, and the `targetUri` and `responseUri` of the call.
+ * @api public
+ */
+
+function RemotingFault (description, fault) {
+  fault = fault || {};
+  this.code = fault.code || null;
+  this.level = fault.level || 'error';
+  this.description = description;
+  this.details = null == fault.details ? null : fault.details;
+  if (null != fault.rootCause) this.rootCause = fault.rootCause;
+  if (null != fault.extendedData) this.extendedData = fault.extendedData;
+  if (undefined !== fault.body) this.body = fault.body;
+  if (fault.flexMessage) this.flexMessage = fault.flexMessage;
+  this.targetUri = fault.targetUri;
+  this.responseUri = fault.responseUri;
+  this.message = this.code ? this.code + ': ' + description : description;
+  if (Error.captureStackTrace) Error.captureStackTrace(this, RemotingFault);
+}
+RemotingFault.prototype = Object.create(Error.prototype, {
+  constructor: { value: RemotingFault, writable: true, configurable: true }
+});
+RemotingFault.prototype.name = 'RemotingFault';
+
+function init (err, reason, context) {
+  context = context || {};
+  err.reason = reason;
+  err.offset = context.offset;
+  err.marker = context.marker;
+  err.version = context.version;
+  err.path = context.path || '';
+  if (context.limit) err.limit = context.limit;
+  if (context.truncated) err.truncated = true;
+  if (context.cause) err.cause = context.cause;
+
+  var where = [];
+  if (null != err.offset) where.push('offset ' + err.offset);
+  if (null != err.marker) where.push('marker 0x' + ('0' + err.marker.toString(16)).slice(-2));
+  if (null != err.version) where.push('AMF' + err.version);
+  if (err.path) where.push('at ' + err.path);
+  err.message = where.length ? reason + ' (' + where.join(', ') + ')' : reason;
+
+  if (Error.captureStackTrace) Error.captureStackTrace(err, err.constructor);
+}
+
+/**
+ * Returns a copy of `err` with its `offset` shifted by `delta`, for callers
+ * that decode or encode a slice of a larger Buffer or stream.
+ *
+ * @param {AMFDecodeError|AMFEncodeError} err
+ * @param {Number} delta
+ * @return {AMFDecodeError|AMFEncodeError}
+ * @api private
+ */
+
+function moveOffset (err, delta) {
+  if (!delta || null == err.offset) return err;
+  return new err.constructor(err.reason, {
+    offset: err.offset + delta,
+    marker: err.marker,
+    version: err.version,
+    path: err.path,
+    limit: err.limit,
+    truncated: err.truncated,
+    cause: err.cause
+  });
+}
+
+/**
+ * Turns a list of keys and indices into `messages[0].body.args[1]` form.
+ *
+ * @param {Array} segments Strings for property names, Numbers for indices.
+ * @return {String}
+ * @api private
+ */
+
+function formatPath (segments) {
+  var path = '';
+  for (var i = 0; i < segments.length; i++) {
+    var segment = segments[i];
+    // ECMA array keys arrive as Strings
+    if ('number' == typeof segment || /^\d+$/.test(segment)) {
+      path += '[' + segment + ']';
+    } else if (/^[A-Za-z_$][\w$]*$/.test(segment)) {
+      path += (path ? '.' : '') + segment;
+    } else {
+      path += '[' + JSON.stringify(String(segment)) + ']';
+    }
+  }
+  return path;
+}
@@ -0,0 +1,172 @@
+/**
+ * Module dependencies.
+ */
+
+var limits = require('./limits');
+
+/**
+ * Module exports.
+ */
+
+exports.DataInput = DataInput;
+exports.DataOutput = DataOutput;
+
+/**
+ * ByteArray-style reader handed to the `read()` function of a registered
+ * externalizable class (the `IDataInput` of ActionScript's `readExternal()`).
+ *
+ * @param {Buffer} buffer The Buffer being decoded.
+ * @param {Object} info Mutable holder of the current `offset`.
+ * @param {Function} readObject Reads the next AMF3 value, sharing reference tables.
+ * @param {Object} [options] The decoding options, for handlers that honor any.
+ * @api public
+ */
+
+function DataInput (buffer, info, readObject, options) {
+  this.buffer = buffer;
+  this.info = info;
+  this.options = options || {};
+  this._readObject = readObject;
+}
+
+Object.defineProperty(DataInput.prototype, 'bytesAvailable', {
+  get: function () {
+    return this.buffer.length - this.info.offset;
+  }
+});
+
+DataInput.prototype._take = function (n) {
+  var info = this.info;
+  var offset = info.offset;
+  // the bytes count towards the `maxTotalBytes` of the value being decoded
+  if (info.limits) limits.check(info.limits, 'maxTotalBytes', offset + n - info.startOffset);
+  if (offset + n > this.buffer.length) {
+    var err = new RangeError('Attempt to read ' + n + ' bytes past the end of the data');
+    err.truncated = true;
+    err.needed = offset + n;
+    throw err;
+  }
+  info.offset += n;
+  if ('number' == typeof info.byteLength) info.byteLength += n;
+  return offset;
+};
+
+DataInput.prototype.readBoolean = function () {
+  return this.buffer.readUInt8(this._take(1)) !== 0;
+};
+
+DataInput.prototype.readByte = function () {
+  return this.buffer.readInt8(this._take(1));
+};
+
+DataInput.prototype.readUnsignedByte = function () {
+  return this.buffer.readUInt8(this._take(1));
+};
+
+DataInput.prototype.readShort = function () {
+  return this.buffer.readInt16BE(this._take(2));
+};
+
+DataInput.prototype.readUnsignedShort = function () {
+  return this.buffer.readUInt16BE(this._take(2));
+};
+
+DataInput.prototype.readInt = function () {
+  return this.buffer.readInt32BE(this._take(4));
+};
+
+DataInput.prototype.readUnsignedInt = function () {
+  return this.buffer.readUInt32BE(this._take(4));
+};
+
+DataInput.prototype.readFloat = function () {
+  return this.buffer.readFloatBE(this._take(4));
+};
+
+DataInput.prototype.readDouble = function () {
+  return this.buffer.readDoubleBE(this._take(8));
+};
+
+// UInt16 length prefixed UTF-8 string
+DataInput.prototype.readUTF = function () {
+  return this.readUTFBytes(this.readUnsignedShort());
+};
+
+DataInput.prototype.readUTFBytes = function (length) {
+  var offset = this._take(length);
+  return this.buffer.toString('utf8', offset, offset + length);
+};
+
+DataInput.prototype.readBytes = function (length) {
+  if (null == length) length = this.bytesAvailable;
+  var offset = this._take(length);
+  return Buffer.from(this.buffer.slice(offset, offset + length));
+};
+
+DataInput.prototype.readObject = function () {
+  return this._readObject();
+};
+
+/**
+ * ByteArray-style writer handed to the `write()` function of a registered
+ * externalizable class (the `IDataOutput` of ActionScript's `writeExternal()`).
+ *
+ * @param {Writer} out The Writer the AMF data goes to.
+ * @param {Function} writeObject Writes an AMF3 value, sharing reference tables.
+ * @api public
+ */
+
+function DataOutput (out, writeObject) {
+  this.out = out;
+  this._writeObject = writeObject;
+}
+
+DataOutput.prototype.writeBoolean = function (value) {
+  this.out.writeUInt8(value ? 1 : 0);
+};
+
+DataOutput.prototype.writeByte = function (value) {
+  this.out.writeUInt8(value & 0xFF);
+};
+
+DataOutput.prototype.writeShort = function (value) {
+  this.out.writeUInt16BE(value & 0xFFFF);
+};
+
+DataOutput.prototype.writeInt = function (value) {
+  this.out.writeInt32BE(value | 0);
+};
+
+DataOutput.prototype.writeUnsignedInt = function (value) {
+  this.out.writeUInt32BE(value >>> 0);
+};
+
+DataOutput.prototype.writeFloat = function (value) {
+  this.out.writeFloatBE(value);
+};
+
+DataOutput.prototype.writeDouble = function (value) {
+  this.out.writeDoubleBE(value);
+};
+
+// UInt16 length prefixed UTF-8 string
+DataOutput.prototype.writeUTF = function (value) {
+  var length = Buffer.byteLength(value, 'utf8');
+  if (length > 0xFFFF) {
+    throw new RangeError('String too long for writeUTF(): ' + length + ' bytes');
+  }
+  this.out.writeUInt16BE(length);
+  this.out.writeUtf8(value, length);
+};
+
+DataOutput.prototype.writeUTFBytes = function (value) {
+  this.out.writeUtf8(value);
+};
+
+DataOutput.prototype.writeBytes = function (bytes) {
+  this.out.writeBytes(bytes);
+};
+
+DataOutput.prototype.writeObject = function (value) {
+  this._writeObject(value);
+};
@@ -0,0 +1,53 @@
+/**
+ * Externalizable Flex collection classes that BlazeDS, LCDS and AMFPHP
+ * backends use all the time. They are registered out of the box (see
+ * `registry.js`) and decode to the plain Array or Object they wrap, unless the
+ * `keepFlexWrappers` option is set, in which case the wrapper is returned as
+ * `{ __className__, source }` (collections) or `{ __className__, object }`
+ * (ObjectProxy), the same shape the `create*()` helpers build for writing.
+ */
+
+var ARRAY_COLLECTION = 'flex.messaging.io.ArrayCollection';
+var ARRAY_LIST = 'flex.messaging.io.ArrayList';
+var OBJECT_PROXY = 'flex.messaging.io.ObjectProxy';
+
+/**
+ * Module exports.
+ */
+
+exports.handlers = {};
+exports.handlers[ARRAY_COLLECTION] = wrapperHandler('source');
+exports.handlers[ARRAY_LIST] = wrapperHandler('source');
+exports.handlers[OBJECT_PROXY] = wrapperHandler('object');
+
+exports.createArrayCollection = function (source) {
+  return wrap(ARRAY_COLLECTION, 'source', source || []);
+};
+
+exports.createArrayList = function (source) {
+  return wrap(ARRAY_LIST, 'source', source || []);
+};
+
+exports.createObjectProxy = function (object) {
+  return wrap(OBJECT_PROXY, 'object', object || {});
+};
+
+// all three classes serialize their contents as a single AMF3 value
+function wrapperHandler (property) {
+  return {
+    read: function (input, obj) {
+      var value = input.readObject();
+      if (!input.options.keepFlexWrappers) return value;
+      obj[property] = value;
+    },
+    write: function (output, obj) {
+      output.writeObject(obj[property]);
+    }
+  };
+}
+
+function wrap (className, property, value) {
+  var obj = { __amf3__: true, __className__: className };
+  obj[property] = value;
+  return obj;
+}
@@ -0,0 +1,280 @@
+'use strict';
+
+var remoting = require('./remoting');
+var messages = require('./messages');
+var limits = require('./limits');
+var Writer = require('./writer');
+var RemotingFault = require('./errors').RemotingFault;
+
+/**
+ * Module exports.
+ */
+
+exports.createGateway = createGateway;
+
+/**
+ * Creates an AMF gateway: a `function (req, res, next)` to hand to
+ * `http.createServer()` or to mount as connect/express middleware. It decodes
+ * each POSTed packet, calls the function registered for every message's
+ * `targetUri` (`'Service.method'`) with the message's arguments, and answers
+ * on `<responseUri>/onResult` with what it returns (or resolves to), or on
+ * `<responseUri>/onStatus` with what it throws, in the object encoding the
+ * call came in. Every answer is encoded on its own, and one that cannot be
+ * is replaced with a fault for that call.
+ *
+ * `services` maps service names to objects whose methods can be called, or
+ * full `'Service.method'` names to functions; `gateway.register()` adds more
+ * later. Handlers are called with the service as `this`, the call's
+ * arguments, and a last `context` argument: `{ request, headers, message,
+ * packet, addHeader(name, mustUnderstand, value) }`, `headers` having the
+ * value of each packet header by name and `addHeader()` adding one to the
+ * response.
+ *
+ * Flex `RemotingMessage`s are dispatched on their `destination` and
+ * `operation` and answered with an `AcknowledgeMessage` or `ErrorMessage`;
+ * `CommandMessage`s (pings, logins, ...) are acknowledged.
+ *
+ * Options are the decoding options and limits of `remoting.decodePacket()`;
+ * `maxTotalBytes` also caps the request body.
+ *
+ * @param {Object} [services]
+ * @param {Object} [options]
+ * @return {Function}
+ * @api public
+ */
+
+function createGateway (services, options) {
+  options = options || {};
+  var registry = new Map();
+
+  function gateway (req, res, next) {
+    if (req.method !== 'POST') {
+      if (next) return next();
+      res.statusCode = 405;
+      res.setHeader('Allow', 'POST');
+      return res.end();
+    }
+
+    readBody(req, limits.resolve(options).maxTotalBytes).then(function (body) {
+      var packet;
+      try {
+        packet = remoting.decodePacket(body, options);
+      } catch (err) {
+        res.statusCode = 400;
+        res.setHeader('Content-Type', 'text/plain');
+        return res.end(err.message + '\n');
+      }
+      return respond(packet, req).then(function (out) {
+        res.setHeader('Content-Type', 'application/x-amf');
+        res.setHeader('Content-Length', out.length);
+        res.end(out);
+      });
+    }).catch(function (err) {
+      if (next) return next(err);
+      res.statusCode = err.statusCode || 500;
+      res.end();
+    });
+  }
+
+  /**
+   * Makes `service` (an object of methods) callable as `name.method`, or
+   * the function `service` callable as `name` itself (`'Service.method'`).
+   */
+
+  gateway.register = function (name, service) {
+    if ('string' != typeof name || !name) {
+      throw new TypeError('service name must be a non-empty String');
+    }
+    if (!service || ('object' != typeof service && 'function' != typeof service)) {
+      throw new TypeError('service "' + name + '" must be an Object or a Function');
+    }
+    registry.set(name, service);
+    return gateway;
+  };
+
+  /**
+   * Answers an encoded request packet without HTTP, for tests and other
+   * transports. Resolves to the encoded response packet.
+   */
+
+  gateway.handle = function (body, req) {
+    return Promise.resolve().then(function () {
+      return respond(remoting.decodePacket(body, options), req);
+    });
+  };
+
+  function respond (packet, req) {
+    var response = { version: packet.version, headers: [], messages: [] };
+    var context = {
+      request: req,
+      headers: {},
+      packet: packet,
+      addHeader: function (name, mustUnderstand, value) {
+        response.headers.push({ name: name, mustUnderstand: !!mustUnderstand, value: value });
+      }
+    };
+    packet.headers.forEach(function (header) {
+      context.headers[header.name] = header.value;
+    });
+
+    // one call after the other, so a batch can log in before it loads
+    return packet.messages.reduce(function (done, message, i) {
+      return done.then(function () {
+        return answer(message, i, Object.assign({}, context, { message: message }));
+      }).then(function (bytes) {
+        response.messages.push(bytes);
+      });
+    }, Promise.resolve()).then(function () {
+      return remoting.encodePacket(response);
+    });
+  }
+
+  // resolves to the encoded reply to the `i`-th message of `packet`; a result
+  // that cannot be encoded is answered with a fault for this call only
+  function answer (message, i, context) {
+    var body = Array.isArray(message.body) ? message.body : [ message.body ];
+    var flex = body[0] instanceof messages.AbstractMessage ? body[0] : null;
+    // Flash Player sends AMF3 calls in version 3 packets, as AMF0 strict
+    // Arrays of AVM+ values rather than AVM+ bodies
+    var objectEncoding = context.packet.version === 3 || message.objectEncoding === 3 ? 3 : 0;
+
+    function encode (suffix, value) {
+      var out = new Writer();
+      remoting.writeMessage(out, {
+        targetUri: message.responseUri + '/' + suffix,
+        responseUri: 'null',
+        body: value,
+        objectEncoding: objectEncoding
+      }, options, i);
+      return out.toBuffer();
+    }
+
+    var called = flex ? callFlex(flex, context) : invoke(message.targetUri, body, context);
+    return called.then(function (result) {
+      return encode('onResult', flex ? acknowledge(flex, result) : result);
+    }).catch(function (err) {
+      try {
+        return encode('onStatus', flex ? fault(flex, err) : toStatus(err));
+      } catch (e) {
+        // the fault's own details cannot be encoded either: answer with
+        // nothing but its code and description
+        var plain = toPlainFault(err);
+        return encode('onStatus', flex ? fault(flex, plain) : toStatus(plain));
+      }
+    });
+  }
+
+  function callFlex (flex, context) {
+    if (flex instanceof messages.RemotingMessage) {
+      var args = Array.isArray(flex.body) ? flex.body : [ flex.body ];
+      return invoke(flex.destination + '.' + flex.operation, args, context);
+    }
+    if (flex instanceof messages.CommandMessage) return Promise.resolve(null);
+    return Promise.reject(new RemotingFault('Cannot handle a ' + flex.constructor.name, {
+      code: 'Server.Processing'
+    }));
+  }
+
+  // resolves to what the handler for `target` returns, or rejects with
+  // what it throws
+  function invoke (target, args, context) {
+    return new Promise(function (resolve) {
+      var handler = lookup(target);
+      if (!handler) {
+        throw new RemotingFault('No such service or method: ' + target, { code: 'Server.ResourceUnavailable' });
+      }
+      resolve(handler.fn.apply(handler.service, args.concat(context)));
+    });
+  }
+
+  function lookup (target) {
+    var fn = registry.get(target);
+    if ('function' == typeof fn) return { fn: fn, service: undefined };
+
+    var dot = target.lastIndexOf('.');
+    if (dot <= 0) return null;
+    var service = registry.get(target.slice(0, dot));
+    var method = target.slice(dot + 1);
+    // only the service's own methods, never what every Object (or Function) has
+    if (!service || method in Object.prototype || '_' === method[0]) return null;
+    if ('function' == typeof service && method in Function.prototype) return null;
+    fn = service[method];
+    return 'function' == typeof fn ? { fn: fn, service: service } : null;
+  }
+
+  Object.keys(services || {}).forEach(function (name) {
+    gateway.register(name, services[name]);
+  });
+  return gateway;
+}
+
+function acknowledge (flex, result) {
+  var ack = new messages.AcknowledgeMessage(acknowledging(flex, { body: result }));
+  if (flex instanceof messages.CommandMessage &&
+    flex.operation === messages.CommandMessage.CLIENT_PING_OPERATION) {
+    var id = flex.headers && flex.headers.DSId;
+    ack.headers = { DSId: id && 'nil' !== id ? id : messages.createUID() };
+  }
+  return ack;
+}
+
+function fault (flex, err) {
+  var status = toStatus(err);
+  return new messages.ErrorMessage(acknowledging(flex, {
+    body: null,
+    faultCode: status.code,
+    faultString: status.description,
+    faultDetail: null == status.details ? null : status.details,
+    rootCause: err && err.rootCause || null,
+    extendedData: err && err.extendedData || null
+  }));
+}
+
+function acknowledging (flex, fields) {
+  return Object.assign({
+    clientId: flex.clientId,
+    correlationId: flex.messageId,
+    destination: flex.destination,
+    timestamp: Date.now()
+  }, fields);
+}
+
+// an AMF0 status object; RemotingFaults keep their code and details, other
+// errors only say what went wrong
+function toStatus (err) {
+  if (err instanceof RemotingFault) {
+    var status = { level: err.level, code: err.code || 'Server.Processing', description: err.description };
+    if (null != err.details) status.details = err.details;
+    return status;
+  }
+  return { level: 'error', code: 'Server.Processing', description: err instanceof Error ? err.message : String(err) };
+}
+
+// a fault of strings only, which always encodes
+function toPlainFault (err) {
+  var status = toStatus(err);
+  return new RemotingFault(String(status.description), { code: String(status.code) });
+}
+
+function readBody (req, maxBytes) {
+  // already read by a body parser, like express.raw()
+  if (Buffer.isBuffer(req.body)) return Promise.resolve(req.body);
+
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    var length = 0;
+    req.on('data', function (chunk) {
+      length += chunk.length;
+      if (length <= maxBytes) return chunks.push(chunk);
+      // keep draining the request, but without keeping any of it
+      chunks = [];
+      var err = new Error('Request body is over ' + maxBytes + ' bytes');
+      err.status = err.statusCode = 413;
+      reject(err);
+    });
+    req.on('error', reject);
+    req.on('end', function () {
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
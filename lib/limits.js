@@ -0,0 +1,56 @@
+
+/**
+ * Module exports.
+ */
+
+exports.defaults = {
+  // nesting of Objects, Arrays, Vectors and Dictionaries
+  maxDepth: 256,
+  // in bytes, for Strings, long Strings and XML
+  maxStringLength: 16 * 1024 * 1024,
+  // elements of strict Arrays, AMF3 Arrays and Vectors, entries of Dictionaries
+  maxArrayLength: 1024 * 1024,
+  maxByteArrayLength: 64 * 1024 * 1024,
+  // entries in any one reference table (objects, strings or traits)
+  maxReferences: 1024 * 1024,
+  // bytes consumed by one top-level `read()` or one remoting packet
+  maxTotalBytes: 128 * 1024 * 1024
+};
+
+exports.resolve = resolve;
+exports.check = check;
+
+/**
+ * Picks the limits out of a decoding "options" object, falling back to
+ * `defaults` for any that are not set. Pass `Infinity` to lift a limit.
+ *
+ * @param {Object} options
+ * @return {Object}
+ * @api private
+ */
+
+function resolve (options) {
+  var limits = {};
+  for (var name in exports.defaults) {
+    limits[name] = null == options[name] ? exports.defaults[name] : options[name];
+  }
+  return limits;
+}
+
+/**
+ * Throws when `value` goes over the limit called `name`. The thrown Error has
+ * a `limit` property naming it, which `AMFDecodeError` carries over.
+ *
+ * @param {Object} limits
+ * @param {String} name
+ * @param {Number} value
+ * @api private
+ */
+
+function check (limits, name, value) {
+  if (value > limits[name]) {
+    var err = new Error(name + ' exceeded: ' + value + ' > ' + limits[name]);
+    err.limit = name;
+    throw err;
+  }
+}
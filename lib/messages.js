@@ -0,0 +1,489 @@
+/**
+ * The Flex messaging classes BlazeDS and LCDS clients wrap their remoting
+ * calls in. `RemotingMessage`, `CommandMessage`, `AcknowledgeMessage`,
+ * `ErrorMessage` and `AsyncMessage` are registered out of the box (see
+ * `registry.js`) with the sealed members the Java classes have, and so are the
+ * compact "small message" forms servers answer with: `DSK`
+ * (`AcknowledgeMessageExt`), `DSA` (`AsyncMessageExt`) and `DSC`
+ * (`CommandMessageExt`), externalizable classes that say which members follow
+ * in flag bytes.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+var crypto = require('crypto');
+
+/**
+ * Module exports.
+ */
+
+exports.AbstractMessage = AbstractMessage;
+exports.AsyncMessage = AsyncMessage;
+exports.RemotingMessage = RemotingMessage;
+exports.CommandMessage = CommandMessage;
+exports.AcknowledgeMessage = AcknowledgeMessage;
+exports.ErrorMessage = ErrorMessage;
+exports.AsyncMessageExt = AsyncMessageExt;
+exports.AcknowledgeMessageExt = AcknowledgeMessageExt;
+exports.CommandMessageExt = CommandMessageExt;
+exports.createPing = createPing;
+exports.createLogin = createLogin;
+exports.toPacketMessage = toPacketMessage;
+exports.parseResponse = parseResponse;
+exports.createUID = createUID;
+exports.aliases = {};
+exports.handlers = {};
+
+// flags of the small message forms, one byte at a time; the high bit of each
+// byte says whether another one follows
+var HAS_NEXT_FLAG = 0x80;
+
+var BODY_FLAG = 0x01;
+var CLIENT_ID_FLAG = 0x02;
+var DESTINATION_FLAG = 0x04;
+var HEADERS_FLAG = 0x08;
+var MESSAGE_ID_FLAG = 0x10;
+var TIMESTAMP_FLAG = 0x20;
+var TIME_TO_LIVE_FLAG = 0x40;
+var CLIENT_ID_BYTES_FLAG = 0x01;
+var MESSAGE_ID_BYTES_FLAG = 0x02;
+
+var CORRELATION_ID_FLAG = 0x01;
+var CORRELATION_ID_BYTES_FLAG = 0x02;
+
+var OPERATION_FLAG = 0x01;
+
+// the upper case form of Flex's `UIDUtil`
+var UID = /^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/;
+
+/**
+ * Base of every Flex message. `fields` are copied over the defaults, which
+ * include a fresh `messageId`.
+ *
+ * @param {Object} [fields]
+ * @api public
+ */
+
+function AbstractMessage (fields) {
+  this.body = {};
+  this.clientId = null;
+  this.destination = '';
+  this.headers = {};
+  this.messageId = createUID();
+  this.timestamp = 0;
+  this.timeToLive = 0;
+  assign(this, fields);
+}
+
+// written as AMF3 even in an AMF0 body, like Flash Player does
+AbstractMessage.prototype.__amf3__ = true;
+
+/**
+ * A message sent to (or pushed from) a messaging destination. Replies and
+ * command messages extend it with the `correlationId` of the message they
+ * belong to.
+ *
+ * @param {Object} [fields]
+ * @api public
+ */
+
+function AsyncMessage (fields) {
+  AbstractMessage.call(this);
+  this.correlationId = '';
+  assign(this, fields);
+}
+inherits(AsyncMessage, AbstractMessage);
+
+/**
+ * A call of `operation` on the remoting destination `destination`, with the
+ * Array of arguments as its `body`.
+ *
+ * @param {Object} [fields]
+ * @api public
+ */
+
+function RemotingMessage (fields) {
+  AbstractMessage.call(this);
+  this.operation = '';
+  this.source = null;
+  assign(this, fields);
+}
+inherits(RemotingMessage, AbstractMessage);
+
+/**
+ * A message to the messaging infrastructure itself: pings, logins,
+ * subscriptions, ... `operation` is one of the `*_OPERATION` constants.
+ *
+ * @param {Object} [fields]
+ * @api public
+ */
+
+function CommandMessage (fields) {
+  AsyncMessage.call(this);
+  this.operation = CommandMessage.UNKNOWN_OPERATION;
+  assign(this, fields);
+}
+inherits(CommandMessage, AsyncMessage);
+
+CommandMessage.SUBSCRIBE_OPERATION = 0;
+CommandMessage.UNSUBSCRIBE_OPERATION = 1;
+CommandMessage.POLL_OPERATION = 2;
+CommandMessage.CLIENT_SYNC_OPERATION = 4;
+CommandMessage.CLIENT_PING_OPERATION = 5;
+CommandMessage.CLUSTER_REQUEST_OPERATION = 7;
+CommandMessage.LOGIN_OPERATION = 8;
+CommandMessage.LOGOUT_OPERATION = 9;
+CommandMessage.SUBSCRIPTION_INVALIDATE_OPERATION = 10;
+CommandMessage.MULTI_SUBSCRIBE_OPERATION = 11;
+CommandMessage.DISCONNECT_OPERATION = 12;
+CommandMessage.TRIGGER_CONNECT_OPERATION = 13;
+CommandMessage.UNKNOWN_OPERATION = 10000;
+
+/**
+ * The successful reply to a message, with the result as its `body`.
+ *
+ * @param {Object} [fields]
+ * @api public
+ */
+
+function AcknowledgeMessage (fields) {
+  AsyncMessage.call(this);
+  assign(this, fields);
+}
+inherits(AcknowledgeMessage, AsyncMessage);
+
+/**
+ * The reply to a message that failed on the server.
+ *
+ * @param {Object} [fields]
+ * @api public
+ */
+
+function ErrorMessage (fields) {
+  AcknowledgeMessage.call(this);
+  this.extendedData = null;
+  this.faultCode = null;
+  this.faultDetail = null;
+  this.faultString = null;
+  this.rootCause = null;
+  assign(this, fields);
+}
+inherits(ErrorMessage, AcknowledgeMessage);
+
+/**
+ * The small forms, written as externalizable `DSA`, `DSK` and `DSC` objects.
+ * Decoded small messages are instances of these, so they are written back
+ * the way they came in.
+ *
+ * @param {Object} [fields]
+ * @api public
+ */
+
+function AsyncMessageExt (fields) {
+  AsyncMessage.call(this, fields);
+}
+inherits(AsyncMessageExt, AsyncMessage);
+
+function AcknowledgeMessageExt (fields) {
+  AcknowledgeMessage.call(this, fields);
+}
+inherits(AcknowledgeMessageExt, AcknowledgeMessage);
+
+function CommandMessageExt (fields) {
+  CommandMessage.call(this, fields);
+}
+inherits(CommandMessageExt, CommandMessage);
+
+// class aliases and sealed members, in the order BlazeDS writes them
+
+var ABSTRACT_MEMBERS = [ 'body', 'clientId', 'destination', 'headers', 'messageId', 'timeToLive', 'timestamp' ];
+var ASYNC_MEMBERS = ABSTRACT_MEMBERS.concat('correlationId').sort();
+
+alias('flex.messaging.messages.AsyncMessage', AsyncMessage, ASYNC_MEMBERS);
+alias('flex.messaging.messages.AcknowledgeMessage', AcknowledgeMessage, ASYNC_MEMBERS);
+alias('flex.messaging.messages.CommandMessage', CommandMessage, ASYNC_MEMBERS.concat('operation').sort());
+alias('flex.messaging.messages.RemotingMessage', RemotingMessage,
+  ABSTRACT_MEMBERS.concat('operation', 'source').sort());
+alias('flex.messaging.messages.ErrorMessage', ErrorMessage,
+  ASYNC_MEMBERS.concat('extendedData', 'faultCode', 'faultDetail', 'faultString', 'rootCause').sort());
+alias('DSA', AsyncMessageExt);
+alias('DSK', AcknowledgeMessageExt);
+alias('DSC', CommandMessageExt);
+
+exports.handlers.DSA = smallHandler([ readAbstract, readAsync ], [ writeAbstract, writeAsync ]);
+exports.handlers.DSK = smallHandler([ readAbstract, readAsync, readAcknowledge ],
+  [ writeAbstract, writeAsync, writeAcknowledge ]);
+exports.handlers.DSC = smallHandler([ readAbstract, readAsync, readCommand ],
+  [ writeAbstract, writeAsync, writeCommand ]);
+
+function alias (name, Constructor, sealed) {
+  exports.aliases[name] = { Constructor: Constructor, sealed: sealed };
+}
+
+// each class in the chain reads and writes its own flags and members, like
+// the `readExternal()`/`writeExternal()` overrides of the Flex classes
+function smallHandler (readers, writers) {
+  return {
+    read: function (input, obj) {
+      readers.forEach(function (read) {
+        read(input, obj);
+      });
+    },
+    write: function (output, obj) {
+      writers.forEach(function (write) {
+        write(output, obj);
+      });
+    }
+  };
+}
+
+function readAbstract (input, obj) {
+  readFlags(input).forEach(function (flags, i) {
+    var reserved = 0;
+    if (i === 0) {
+      obj.body = flags & BODY_FLAG ? input.readObject() : null;
+      if (flags & CLIENT_ID_FLAG) obj.clientId = input.readObject();
+      if (flags & DESTINATION_FLAG) obj.destination = input.readObject();
+      if (flags & HEADERS_FLAG) obj.headers = input.readObject();
+      if (flags & MESSAGE_ID_FLAG) obj.messageId = input.readObject();
+      if (flags & TIMESTAMP_FLAG) obj.timestamp = input.readObject();
+      if (flags & TIME_TO_LIVE_FLAG) obj.timeToLive = input.readObject();
+      reserved = 7;
+    } else if (i === 1) {
+      if (flags & CLIENT_ID_BYTES_FLAG) obj.clientId = fromBytes(input.readObject());
+      if (flags & MESSAGE_ID_BYTES_FLAG) obj.messageId = fromBytes(input.readObject());
+      reserved = 2;
+    }
+    skipReserved(input, flags, reserved);
+  });
+}
+
+function writeAbstract (output, obj) {
+  var clientIdBytes = toBytes(obj.clientId);
+  var messageIdBytes = toBytes(obj.messageId);
+
+  var flags = 0;
+  if (null != obj.body) flags |= BODY_FLAG;
+  if (null != obj.clientId && !clientIdBytes) flags |= CLIENT_ID_FLAG;
+  if (null != obj.destination) flags |= DESTINATION_FLAG;
+  if (null != obj.headers) flags |= HEADERS_FLAG;
+  if (null != obj.messageId && !messageIdBytes) flags |= MESSAGE_ID_FLAG;
+  if (obj.timestamp) flags |= TIMESTAMP_FLAG;
+  if (obj.timeToLive) flags |= TIME_TO_LIVE_FLAG;
+  if (clientIdBytes || messageIdBytes) flags |= HAS_NEXT_FLAG;
+  output.writeByte(flags);
+
+  var next = 0;
+  if (clientIdBytes) next |= CLIENT_ID_BYTES_FLAG;
+  if (messageIdBytes) next |= MESSAGE_ID_BYTES_FLAG;
+  if (next) output.writeByte(next);
+
+  if (flags & BODY_FLAG) output.writeObject(obj.body);
+  if (flags & CLIENT_ID_FLAG) output.writeObject(obj.clientId);
+  if (flags & DESTINATION_FLAG) output.writeObject(obj.destination);
+  if (flags & HEADERS_FLAG) output.writeObject(obj.headers);
+  if (flags & MESSAGE_ID_FLAG) output.writeObject(obj.messageId);
+  if (flags & TIMESTAMP_FLAG) output.writeObject(obj.timestamp);
+  if (flags & TIME_TO_LIVE_FLAG) output.writeObject(obj.timeToLive);
+  if (clientIdBytes) output.writeObject(clientIdBytes);
+  if (messageIdBytes) output.writeObject(messageIdBytes);
+}
+
+function readAsync (input, obj) {
+  readFlags(input).forEach(function (flags, i) {
+    var reserved = 0;
+    if (i === 0) {
+      if (flags & CORRELATION_ID_FLAG) obj.correlationId = input.readObject();
+      if (flags & CORRELATION_ID_BYTES_FLAG) obj.correlationId = fromBytes(input.readObject());
+      reserved = 2;
+    }
+    skipReserved(input, flags, reserved);
+  });
+}
+
+function writeAsync (output, obj) {
+  var correlationIdBytes = toBytes(obj.correlationId);
+  var flags = 0;
+  if (null != obj.correlationId && !correlationIdBytes) flags |= CORRELATION_ID_FLAG;
+  if (correlationIdBytes) flags |= CORRELATION_ID_BYTES_FLAG;
+  output.writeByte(flags);
+
+  if (flags & CORRELATION_ID_FLAG) output.writeObject(obj.correlationId);
+  if (correlationIdBytes) output.writeObject(correlationIdBytes);
+}
+
+// AcknowledgeMessage has no members of its own, but still has its flags
+function readAcknowledge (input, obj) {
+  readFlags(input).forEach(function (flags) {
+    skipReserved(input, flags, 0);
+  });
+}
+
+function writeAcknowledge (output, obj) {
+  output.writeByte(0);
+}
+
+function readCommand (input, obj) {
+  readFlags(input).forEach(function (flags, i) {
+    var reserved = 0;
+    if (i === 0) {
+      if (flags & OPERATION_FLAG) obj.operation = input.readObject();
+      reserved = 1;
+    }
+    skipReserved(input, flags, reserved);
+  });
+  if (undefined === obj.operation) obj.operation = 0;
+}
+
+function writeCommand (output, obj) {
+  var flags = obj.operation ? OPERATION_FLAG : 0;
+  output.writeByte(flags);
+  if (flags) output.writeObject(obj.operation);
+}
+
+function readFlags (input) {
+  var list = [];
+  var flags;
+  do {
+    flags = input.readUnsignedByte();
+    list.push(flags);
+  } while (flags & HAS_NEXT_FLAG);
+  return list;
+}
+
+// members a newer version of the class added are read and dropped, so the
+// rest of the message still decodes
+function skipReserved (input, flags, reserved) {
+  for (var bit = reserved; bit < 7; bit++) {
+    if ((flags >> bit) & 1) input.readObject();
+  }
+}
+
+/**
+ * Builds the `CommandMessage` a Flex client pings a channel with before
+ * anything else; the server answers with the client id to send as the
+ * `DSId` header from then on.
+ *
+ * @param {Object} [fields] Copied over the message.
+ * @return {CommandMessage}
+ * @api public
+ */
+
+function createPing (fields) {
+  return new CommandMessage(assign({
+    operation: CommandMessage.CLIENT_PING_OPERATION,
+    headers: { DSMessagingVersion: 1, DSId: 'nil' }
+  }, fields));
+}
+
+/**
+ * Builds a login `CommandMessage` carrying `username:password` base64
+ * encoded as UTF-8, as `ChannelSet.login()` does.
+ *
+ * @param {String} username
+ * @param {String} password
+ * @param {Object} [fields] Copied over the message.
+ * @return {CommandMessage}
+ * @api public
+ */
+
+function createLogin (username, password, fields) {
+  return new CommandMessage(assign({
+    operation: CommandMessage.LOGIN_OPERATION,
+    body: Buffer.from(username + ':' + password, 'utf8').toString('base64'),
+    headers: { DSCredentialsCharset: 'UTF-8' }
+  }, fields));
+}
+
+/**
+ * Wraps a message for `remoting.encodePacket()` the way Flex clients send
+ * them: to the target `"null"`, as the only element of a strict Array.
+ *
+ * @param {AbstractMessage} message
+ * @param {String} [responseUri] Defaults to `"/1"`.
+ * @return {Object}
+ * @api public
+ */
+
+function toPacketMessage (message, responseUri) {
+  var body = [ message ];
+  Object.defineProperty(body, '__strict__', { value: true, configurable: true });
+  return { targetUri: 'null', responseUri: responseUri || '/1', body: body };
+}
+
+/**
+ * Makes sense of a decoded reply: an `AcknowledgeMessage` (or `DSK`) gives
+ * `{ type: 'acknowledge', message, correlationId, body }`, an `ErrorMessage`
+ * gives `{ type: 'error', message, correlationId, faultCode, faultString,
+ * faultDetail, rootCause, extendedData }`.
+ *
+ * @param {AcknowledgeMessage} message
+ * @return {Object}
+ * @api public
+ */
+
+function parseResponse (message) {
+  if (message instanceof ErrorMessage) {
+    return {
+      type: 'error',
+      message: message,
+      correlationId: message.correlationId,
+      faultCode: message.faultCode,
+      faultString: message.faultString,
+      faultDetail: message.faultDetail,
+      rootCause: message.rootCause,
+      extendedData: message.extendedData
+    };
+  }
+  if (message instanceof AcknowledgeMessage) {
+    return {
+      type: 'acknowledge',
+      message: message,
+      correlationId: message.correlationId,
+      body: message.body
+    };
+  }
+  throw new TypeError('not a Flex AcknowledgeMessage or ErrorMessage: ' + describe(message));
+}
+
+function describe (value) {
+  if (value && 'object' == typeof value) {
+    return value.__className__ || (value.constructor && value.constructor.name) || 'Object';
+  }
+  return String(value);
+}
+
+function inherits (Child, Parent) {
+  Child.prototype = Object.create(Parent.prototype, {
+    constructor: { value: Child, writable: true, configurable: true }
+  });
+}
+
+function assign (target, fields) {
+  if (fields) Object.keys(fields).forEach(function (key) {
+    target[key] = fields[key];
+  });
+  return target;
+}
+
+// a random (version 4) UUID, without `crypto.randomUUID()` for older Nodes
+function createUID () {
+  var bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0F) | 0x40;
+  bytes[8] = (bytes[8] & 0x3F) | 0x80;
+  return fromBytes(bytes);
+}
+
+// UIDs travel as 16 bytes in the small forms
+function toBytes (uid) {
+  if ('string' != typeof uid || !UID.test(uid)) return null;
+  return Buffer.from(uid.replace(/-/g, ''), 'hex');
+}
+
+function fromBytes (bytes) {
+  if (!Buffer.isBuffer(bytes) || bytes.length !== 16) return null;
+  var hex = bytes.toString('hex').toUpperCase();
+  return [ hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20) ].join('-');
+}
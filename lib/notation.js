@@ -0,0 +1,811 @@
+
+/**
+ * Module dependencies.
+ */
+
+var typed = require('./typed');
+
+/**
+ * Module exports.
+ */
+
+exports.compile = compile;
+exports.decompile = decompile;
+exports.parse = parse;
+exports.format = format;
+exports.formatNode = formatNode;
+
+/**
+ * A small text notation for AMF data, for writing test fixtures by hand and
+ * reading them in reviews:
+ *
+ *     amf3 object<com.ninjasaga.LoginRequest>{ accountId: "x", level: int 5 }
+ *
+ * A document optionally starts with `amf0` (the default) or `amf3`, followed
+ * by one or more values, or is a `remoting <version> { ... }` packet of
+ * `header <name> [mustUnderstand]: <value>` and
+ * `message <targetUri> <responseUri>: <value>` lines (either flagged
+ * `unknown-length`, or `length <n> [skipped "hex"]` for a length that does
+ * not match the value). `#` and `//` start
+ * comments. Values:
+ *
+ *  - `null`, `undefined`, `true`, `false`, `"strings"` (JSON syntax)
+ *  - numbers: in AMF3 an integer literal that fits is an `int`, anything else
+ *    (`5.0`, `1e3`, `NaN`, `-Infinity`) a double; `int 5` and `double 5` say
+ *    so explicitly. In AMF0 every number is a double.
+ *  - `{ name: value, ... }` anonymous objects, `object<com.Class>{ ... }`
+ *    typed ones (in AMF3 members before a `;` are sealed, after it dynamic)
+ *  - `[ ... ]` strict (AMF0) or dense (AMF3) arrays; AMF3 arrays may also
+ *    hold `name: value` members
+ *  - `date "2020-01-01T00:00:00.000Z"`, `xml "<a/>"`, `xmldoc "<a/>"`
+ *  - AMF0 only: `long "..."`, `ecma{ ... }`, `&2` (reference), `amf3 value`
+ *    (switch to AMF3), `unsupported`, `movieclip`, `recordset`
+ *  - AMF3 only: `bytearray "0a0b"`, `vector<int>[1, 2]` (also `uint`,
+ *    `Number` or a class name, plus `fixed`), `dictionary{ key => value }`,
+ *    and `object &2`, `array &0`, ... for references
+ *
+ * It maps one to one onto the nodes of typed JSON (see `typed.js`), so
+ * anything `decompile()` prints compiles back to the same bytes.
+ *
+ * @param {String} text
+ * @return {Buffer}
+ * @api public
+ */
+
+function compile (text) {
+  return typed.encodeTree(parse(text));
+}
+
+/**
+ * Prints AMF data in the notation. Takes the options of `toTypedJSON()`.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @return {String}
+ * @api public
+ */
+
+function decompile (buffer, options) {
+  return format(typed.decodeTree(buffer, options));
+}
+
+/**
+ * Parses the notation into a typed JSON document.
+ *
+ * @param {String} text
+ * @return {Object}
+ * @api public
+ */
+
+function parse (text) {
+  var parser = new Parser(text);
+  var doc;
+  if (parser.accept('remoting')) {
+    doc = { remoting: parser.packet() };
+  } else {
+    var version = parser.accept('amf3') ? 3 : 0;
+    if (!version) parser.accept('amf0');
+    var values = [];
+    do {
+      values.push(parser.value(version));
+    } while (!parser.done());
+    doc = { amf: version };
+    if (values.length === 1) doc.value = values[0];
+    else doc.values = values;
+  }
+  if (!parser.done()) parser.fail('Unexpected ' + parser.describe());
+  return doc;
+}
+
+/**
+ * Tokenizer.
+ */
+
+var TOKEN = new RegExp([
+  '(\\s+|#[^\\n]*|//[^\\n]*)',                             // 1: whitespace, comments
+  '("(?:[^"\\\\\\n]|\\\\.)*")',                             // 2: string
+  '(-?Infinity|-?(?:\\d+(?:\\.\\d*)?|\\.\\d+)(?:[eE][+-]?\\d+)?)', // 3: number
+  '([A-Za-z_$][\\w$.-]*)',                                  // 4: identifier
+  '(=>|[{}\\[\\]()<>,:;&])'                                 // 5: punctuation
+].join('|'), 'g');
+
+function tokenize (text, fail) {
+  var tokens = [];
+  var match;
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    var start = TOKEN.lastIndex;
+    match = TOKEN.exec(text);
+    if (!match || match.index !== start) fail('Unexpected character "' + text[start] + '"', start);
+    if (match[1]) continue;
+    var token = { text: match[0], pos: start };
+    if (match[2]) {
+      token.type = 'string';
+      token.value = JSON.parse(match[2]);
+    } else if (match[3]) {
+      token.type = 'number';
+      token.value = Number(match[3]);
+    } else if (match[4]) {
+      token.type = 'ident';
+    } else {
+      token.type = 'punct';
+    }
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+/**
+ * Parser.
+ */
+
+function Parser (text) {
+  var self = this;
+  this.text = text;
+  this.tokens = tokenize(text, function (message, pos) { self.fail(message, pos); });
+  this.index = 0;
+}
+
+Parser.prototype.fail = function (message, pos) {
+  if (null == pos) pos = this.peek() ? this.peek().pos : this.text.length;
+  var before = this.text.slice(0, pos).split('\n');
+  var err = new SyntaxError(message + ' at line ' + before.length + ', column ' +
+    (before[before.length - 1].length + 1));
+  err.pos = pos;
+  throw err;
+};
+
+Parser.prototype.peek = function (n) {
+  return this.tokens[this.index + (n || 0)];
+};
+
+Parser.prototype.done = function () {
+  return this.index >= this.tokens.length;
+};
+
+Parser.prototype.describe = function () {
+  var token = this.peek();
+  return token ? '"' + token.text + '"' : 'end of input';
+};
+
+// consumes the next token if its text is `text`
+Parser.prototype.accept = function (text) {
+  var token = this.peek();
+  if (token && token.text === text && token.type !== 'string') {
+    this.index++;
+    return true;
+  }
+  return false;
+};
+
+Parser.prototype.expect = function (text) {
+  if (!this.accept(text)) this.fail('Expected "' + text + '" but found ' + this.describe());
+};
+
+Parser.prototype.next = function (type, what) {
+  var token = this.peek();
+  if (!token || token.type !== type) this.fail('Expected ' + what + ' but found ' + this.describe());
+  this.index++;
+  return token;
+};
+
+Parser.prototype.string = function () {
+  return this.next('string', 'a string').value;
+};
+
+Parser.prototype.number = function () {
+  var token = this.peek();
+  if (token && token.type === 'ident' && (token.text === 'NaN' || token.text === 'Infinity')) {
+    this.index++;
+    return token.text;
+  }
+  token = this.next('number', 'a number');
+  return literal(token);
+};
+
+// `&N`
+Parser.prototype.ref = function () {
+  return this.next('number', 'a reference index').value;
+};
+
+// a member name: identifier, number or string, optionally `inline` or
+// followed by `&N` when it wasn't written the usual way
+Parser.prototype.name = function () {
+  var inline = this.peek(1) && this.peek(1).type !== 'punct' && this.accept('inline');
+  var token = this.peek();
+  if (!token || 'punct' === token.type) this.fail('Expected a name but found ' + this.describe());
+  this.index++;
+  var value = token.type === 'string' ? token.value : token.text;
+  if (inline) return { value: value, inline: true };
+  if (this.accept('&')) return { value: value, ref: this.ref() };
+  return value;
+};
+
+// whether a `name:` starts at the current token
+Parser.prototype.atName = function () {
+  var i = 0;
+  var token = this.peek();
+  if (!token || token.type === 'punct') return false;
+  if (token.text === 'inline' && token.type === 'ident' && this.peek(1) && this.peek(1).type !== 'punct') i++;
+  i++;
+  if (this.peek(i) && this.peek(i).text === '&') i += 2;
+  return !!this.peek(i) && this.peek(i).text === ':' && this.peek(i).type === 'punct';
+};
+
+// comma separated entries up to `close` (or up to `stop`, which is left for
+// the caller), each parsed by `fn`
+Parser.prototype.list = function (close, fn, stop) {
+  while (!this.accept(close)) {
+    if (this.done()) this.fail('Expected "' + close + '" but found end of input');
+    if (stop && this.peek().text === stop) return;
+    fn.call(this);
+    if (!this.accept(',')) {
+      if (stop && this.peek() && this.peek().text === stop) return;
+      this.expect(close);
+      return;
+    }
+  }
+};
+
+Parser.prototype.members = function (version, close, members, stop) {
+  this.list(close, function () {
+    var name = this.name();
+    this.expect(':');
+    members.push([ name, this.value(version) ]);
+  }, stop);
+  return members;
+};
+
+Parser.prototype.value = function (version) {
+  var token = this.peek();
+  if (!token) this.fail('Expected a value but found end of input');
+  if (token.type === 'string') {
+    this.index++;
+    var node = { type: 'string', value: token.value };
+    if (version === 3 && this.accept('&')) node.ref = this.ref();
+    return node;
+  }
+  if (token.type === 'number') {
+    if (version === 3 && isIntLiteral(token)) {
+      this.index++;
+      return { type: 'int', value: token.value };
+    }
+    return { type: version === 3 ? 'double' : 'number', value: this.number() };
+  }
+  return version === 3 ? this.amf3Value(token) : this.amf0Value(token);
+};
+
+// AMF0
+
+Parser.prototype.amf0Value = function (token) {
+  if (this.accept('{')) return { type: 'object', members: this.members(0, '}', []) };
+  if (this.accept('[')) {
+    var items = [];
+    this.list(']', function () { items.push(this.value(0)); });
+    return { type: 'strict-array', items: items };
+  }
+  if (this.accept('&')) return { type: 'reference', ref: this.ref() };
+  if (token.type !== 'ident') this.fail('Unexpected ' + this.describe());
+  this.index++;
+
+  switch (token.text) {
+    case 'null':
+    case 'undefined':
+    case 'unsupported':
+    case 'movieclip':
+    case 'recordset':
+      return { type: token.text };
+    case 'true':
+    case 'false':
+      return { type: 'boolean', value: token.text === 'true' };
+    case 'NaN':
+    case 'Infinity':
+      return { type: 'number', value: token.text };
+    case 'nan':
+      return { type: 'number', value: { nan: this.string() } };
+    case 'long':
+      return { type: 'long-string', value: this.string() };
+    case 'xmldoc':
+      return { type: 'xml-document', value: this.string() };
+    case 'date':
+      var node = { type: 'date', value: this.dateValue() };
+      if (this.accept('tz')) node.timezone = this.next('number', 'a timezone').value;
+      return node;
+    case 'object':
+      this.expect('<');
+      var className = this.peek() && this.peek().text === '>' ? '' : this.name();
+      this.expect('>');
+      this.expect('{');
+      return { type: 'object', className: className, members: this.members(0, '}', []) };
+    case 'ecma':
+      var ecma = { type: 'ecma-array' };
+      if (this.accept('<')) {
+        ecma.count = this.next('number', 'a count').value;
+        this.expect('>');
+      }
+      this.expect('{');
+      ecma.members = this.members(0, '}', []);
+      if (null == ecma.count) ecma.count = ecma.members.length;
+      return ecma;
+    case 'amf3':
+      return { type: 'avmplus', value: this.value(3) };
+  }
+  this.index--;
+  return this.fail('Unexpected ' + this.describe() + ' in AMF0');
+};
+
+Parser.prototype.dateValue = function () {
+  var token = this.peek();
+  if (token && token.type === 'string') return this.string();
+  return this.number();
+};
+
+// AMF3
+
+var REF_TYPES = {
+  'object': 'object',
+  'array': 'array',
+  'date': 'date',
+  'xml': 'xml',
+  'xmldoc': 'xml-document',
+  'bytearray': 'bytearray',
+  'dictionary': 'dictionary'
+};
+
+var VECTOR_TYPES = { 'int': 'vector-int', 'uint': 'vector-uint', 'Number': 'vector-double' };
+
+var OBJECT_FLAGS = [ 'dynamic', 'sealed', 'external', 'inline-traits', 'traits' ];
+
+Parser.prototype.amf3Value = function (token) {
+  if (this.accept('{')) return { type: 'object', members: this.members(3, '}', []) };
+  if (this.accept('[')) return this.amf3Array();
+  if (token.type !== 'ident') this.fail('Unexpected ' + this.describe());
+  this.index++;
+
+  var text = token.text;
+  if (REF_TYPES[text] && this.accept('&')) return { type: REF_TYPES[text], ref: this.ref() };
+
+  switch (text) {
+    case 'null':
+    case 'undefined':
+      return { type: text };
+    case 'true':
+    case 'false':
+      return { type: 'boolean', value: text === 'true' };
+    case 'NaN':
+    case 'Infinity':
+      return { type: 'double', value: text };
+    case 'int':
+      return { type: 'int', value: this.next('number', 'an integer').value };
+    case 'double':
+      return { type: 'double', value: this.number() };
+    case 'nan':
+      return { type: 'double', value: { nan: this.string() } };
+    case 'inline':
+      return { type: 'string', value: this.string(), inline: true };
+    case 'xml':
+      return { type: 'xml', value: this.string() };
+    case 'xmldoc':
+      return { type: 'xml-document', value: this.string() };
+    case 'date':
+      return { type: 'date', value: this.dateValue() };
+    case 'bytearray':
+      var hex = this.string().replace(/\s+/g, '');
+      if (!/^([0-9a-fA-F]{2})*$/.test(hex)) this.fail('Invalid hex bytes');
+      return { type: 'bytearray', value: hex.toLowerCase() };
+    case 'object':
+      return this.amf3Object();
+    case 'vector':
+      return this.amf3Vector();
+    case 'dictionary':
+      var dictionary = { type: 'dictionary', entries: [] };
+      if (this.accept('<')) {
+        this.expect('weak');
+        this.expect('>');
+        dictionary.weakKeys = true;
+      }
+      this.expect('{');
+      this.list('}', function () {
+        var key = this.value(3);
+        this.expect('=>');
+        dictionary.entries.push([ key, this.value(3) ]);
+      });
+      return dictionary;
+  }
+  this.index--;
+  return this.fail('Unexpected ' + this.describe() + ' in AMF3');
+};
+
+Parser.prototype.amf3Array = function () {
+  var node = { type: 'array', items: [] };
+  var members = [];
+  this.list(']', function () {
+    if (this.atName()) {
+      var name = this.name();
+      this.expect(':');
+      members.push([ name, this.value(3) ]);
+    } else {
+      node.items.push(this.value(3));
+    }
+  });
+  if (members.length) node.members = members;
+  return node;
+};
+
+// object<Name flags>{ sealed; dynamic } or object<Name external>( parts )
+Parser.prototype.amf3Object = function () {
+  var node = { type: 'object' };
+  this.expect('<');
+  var token = this.peek();
+  if (token && token.text !== '>' && !(token.type === 'ident' && OBJECT_FLAGS.indexOf(token.text) !== -1)) {
+    node.className = this.name();
+  }
+  while (!this.accept('>')) {
+    var flag = this.next('ident', 'an object flag').text;
+    if ('dynamic' === flag) node.dynamic = true;
+    else if ('sealed' === flag) node.dynamic = false;
+    else if ('external' === flag) node.external = [];
+    else if ('inline-traits' === flag) node.inlineTraits = true;
+    else if ('traits' === flag) {
+      this.expect('&');
+      node.traitsRef = this.ref();
+    } else {
+      this.index--;
+      this.fail('Unknown object flag "' + flag + '"');
+    }
+  }
+  var className = typed.nameValue(node.className || '');
+  var dynamic = null == node.dynamic ? !className : node.dynamic;
+  if (className && !node.dynamic) delete node.dynamic;
+  if (!className && node.dynamic) delete node.dynamic;
+
+  if (node.external) {
+    this.expect('(');
+    this.list(')', function () {
+      if (this.accept('raw')) node.external.push(this.string().replace(/\s+/g, '').toLowerCase());
+      else node.external.push(this.value(3));
+    });
+    return node;
+  }
+
+  this.expect('{');
+  var members = this.members(3, '}', [], ';');
+  if (this.accept(';')) {
+    if (!dynamic) this.fail('Dynamic members on an object that is not dynamic', this.tokens[this.index - 1].pos);
+    node.sealed = members;
+    node.members = this.members(3, '}', []);
+  } else if (dynamic) {
+    node.members = members;
+  } else {
+    node.sealed = members;
+  }
+  if (node.sealed && !node.sealed.length) delete node.sealed;
+  if (!dynamic) delete node.members;
+  return node;
+};
+
+Parser.prototype.amf3Vector = function () {
+  this.expect('<');
+  var token = this.peek();
+  var type = token && token.type === 'ident' && VECTOR_TYPES[token.text];
+  var node = { type: type || 'vector-object' };
+  if (type) this.index++;
+  else node.className = this.name();
+  if (this.accept('fixed')) node.fixed = true;
+  this.expect('>');
+  if (this.accept('&')) return { type: node.type, ref: this.ref() };
+
+  this.expect('[');
+  var items = node.items = [];
+  this.list(']', function () {
+    if (type === 'vector-double') items.push(this.number());
+    else if (type) items.push(this.next('number', 'an integer').value);
+    else items.push(this.value(3));
+  });
+  return node;
+};
+
+// remoting
+
+Parser.prototype.packet = function () {
+  var packet = { version: this.next('number', 'a version').value, headers: [], messages: [] };
+  this.expect('{');
+  while (!this.accept('}')) {
+    var entry;
+    if (this.accept('header')) {
+      entry = { name: this.name() };
+      entry.mustUnderstand = false;
+      this.flags(entry);
+      entry.value = this.value(0);
+      packet.headers.push(entry);
+    } else if (this.accept('message')) {
+      entry = { targetUri: this.name(), responseUri: this.name() };
+      this.flags(entry);
+      entry.body = this.value(0);
+      packet.messages.push(entry);
+    } else {
+      this.fail('Expected "header", "message" or "}" but found ' + this.describe());
+    }
+  }
+  return packet;
+};
+
+Parser.prototype.flags = function (entry) {
+  while (!this.accept(':')) {
+    var flag = this.next('ident', '":"').text;
+    if ('mustUnderstand' === flag) entry.mustUnderstand = true;
+    else if ('unknown-length' === flag) entry.unknownLength = true;
+    else if ('length' === flag) entry.length = this.next('number', 'a length').value;
+    else if ('skipped' === flag) entry.skipped = this.string();
+    else {
+      this.index--;
+      this.fail('Unknown flag "' + flag + '"');
+    }
+  }
+};
+
+// the value of a number token, as typed JSON holds it
+function literal (token) {
+  if ('-0' === token.text || /^-0\.0*$/.test(token.text)) return '-0';
+  if (token.value === Infinity) return 'Infinity';
+  if (token.value === -Infinity) return '-Infinity';
+  return token.value;
+}
+
+// integer literals are ints when they fit, like the AMF3 writer does it
+function isIntLiteral (token) {
+  return /^-?\d+$/.test(token.text) && token.value >= -0x10000000 && token.value <= 0x0FFFFFFF;
+}
+
+/**
+ * Printing.
+ */
+
+/**
+ * Prints a typed JSON document in the notation.
+ *
+ * @param {Object} doc
+ * @return {String}
+ * @api public
+ */
+
+function format (doc) {
+  if (doc.remoting) return formatPacket(doc.remoting);
+  var values = doc.values || [ doc.value ];
+  var version = doc.amf === 3 ? 3 : 0;
+  return 'amf' + version + '\n' + values.map(function (value) {
+    return layout(render(value, version), '') + '\n';
+  }).join('');
+}
+
+/**
+ * Prints a single typed JSON node on one line.
+ *
+ * @param {Object} node
+ * @param {Number} version 0 or 3
+ * @return {String}
+ * @api private
+ */
+
+function formatNode (node, version) {
+  return flat(render(node, version));
+}
+
+function formatPacket (packet) {
+  var lines = [ 'remoting ' + (packet.version || 0) + ' {' ];
+  (packet.headers || []).forEach(function (header) {
+    var head = '  header ' + printName(header.name) +
+      (header.mustUnderstand ? ' mustUnderstand' : '') +
+      printLength(header) + ': ';
+    lines.push(head + layout(render(header.value, 0), '  ', head.length - 2));
+  });
+  (packet.messages || []).forEach(function (message) {
+    var head = '  message ' + printName(message.targetUri) + ' ' + printName(message.responseUri) +
+      printLength(message) + ': ';
+    lines.push(head + layout(render(message.body, 0), '  ', head.length - 2));
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function printLength (entry) {
+  if (entry.unknownLength) return ' unknown-length';
+  if (null == entry.length) return '';
+  return ' length ' + entry.length + (entry.skipped ? ' skipped ' + JSON.stringify(entry.skipped) : '');
+}
+
+// a rendered value is a String, or a group that `layout()` puts on one line
+// when it fits and spreads over several otherwise
+function group (prefix, open, sections, close, padded) {
+  return { prefix: prefix, open: open, sections: sections, close: close, padded: padded };
+}
+
+function withPrefix (prefix, item) {
+  if ('string' == typeof item) return prefix + item;
+  return group(prefix + item.prefix, item.open, item.sections, item.close, item.padded);
+}
+
+function flat (item) {
+  if ('string' == typeof item) return item;
+  var parts = item.sections.map(function (section, i) {
+    var text = section.map(flat).join(', ');
+    return i < item.sections.length - 1 ? text + ';' : text;
+  }).filter(Boolean);
+  if (!parts.length) return item.prefix + item.open + item.close;
+  var pad = item.padded ? ' ' : '';
+  return item.prefix + item.open + pad + parts.join(' ') + pad + item.close;
+}
+
+function layout (item, indent, used) {
+  var line = flat(item);
+  if ('string' == typeof item || indent.length + (used || 0) + line.length <= 80) return line;
+
+  var inner = indent + '  ';
+  var lines = [];
+  item.sections.forEach(function (section, i) {
+    var last = i === item.sections.length - 1;
+    section.forEach(function (entry, j) {
+      var end = j < section.length - 1 ? ',' : (last ? '' : ';');
+      lines.push(inner + layout(entry, inner) + end);
+    });
+    if (!section.length && !last) lines.push(inner + ';');
+  });
+  return item.prefix + item.open + '\n' + lines.join('\n') + '\n' + indent + item.close;
+}
+
+var IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// a member name, class name or string as `readName()` gives it, with the
+// `inline` / `&N` marks when it wasn't written the usual way
+function printName (name, print) {
+  print = print || printKey;
+  if ('string' == typeof name) return print(name);
+  if (name.inline) return 'inline ' + print(name.value);
+  return print(name.value) + ' &' + name.ref;
+}
+
+function printKey (key) {
+  return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+// class names may also be dotted, but not one of the words that mean
+// something else in the same spot
+function printClassName (name, reserved) {
+  return printName(name, function (value) {
+    var bare = /^[A-Za-z_$][\w$.]*$/.test(value) && reserved.indexOf(value) === -1;
+    return bare ? value : JSON.stringify(value);
+  });
+}
+
+function printNumber (value, amf3) {
+  if (value && 'object' == typeof value) return 'nan ' + JSON.stringify(value.nan);
+  if ('string' == typeof value) return '-0' === value && amf3 ? '-0.0' : value;
+  var text = String(value);
+  if (amf3 && /^-?\d+$/.test(text)) text += '.0';
+  return text;
+}
+
+function printDate (value) {
+  return 'string' == typeof value && value.indexOf('-', 1) !== -1 ? JSON.stringify(value) : printNumber(value);
+}
+
+function members (list, version) {
+  return list.map(function (member) {
+    return withPrefix(printName(member[0]) + ': ', render(member[1], version));
+  });
+}
+
+function render (node, version) {
+  return version === 3 ? renderAmf3(node) : renderAmf0(node);
+}
+
+function renderAmf0 (node) {
+  switch (node.type) {
+    case 'number':
+      return printNumber(node.value);
+    case 'boolean':
+      return String(node.value);
+    case 'string':
+      return JSON.stringify(node.value);
+    case 'long-string':
+      return 'long ' + JSON.stringify(node.value);
+    case 'xml-document':
+      return 'xmldoc ' + JSON.stringify(node.value);
+    case 'object':
+      var prefix = null == node.className ? '' : 'object<' + printClassName(node.className, []) + '>';
+      return group(prefix, '{', [ members(node.members || [], 0) ], '}', true);
+    case 'ecma-array':
+      var count = node.members.length === node.count ? '' : '<' + node.count + '>';
+      return group('ecma' + count, '{', [ members(node.members || [], 0) ], '}', true);
+    case 'strict-array':
+      return group('', '[', [ node.items.map(renderAmf0) ], ']', false);
+    case 'date':
+      return 'date ' + printDate(node.value) + (node.timezone ? ' tz ' + node.timezone : '');
+    case 'reference':
+      return '&' + node.ref;
+    case 'avmplus':
+      return withPrefix('amf3 ', renderAmf3(node.value));
+    default:
+      return node.type;
+  }
+}
+
+function renderAmf3 (node) {
+  var type = node.type;
+  if (null != node.ref && 'string' !== type) {
+    if ('vector-object' === type) return 'vector<Object> &' + node.ref;
+    if (/^vector-/.test(type)) return 'vector<' + (type === 'vector-double' ? 'Number' : type.slice(7)) + '> &' + node.ref;
+    return (type === 'xml-document' ? 'xmldoc' : type) + ' &' + node.ref;
+  }
+
+  switch (type) {
+    case 'boolean':
+      return String(node.value);
+    case 'int':
+      return String(node.value);
+    case 'double':
+      return printNumber(node.value, true);
+    case 'string':
+      var str = node.inline || null != node.ref ? node : node.value;
+      return printName(str, JSON.stringify);
+    case 'xml':
+      return 'xml ' + JSON.stringify(node.value);
+    case 'xml-document':
+      return 'xmldoc ' + JSON.stringify(node.value);
+    case 'date':
+      return 'date ' + printDate(node.value);
+    case 'bytearray':
+      return 'bytearray ' + JSON.stringify(node.value);
+    case 'array':
+      var items = (node.items || []).map(renderAmf3).concat(members(node.members || [], 3));
+      return group('', '[', [ items ], ']', false);
+    case 'object':
+      return renderAmf3Object(node);
+    case 'vector-int':
+    case 'vector-uint':
+    case 'vector-double':
+    case 'vector-object':
+      var fixed = node.fixed ? ' fixed' : '';
+      var element = VECTOR_NAMES[type] || printClassName(node.className, Object.keys(VECTOR_TYPES).concat('fixed'));
+      var values = node.items.map(function (item) {
+        return 'vector-object' === type ? renderAmf3(item) : printNumber(item);
+      });
+      return group('vector<' + element + fixed + '>', '[', [ values ], ']', false);
+    case 'dictionary':
+      var entries = node.entries.map(function (entry) {
+        return withPrefix(flat(renderAmf3(entry[0])) + ' => ', renderAmf3(entry[1]));
+      });
+      return group('dictionary' + (node.weakKeys ? '<weak>' : ''), '{', [ entries ], '}', true);
+    default:
+      return type;
+  }
+}
+
+var VECTOR_NAMES = { 'vector-int': 'int', 'vector-uint': 'uint', 'vector-double': 'Number' };
+
+function renderAmf3Object (node) {
+  var className = node.className || '';
+  var dynamic = null == node.dynamic ? !typed.nameValue(className) : node.dynamic;
+  var head = [];
+  if (typed.nameValue(className)) head.push(printClassName(className, OBJECT_FLAGS));
+  if (null != node.dynamic) head.push(node.dynamic ? 'dynamic' : 'sealed');
+  if (node.external) head.push('external');
+  if (node.inlineTraits) head.push('inline-traits');
+  if (null != node.traitsRef) head.push('traits &' + node.traitsRef);
+
+  if (node.external) {
+    var parts = node.external.map(function (part) {
+      return 'string' == typeof part ? 'raw ' + JSON.stringify(part) : renderAmf3(part);
+    });
+    return group('object<' + head.join(' ') + '>', '(', [ parts ], ')', false);
+  }
+
+  var prefix = head.length ? 'object<' + head.join(' ') + '>' : '';
+  var sealed = members(node.sealed || [], 3);
+  var dynamicMembers = members(node.members || [], 3);
+  var sections;
+  if (!dynamic) sections = [ sealed ];
+  else if (sealed.length) sections = [ sealed, dynamicMembers ];
+  else sections = [ dynamicMembers ];
+  return group(prefix, '{', sections, '}', true);
+}
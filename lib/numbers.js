@@ -0,0 +1,105 @@
+
+/**
+ * Module exports.
+ */
+
+exports.AMFNumber = AMFNumber;
+exports.int = int;
+exports.uint = uint;
+exports.double = double;
+exports.fromBigInt = fromBigInt;
+exports.isAmf3Int = isAmf3Int;
+
+/**
+ * A number with an explicit ActionScript type: `'int'`, `'uint'` or
+ * `'Number'`. Created by `int()`, `uint()` and `double()`; it behaves like the
+ * number in arithmetic and `JSON.stringify()`.
+ *
+ * @param {Number} value
+ * @param {String} type
+ * @api public
+ */
+
+function AMFNumber (value, type) {
+  this.value = value;
+  this.type = type;
+}
+
+AMFNumber.prototype.valueOf = function () {
+  return this.value;
+};
+
+AMFNumber.prototype.toJSON = function () {
+  return this.value;
+};
+
+AMFNumber.prototype.toString = function () {
+  return String(this.value);
+};
+
+/**
+ * An ActionScript `int`. AMF3 writes it with the integer marker when it fits
+ * in 29 bits and as a double otherwise, like Flash Player does.
+ *
+ * @param {Number} value A 32-bit signed integer.
+ * @return {AMFNumber}
+ * @api public
+ */
+
+function int (value) {
+  value = Number(value);
+  if (!Number.isInteger(value) || value < -0x80000000 || value > 0x7FFFFFFF) {
+    throw new RangeError('Not an int: ' + value);
+  }
+  return new AMFNumber(value, 'int');
+}
+
+/**
+ * An ActionScript `uint`, written like `int()`.
+ *
+ * @param {Number} value A 32-bit unsigned integer.
+ * @return {AMFNumber}
+ * @api public
+ */
+
+function uint (value) {
+  value = Number(value);
+  if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+    throw new RangeError('Not a uint: ' + value);
+  }
+  return new AMFNumber(value, 'uint');
+}
+
+/**
+ * An ActionScript `Number`. AMF3 always writes it as a double, even when it
+ * holds a small integer.
+ *
+ * @param {Number} value
+ * @return {AMFNumber}
+ * @api public
+ */
+
+function double (value) {
+  return new AMFNumber(Number(value), 'Number');
+}
+
+/**
+ * Converts a BigInt according to the `bigint` write option: `'double'`
+ * (possibly losing precision), `'string'`, or `'error'` (the default).
+ *
+ * @param {BigInt} value
+ * @param {String} policy
+ * @return {Number|String}
+ * @api private
+ */
+
+function fromBigInt (value, policy) {
+  if ('double' == policy) return Number(value);
+  if ('string' == policy) return String(value);
+  throw new TypeError('Cannot write BigInt ' + value + ' without the `bigint` option ("double" or "string")');
+}
+
+// whether AMF3 can write `value` with the integer marker
+function isAmf3Int (value) {
+  return Number.isInteger(value) && value >= -0x10000000 && value <= 0x0FFFFFFF;
+}
@@ -3,8 +3,13 @@
  * Module dependencies.
  */
 
-var assert = require('assert');
 var constants = require('./constants');
+var registry = require('./registry');
+var errors = require('./errors');
+var limits = require('./limits');
+var numbers = require('./numbers');
+var DataInput = require('./externalizable').DataInput;
+var AMFDecodeError = errors.AMFDecodeError;
 var amf0Types = constants.amf0Types;
 var amf3Types = constants.amf3Types;
 
@@ -17,6 +22,25 @@ module.exports = read;
 /**
  * Reads an AMF object from the specified Buffer at the specified offset.
  *
+ * Malformed or truncated input throws an `AMFDecodeError` carrying the
+ * `offset` and `marker` of the innermost value being decoded, the AMF
+ * `version` and the `path` to it (e.g. `args[1].items[3]`).
+ *
+ * `info` may also set the resource limits in `limits.defaults` (`maxDepth`,
+ * `maxStringLength`, `maxArrayLength`, `maxByteArrayLength`, `maxReferences`
+ * and `maxTotalBytes`); going over one throws an `AMFDecodeError` whose
+ * `limit` names it.
+ *
+ * Member names that could tamper with prototypes (`__proto__`,
+ * `constructor` and `prototype`) are handled according to `info.unsafeKeys`:
+ * `'define'` (the default) keeps them as plain own properties, `'skip'` drops
+ * them and `'error'` throws. `info.nullPrototype` makes anonymous objects
+ * inherit from nothing at all.
+ *
+ * With `info.preserveNumberTypes`, AMF3 doubles holding an integer small
+ * enough for the integer marker decode to `double()` wrappers, so that they
+ * are written back as doubles rather than ints.
+ *
  * @param {Buffer} buffer The Buffer instance to read from.
  * @param {Object|Number} info "Options" object, or the byte offset to begin reading from.
  * @return {Object|Array} The decoded AMF object.
@@ -28,14 +52,37 @@ function read (buffer, info) {
   if (!info) info = {};
   if (null == info.offset) info.offset = 0;
   if (null == info.version) info.version = 0; // Default to AMF0
+  if (!info.path) info.path = [];
+
+  // values nested in AMF0 Objects and Arrays share the limits of the
+  // outermost `read()` call
+  if (!info.nested) {
+    info.limits = limits.resolve(info);
+    info.startOffset = info.offset;
+    info.baseDepth = info.path.length;
+  }
 
   // gets reset to 0 on each `read()` call
   info.byteLength = 0;
 
-  // read the "type" byte
-  var type = buffer.readUInt8(info.offset);
-  bytesUsed(info, 1);
+  var start = info.offset;
+  var depth = info.path.length;
+  var type;
+  try {
+    // read the "type" byte
+    type = buffer.readUInt8(take(buffer, info, 1));
+    // AMF3 values are recorded by `readAmf3()`
+    if (!info.record || info.version !== 0) return readValue(buffer, info, type);
+    info.record.open(info, start, type);
+    var value = readValue(buffer, info, type);
+    info.record.close(info, value);
+    return value;
+  } catch (err) {
+    throw decodeError(err, info, start, type, depth);
+  }
+}
 
+function readValue (buffer, info, type) {
   // Check for AMF3 marker in AMF0 mode
   if (info.version === 0 && type === amf0Types.kAvmPlusObjectType) {
     info.version = 3;
@@ -53,6 +100,8 @@ function read (buffer, info) {
         return readString(buffer, info);
       case amf0Types.kObjectType:
         return readObject(buffer, info);
+      case amf0Types.kMovieClipType:
+        return constants.MOVIECLIP;
       case amf0Types.kNullType:
         return null;
       case amf0Types.kUndefinedType:
@@ -67,10 +116,18 @@ function read (buffer, info) {
         return readStrictArray(buffer, info);
       case amf0Types.kDateType:
         return readDate(buffer, info);
+      case amf0Types.kLongStringType:
+        return readLongString(buffer, info);
+      case amf0Types.kUnsupportedType:
+        return constants.UNSUPPORTED;
+      case amf0Types.kRecordsetType:
+        return constants.RECORDSET;
+      case amf0Types.kXMLObjectType:
+        return readXMLDocument(buffer, info);
       case amf0Types.kTypedObjectType:
         return readTypedObject(buffer, info);
       default:
-        throw new Error('AMF0 type not yet implemented: ' + type);
+        throw new Error('Unknown AMF0 type: ' + type);
     }
   } else {
     // AMF3 parsing
@@ -83,32 +140,195 @@ function bytesUsed (info, n) {
   info.byteLength += n;
 }
 
+// consumes `n` bytes and returns the offset they start at, refusing to run
+// past the end of `buffer` (`toString()` and `copy()` would silently truncate)
+function take (buffer, info, n) {
+  var offset = info.offset;
+  limits.check(info.limits, 'maxTotalBytes', offset + n - info.startOffset);
+  if (offset + n > buffer.length) {
+    var err = new RangeError('Unexpected end of buffer: ' + n + ' bytes needed, ' +
+      Math.max(0, buffer.length - offset) + ' available');
+    err.truncated = true;
+    err.needed = offset + n;
+    throw err;
+  }
+  bytesUsed(info, n);
+  return offset;
+}
+
+// info for a value nested in an AMF0 Object or Array. It shares the options,
+// object references and path of its parent, but counts its own bytes and
+// always starts out as AMF0.
+function nestedInfo (info) {
+  var temp = Object.create(info);
+  temp.nested = true;
+  temp.offset = info.offset;
+  temp.byteLength = 0;
+  temp.version = 0;
+  return temp;
+}
+
+// steps into a member or element of the value being decoded
+function enter (info, key) {
+  info.path.push(key);
+  limits.check(info.limits, 'maxDepth', info.path.length - info.baseDepth);
+}
+
+// adds a decoded value to a reference table, returning its index
+function addReference (info, table, value) {
+  limits.check(info.limits, 'maxReferences', table.length + 1);
+  return table.push(value) - 1;
+}
+
+// Streaming decoders (see `stream.js`) set `info.resume` and decode a value
+// again from its start each time more of it has come in. Containers keep a
+// checkpoint before each of their members then, so that the next attempt
+// picks up where the last one ran out instead of decoding everything before
+// it again: `info.resume.open` holds the checkpoints of the containers still
+// open, outermost first.
+
+var TABLES = [ 'references', 'amf3StringReferences', 'amf3ObjectReferences', 'amf3TraitReferences' ];
+
+// the checkpoint an earlier attempt left for the container whose contents
+// start at `start`, after skipping ahead to it
+function resume (info, start) {
+  if (!info.resume) return null;
+  var open = info.resume.open;
+  var key = start - info.startOffset;
+  for (var i = 0; i < open.length; i++) {
+    if (open[i].key !== key) continue;
+    var state = open[i];
+    for (var name in state.tables) info[name] = state.tables[name];
+    bytesUsed(info, info.startOffset + state.offset - info.offset);
+    return state;
+  }
+  return null;
+}
+
+// starts keeping checkpoints for the container `value`, along with the
+// reference tables it adds to
+function track (info, start, value) {
+  if (!info.resume) return null;
+  var state = { key: start - info.startOffset, value: value, index: 0, tables: {}, lengths: {} };
+  for (var i = 0; i < TABLES.length; i++) {
+    if (info[TABLES[i]]) state.tables[TABLES[i]] = info[TABLES[i]];
+  }
+  info.resume.open.push(state);
+  return state;
+}
+
+// the container is about to read its `index`-th member, or the value of it
+// when it was given the `name` it read already
+function checkpoint (info, state, index, name) {
+  if (!state) return;
+  state.index = index;
+  state.named = arguments.length > 3;
+  state.name = name;
+  state.offset = info.offset - info.startOffset;
+  for (var table in state.tables) state.lengths[table] = state.tables[table].length;
+}
+
+// reads the name of a member between two checkpoints, so that an attempt
+// that runs out in its value does not read it (and add it to the string
+// references) again
+function readAmf3Name (buffer, info, state, index) {
+  checkpoint(info, state, index);
+  var name = readAmf3String(buffer, info);
+  checkpoint(info, state, index, name);
+  return name;
+}
+
+function untrack (info, state) {
+  if (state) info.resume.open.pop();
+}
+
+// With `info.record`, every value read is reported to it, for `typed.js` to
+// describe how the data was encoded: `open()` gets where a value starts and
+// its marker, `close()` the decoded value once it ends, `note()` details of
+// the open value (the `u29` header, the reference table `index` it was
+// stored at or, with `reference`, points to, the same as `traits` for AMF3
+// objects, and where an `external` body starts), and `name()` every member
+// name, class name and AMF3 String read along with the `u29`, `index` and
+// `reference` of the latter.
+
+function note (info, props) {
+  if (info.record) info.record.note(info, props);
+}
+
+function named (info, offset, name, props) {
+  if (info.record) info.record.name(info, offset, name, props);
+}
+
+// assigns a decoded member without letting its name reach a prototype
+function setMember (info, object, key, value) {
+  if ('__proto__' === key || 'constructor' === key || 'prototype' === key) {
+    var policy = info.unsafeKeys || 'define';
+    if ('skip' === policy) return;
+    if ('error' === policy) throw new Error('Unsafe member name "' + key + '"');
+    Object.defineProperty(object, key, {
+      value: value,
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+    return;
+  }
+  object[key] = value;
+}
+
+// a new anonymous object, honoring `info.nullPrototype`
+function createObject (info) {
+  return info.nullPrototype ? Object.create(null) : {};
+}
+
+// wraps anything thrown while decoding the value at `offset` into an
+// `AMFDecodeError`; errors from deeper values are already wrapped
+function decodeError (err, info, offset, marker, depth) {
+  var path = info.path;
+  if (!(err instanceof AMFDecodeError)) {
+    var outOfBounds = 'ERR_OUT_OF_RANGE' === err.code || 'ERR_BUFFER_OUT_OF_BOUNDS' === err.code;
+    err = new AMFDecodeError(outOfBounds ? 'Unexpected end of buffer' : err.message, {
+      offset: offset,
+      marker: marker,
+      version: info.version,
+      path: errors.formatPath(path),
+      limit: err.limit,
+      truncated: outOfBounds || err.truncated,
+      cause: err
+    });
+  }
+  path.length = depth;
+  return err;
+}
+
+// attaches AMF-specific metadata to a decoded value without making it
+// show up in `Object.keys()`, `JSON.stringify()` or `assert.deepEqual()`
+function hide (object, key, value) {
+  Object.defineProperty(object, key, {
+    value: value,
+    writable: true,
+    configurable: true
+  });
+}
+
 // 2.2 Number Type
 
 function readNumber (buffer, info) {
-  var offset = info.offset;
-  bytesUsed(info, 8);
-  return buffer.readDoubleBE(offset);
+  return buffer.readDoubleBE(take(buffer, info, 8));
 }
 
 // 2.3 Boolean Type
 
 function readBoolean (buffer, info) {
-  var offset = info.offset;
-  bytesUsed(info, 1);
-  return buffer.readUInt8(offset) !== 0;
+  return buffer.readUInt8(take(buffer, info, 1)) !== 0;
 }
 
 // 2.4 String Type
 
 function readString (buffer, info) {
-  var offset = info.offset;
-
-  var length = buffer.readUInt16BE(offset);
-  bytesUsed(info, 2);
-
-  offset = info.offset;
-  bytesUsed(info, length);
+  var length = buffer.readUInt16BE(take(buffer, info, 2));
+  limits.check(info.limits, 'maxStringLength', length);
+  var offset = take(buffer, info, length);
   return buffer.toString('utf8', offset, offset + length);
 }
 
@@ -116,28 +336,37 @@ function readString (buffer, info) {
 
 function readObject (buffer, info, object) {
   var key, value;
-  if (!object) object = {};
-
-  if (!info.references) info.references = [];
-  info.references.push(object);
+  var start = info.offset;
+  var state = resume(info, start);
+  if (state) {
+    object = state.value;
+  } else {
+    if (!object) object = createObject(info);
+    if (!info.references) info.references = [];
+    note(info, { index: addReference(info, info.references, object) });
+    state = track(info, start, object);
+  }
 
-  var temp = {};
+  var temp;
   while (value !== END_OBJECT) {
-    temp.offset = info.offset;
-    temp.byteLength = 0;
-    key = readString(buffer, temp);
-    bytesUsed(info, temp.byteLength);
+    checkpoint(info, state, 0);
+    var keyOffset = info.offset;
+    key = readString(buffer, info);
+    named(info, keyOffset, key);
 
-    temp.offset = info.offset;
-    temp.references = info.references;
+    temp = nestedInfo(info);
+    enter(info, key);
     value = read(buffer, temp);
+    info.path.pop();
     bytesUsed(info, temp.byteLength);
 
-    if (value !== END_OBJECT) object[key] = value;
+    if (value !== END_OBJECT) setMember(info, object, key, value);
+  }
+  if (key !== '') {
+    throw new Error('Object end marker after non-empty key "' + key + '"');
   }
-  assert.strictEqual(key, '');
-  assert.strictEqual(value, END_OBJECT);
 
+  untrack(info, state);
   return object;
 }
 
@@ -151,8 +380,11 @@ function readObject (buffer, info, object) {
 // 2.9 Reference Type
 
 function readReference (buffer, info) {
-  var index = buffer.readUInt16BE(info.offset);
-  bytesUsed(info, 2);
+  var index = buffer.readUInt16BE(take(buffer, info, 2));
+  if (!info.references || index >= info.references.length) {
+    throw new Error('Invalid reference: ' + index);
+  }
+  note(info, { index: index, reference: true });
   return info.references[index];
 }
 
@@ -163,11 +395,13 @@ function readECMAArray (buffer, info, array) {
 
   // ignored, and can't really be relied on since ECMA arrays can have numbered
   // indices, and/or names keys which may or may not be counted here
-  var count = buffer.readUInt32BE(info.offset);
-  bytesUsed(info, 4);
+  var count = buffer.readUInt32BE(take(buffer, info, 4));
 
   // at this point it's the same binary structure as a regular Object
-  readObject(buffer, info, array);
+  array = readObject(buffer, info, array);
+
+  // remember the advertised count so that `write()` can reproduce it
+  hide(array, '__ecmaCount__', count);
 
   return array;
 }
@@ -180,24 +414,40 @@ var END_OBJECT = { endObject: true };
 // 2.12 Strict Array Type
 
 function readStrictArray (buffer, info, array) {
-  var value, temp;
-  if (!Array.isArray(array)) array = [];
+  var value, temp, count;
+  var i = 0;
+  var start = info.offset;
+  var state = resume(info, start);
+  if (state) {
+    array = state.value;
+    count = state.count;
+    i = state.index;
+  } else {
+    if (!Array.isArray(array)) array = [];
 
-  if (!info.references) info.references = [];
-  info.references.push(array);
+    if (!info.references) info.references = [];
+    note(info, { index: addReference(info, info.references, array) });
 
-  var count = buffer.readUInt32BE(info.offset);
-  bytesUsed(info, 4);
+    count = buffer.readUInt32BE(take(buffer, info, 4));
+    limits.check(info.limits, 'maxArrayLength', count);
+    state = track(info, start, array);
+    if (state) state.count = count;
+  }
 
-  temp = {};
-  for (var i = 0; i < count; i++) {
-    temp.offset = info.offset;
-    temp.references = info.references;
+  for (; i < count; i++) {
+    checkpoint(info, state, i);
+    temp = nestedInfo(info);
+    enter(info, i);
     value = read(buffer, temp);
+    info.path.pop();
     bytesUsed(info, temp.byteLength);
     array.push(value);
   }
 
+  // flag the array so that `write()` serializes it as a "strict array" again
+  hide(array, '__strict__', true);
+
+  untrack(info, state);
   return array;
 }
 
@@ -206,17 +456,25 @@ function readStrictArray (buffer, info, array) {
 function readDate (buffer, info) {
   // number of milliseconds elapsed since the epoch
   // of midnight on 1st Jan 1970 in the UTC time zone
-  var millis = buffer.readDoubleBE(info.offset);
-  bytesUsed(info, 8);
+  var millis = buffer.readDoubleBE(take(buffer, info, 8));
 
   // reserved, not supported SHOULD be set to 0x0000 (not enforced)
-  var timezone = buffer.readInt16BE(info.offset);
-  bytesUsed(info, 2);
+  var timezone = buffer.readInt16BE(take(buffer, info, 2));
 
-  return new Date(millis);
+  var date = new Date(millis);
+  if (timezone !== 0) hide(date, '__timezone__', timezone);
+  return date;
 }
 
 // 2.14 Long String Type
+
+function readLongString (buffer, info) {
+  var length = buffer.readUInt32BE(take(buffer, info, 4));
+  limits.check(info.limits, 'maxStringLength', length);
+  var offset = take(buffer, info, length);
+  return buffer.toString('utf8', offset, offset + length);
+}
+
 // 2.15 Unsupported Type
 
 // 2.16 RecordSet Type
@@ -224,12 +482,28 @@ function readDate (buffer, info) {
 
 // 2.17 XML Document Type
 
+function readXMLDocument (buffer, info) {
+  // same binary structure as a "long string"
+  var xmlStr = readLongString(buffer, info);
+
+  // same shape as the AMF3 XMLDocument type
+  return {
+    __type__: 'XMLDocument',
+    toString: function() { return xmlStr; }
+  };
+}
+
 // 2.18 Typed Object Type
 
 function readTypedObject (buffer, info) {
   // "typed" objects are just regular ECMA Objects with a String class name at the
   // beginning
+  var offset = info.offset;
   var name = readString(buffer, info);
+  named(info, offset, name);
+  var Constructor = registry.getClassByAlias(name);
+  if (Constructor) return readObject(buffer, info, Object.create(Constructor.prototype));
+
   var obj = readObject(buffer, info);
   obj.__className__ = name;
   return obj;
@@ -240,12 +514,26 @@ function readTypedObject (buffer, info) {
  */
 
 function readAmf3 (buffer, info, type) {
-  if (type === undefined) {
-    // If type is not provided, read it from the buffer
-    type = buffer.readUInt8(info.offset);
-    bytesUsed(info, 1);
+  var start = info.offset;
+  var depth = info.path.length;
+  try {
+    if (type === undefined) {
+      // If type is not provided, read it from the buffer
+      type = buffer.readUInt8(take(buffer, info, 1));
+    } else {
+      start -= 1;
+    }
+    if (!info.record) return readAmf3Value(buffer, info, type);
+    info.record.open(info, start, type);
+    var value = readAmf3Value(buffer, info, type);
+    info.record.close(info, value);
+    return value;
+  } catch (err) {
+    throw decodeError(err, info, start, type, depth);
   }
+}
 
+function readAmf3Value (buffer, info, type) {
   // Initialize AMF3 references if not already done
   if (!info.amf3StringReferences) info.amf3StringReferences = [];
   if (!info.amf3ObjectReferences) info.amf3ObjectReferences = [];
@@ -267,7 +555,7 @@ function readAmf3 (buffer, info, type) {
     case amf3Types.kStringType:
       return readAmf3String(buffer, info);
     case amf3Types.kXMLType:
-      return readAmf3XML(buffer, info, false);
+      return readAmf3XML(buffer, info, 'XMLDocument');
     case amf3Types.kDateType:
       return readAmf3Date(buffer, info);
     case amf3Types.kArrayType:
@@ -275,18 +563,28 @@ function readAmf3 (buffer, info, type) {
     case amf3Types.kObjectType:
       return readAmf3Object(buffer, info);
     case amf3Types.kAvmPlusXmlType:
-      return readAmf3XML(buffer, info, true);
+      return readAmf3XML(buffer, info, 'XML');
     case amf3Types.kByteArrayType:
       return readAmf3ByteArray(buffer, info);
+    case amf3Types.kVectorIntType:
+    case amf3Types.kVectorUintType:
+    case amf3Types.kVectorDoubleType:
+      return readAmf3NumberVector(buffer, info, type);
+    case amf3Types.kVectorObjectType:
+      return readAmf3ObjectVector(buffer, info);
+    case amf3Types.kDictionaryType:
+      return readAmf3Dictionary(buffer, info);
     default:
-      throw new Error('AMF3 type not yet implemented: ' + type);
+      throw new Error('Unknown AMF3 type: ' + type);
   }
 }
 
-function readAmf3Integer (buffer, info) {
+// 1.3.1 Variable Length Unsigned 29-bit Integer Encoding
+// used by every reference/length header
+
+function readAmf3U29 (buffer, info) {
   var result = 0;
-  var byte = buffer.readUInt8(info.offset);
-  bytesUsed(info, 1);
+  var byte = buffer.readUInt8(take(buffer, info, 1));
   
   // Handle 1-4 byte integers with variable length encoding
   if (byte < 128) {
@@ -294,36 +592,44 @@ function readAmf3Integer (buffer, info) {
   }
   
   result = (byte & 0x7F) << 7;
-  byte = buffer.readUInt8(info.offset);
-  bytesUsed(info, 1);
+  byte = buffer.readUInt8(take(buffer, info, 1));
   
   if (byte < 128) {
     return result | byte;
   }
   
   result = (result | (byte & 0x7F)) << 7;
-  byte = buffer.readUInt8(info.offset);
-  bytesUsed(info, 1);
+  byte = buffer.readUInt8(take(buffer, info, 1));
   
   if (byte < 128) {
     return result | byte;
   }
   
   result = (result | (byte & 0x7F)) << 8;
-  byte = buffer.readUInt8(info.offset);
-  bytesUsed(info, 1);
+  byte = buffer.readUInt8(take(buffer, info, 1));
   
   return result | byte;
 }
 
+// 3.6 integer Type
+// the U29 value is a 29-bit two's complement signed integer
+
+function readAmf3Integer (buffer, info) {
+  var value = readAmf3U29(buffer, info);
+  return (value << 3) >> 3;
+}
+
 function readAmf3Double (buffer, info) {
-  var offset = info.offset;
-  bytesUsed(info, 8);
-  return buffer.readDoubleBE(offset);
+  var offset = take(buffer, info, 8);
+  var value = buffer.readDoubleBE(offset);
+  // a plain number would be written back as an integer
+  if (info.preserveNumberTypes && numbers.isAmf3Int(value)) return numbers.double(value);
+  return value;
 }
 
 function readAmf3String (buffer, info) {
-  var header = readAmf3Integer(buffer, info);
+  var start = info.offset;
+  var header = readAmf3U29(buffer, info);
   var isReference = (header & 1) === 0;
   
   if (isReference) {
@@ -331,28 +637,33 @@ function readAmf3String (buffer, info) {
     if (refIndex >= info.amf3StringReferences.length) {
       throw new Error('Invalid string reference: ' + refIndex);
     }
-    return info.amf3StringReferences[refIndex];
+    var value = info.amf3StringReferences[refIndex];
+    named(info, start, value, { u29: header, index: refIndex, reference: true });
+    return value;
   }
   
   var length = header >> 1;
   
   // Empty string
   if (length === 0) {
+    named(info, start, '', { u29: header });
     return '';
   }
   
-  var offset = info.offset;
-  bytesUsed(info, length);
+  limits.check(info.limits, 'maxStringLength', length);
+  var offset = take(buffer, info, length);
   var str = buffer.toString('utf8', offset, offset + length);
   
   // Add to reference table
-  info.amf3StringReferences.push(str);
+  var index = addReference(info, info.amf3StringReferences, str);
+  named(info, start, str, { u29: header, index: index });
   
   return str;
 }
 
 function readAmf3Date (buffer, info) {
-  var header = readAmf3Integer(buffer, info);
+  var header = readAmf3U29(buffer, info);
+  note(info, { u29: header });
   var isReference = (header & 1) === 0;
   
   if (isReference) {
@@ -360,54 +671,83 @@ function readAmf3Date (buffer, info) {
     if (refIndex >= info.amf3ObjectReferences.length) {
       throw new Error('Invalid date reference: ' + refIndex);
     }
+    note(info, { index: refIndex, reference: true });
     return info.amf3ObjectReferences[refIndex];
   }
   
-  var offset = info.offset;
-  bytesUsed(info, 8);
+  var offset = take(buffer, info, 8);
   var date = new Date(buffer.readDoubleBE(offset));
   
   // Add to reference table
-  info.amf3ObjectReferences.push(date);
+  note(info, { index: addReference(info, info.amf3ObjectReferences, date) });
   
   return date;
 }
 
 function readAmf3Array (buffer, info) {
-  var header = readAmf3Integer(buffer, info);
-  var isReference = (header & 1) === 0;
-  
-  if (isReference) {
-    var refIndex = header >> 1;
-    if (refIndex >= info.amf3ObjectReferences.length) {
-      throw new Error('Invalid array reference: ' + refIndex);
+  var array, length;
+  var i = -1;
+  var start = info.offset;
+  var state = resume(info, start);
+  if (state) {
+    array = state.value;
+    length = state.count;
+    i = state.index;
+  } else {
+    var header = readAmf3U29(buffer, info);
+    note(info, { u29: header });
+    var isReference = (header & 1) === 0;
+    
+    if (isReference) {
+      var refIndex = header >> 1;
+      if (refIndex >= info.amf3ObjectReferences.length) {
+        throw new Error('Invalid array reference: ' + refIndex);
+      }
+      note(info, { index: refIndex, reference: true });
+      return info.amf3ObjectReferences[refIndex];
     }
-    return info.amf3ObjectReferences[refIndex];
+    
+    length = header >> 1;
+    limits.check(info.limits, 'maxArrayLength', length);
+    array = [];
+    
+    // Add to reference table before reading contents to handle circular references
+    note(info, { index: addReference(info, info.amf3ObjectReferences, array) });
+    state = track(info, start, array);
+    if (state) state.count = length;
   }
   
-  var length = header >> 1;
-  var array = [];
-  
-  // Add to reference table before reading contents to handle circular references
-  info.amf3ObjectReferences.push(array);
-  
-  // Read associative part (string keys)
-  var key = readAmf3String(buffer, info);
-  while (key !== '') {
-    array[key] = readAmf3(buffer, info);
-    key = readAmf3String(buffer, info);
+  // Read associative part (string keys), checkpointed as member -1
+  var key = state && state.named ? state.name : undefined;
+  while (i < 0) {
+    if (undefined === key) key = readAmf3Name(buffer, info, state, -1);
+    if (key === '') break;
+    enter(info, key);
+    setMember(info, array, key, readAmf3(buffer, info));
+    info.path.pop();
+    key = undefined;
   }
+  if (i < 0) i = 0;
   
   // Read dense part (numeric indices)
-  for (var i = 0; i < length; i++) {
+  for (; i < length; i++) {
+    checkpoint(info, state, i);
+    enter(info, i);
     array.push(readAmf3(buffer, info));
+    info.path.pop();
   }
   
+  untrack(info, state);
   return array;
 }
 
 function readAmf3Object (buffer, info) {
-  var header = readAmf3Integer(buffer, info);
+  var start = info.offset;
+  var state = resume(info, start);
+  if (state) return readAmf3Members(buffer, info, state.value, state.propertyNames, state.dynamic, state);
+
+  var header = readAmf3U29(buffer, info);
+  note(info, { u29: header });
   var isReference = (header & 1) === 0;
   
   if (isReference) {
@@ -415,6 +755,7 @@ function readAmf3Object (buffer, info) {
     if (refIndex >= info.amf3ObjectReferences.length) {
       throw new Error('Invalid object reference: ' + refIndex);
     }
+    note(info, { index: refIndex, reference: true });
     return info.amf3ObjectReferences[refIndex];
   }
   
@@ -432,6 +773,7 @@ function readAmf3Object (buffer, info) {
       throw new Error('Invalid trait reference: ' + traitRefIndex);
     }
     var trait = info.amf3TraitReferences[traitRefIndex];
+    note(info, { traits: { index: traitRefIndex, reference: true } });
     className = trait.className;
     propertyNames = trait.propertyNames;
     isExternalizable = trait.isExternalizable;
@@ -454,45 +796,97 @@ function readAmf3Object (buffer, info) {
       propertyNames.push(propName);
     }
     
-    info.amf3TraitReferences.push(trait);
+    note(info, { traits: { index: addReference(info, info.amf3TraitReferences, trait) } });
   }
   
-  // Create object
-  var object = {};
-  if (className) {
+  // Create object, as an instance of the registered class if there is one
+  var Constructor = className && registry.getClassByAlias(className);
+  var object = Constructor ? Object.create(Constructor.prototype) : createObject(info);
+  if (className && !Constructor) {
     object.__className__ = className;
   }
   
   // Add to reference table before reading contents to handle circular references
-  info.amf3ObjectReferences.push(object);
+  var refIndex = addReference(info, info.amf3ObjectReferences, object);
+  note(info, { index: refIndex });
   
   // Handle externalizable objects
   if (isExternalizable) {
-    // For externalizable objects, we can't decode them without custom logic
-    // Just return the object with a flag indicating it's externalizable
-    object.__externalizable__ = true;
-    return object;
+    return readAmf3Externalizable(buffer, info, className, object, refIndex);
   }
   
+  state = track(info, start, object);
+  if (state) {
+    state.propertyNames = propertyNames;
+    state.dynamic = isDynamic;
+  }
+  return readAmf3Members(buffer, info, object, propertyNames, isDynamic, state);
+}
+
+// reads the sealed, then the dynamic members of an object, checkpointed as
+// members 0 to `propertyNames.length`
+function readAmf3Members (buffer, info, object, propertyNames, isDynamic, state) {
+  var i = state ? state.index : 0;
+
   // Read sealed properties
-  for (var i = 0; i < propertyNames.length; i++) {
-    object[propertyNames[i]] = readAmf3(buffer, info);
+  for (; i < propertyNames.length; i++) {
+    checkpoint(info, state, i);
+    enter(info, propertyNames[i]);
+    setMember(info, object, propertyNames[i], readAmf3(buffer, info));
+    info.path.pop();
   }
   
   // Read dynamic properties
-  if (isDynamic) {
-    var key = readAmf3String(buffer, info);
-    while (key !== '') {
-      object[key] = readAmf3(buffer, info);
-      key = readAmf3String(buffer, info);
-    }
+  var key = state && state.named ? state.name : undefined;
+  while (isDynamic) {
+    if (undefined === key) key = readAmf3Name(buffer, info, state, i);
+    if (key === '') break;
+    enter(info, key);
+    setMember(info, object, key, readAmf3(buffer, info));
+    info.path.pop();
+    key = undefined;
   }
   
+  untrack(info, state);
   return object;
 }
 
-function readAmf3XML (buffer, info, isAvmPlus) {
-  var header = readAmf3Integer(buffer, info);
+function readAmf3Externalizable (buffer, info, className, object, refIndex) {
+  // the body has no length prefix, so it can only be skipped by the
+  // class's own `readExternal()` logic
+  var handler = registry.getClassHandler(className);
+  if (!handler) {
+    throw new Error('No handler registered for externalizable class: ' + className);
+  }
+
+  // each value the class reads is a level deeper, named by its position
+  var count = 0;
+  note(info, { external: info.offset });
+  var input = new DataInput(buffer, info, function () {
+    enter(info, count++);
+    var value = readAmf3(buffer, info);
+    info.path.pop();
+    return value;
+  }, info);
+  // the class's own reader cannot pick up halfway, so nothing it reads keeps
+  // checkpoints either
+  var resumable = info.resume;
+  if (resumable) info.resume = null;
+  try {
+    var result = handler.read(input, object);
+  } finally {
+    if (resumable) info.resume = resumable;
+  }
+  if (undefined === result) return object;
+
+  // the handler built its own value, make references point to it instead
+  info.amf3ObjectReferences[refIndex] = result;
+  return result;
+}
+
+function readAmf3XML (buffer, info, xmlType) {
+  var header = readAmf3U29(buffer, info);
+  note(info, { u29: header });
   var isReference = (header & 1) === 0;
   
   if (isReference) {
@@ -500,29 +894,31 @@ function readAmf3XML (buffer, info, isAvmPlus) {
     if (refIndex >= info.amf3ObjectReferences.length) {
       throw new Error('Invalid XML reference: ' + refIndex);
     }
+    note(info, { index: refIndex, reference: true });
     return info.amf3ObjectReferences[refIndex];
   }
   
   var length = header >> 1;
+  limits.check(info.limits, 'maxStringLength', length);
   
-  var offset = info.offset;
-  bytesUsed(info, length);
+  var offset = take(buffer, info, length);
   var xmlStr = buffer.toString('utf8', offset, offset + length);
   
   // Create XML object
   var xml = {
-    __type__: isAvmPlus ? 'XMLDocument' : 'XML',
+    __type__: xmlType,
     toString: function() { return xmlStr; }
   };
   
   // Add to reference table
-  info.amf3ObjectReferences.push(xml);
+  note(info, { index: addReference(info, info.amf3ObjectReferences, xml) });
   
   return xml;
 }
 
 function readAmf3ByteArray (buffer, info) {
-  var header = readAmf3Integer(buffer, info);
+  var header = readAmf3U29(buffer, info);
+  note(info, { u29: header });
   var isReference = (header & 1) === 0;
   
   if (isReference) {
@@ -530,18 +926,165 @@ function readAmf3ByteArray (buffer, info) {
     if (refIndex >= info.amf3ObjectReferences.length) {
       throw new Error('Invalid ByteArray reference: ' + refIndex);
     }
+    note(info, { index: refIndex, reference: true });
     return info.amf3ObjectReferences[refIndex];
   }
   
   var length = header >> 1;
+  limits.check(info.limits, 'maxByteArrayLength', length);
   
-  var offset = info.offset;
-  bytesUsed(info, length);
+  var offset = take(buffer, info, length);
   var byteArray = Buffer.alloc(length);
   buffer.copy(byteArray, 0, offset, offset + length);
   
   // Add to reference table
-  info.amf3ObjectReferences.push(byteArray);
+  note(info, { index: addReference(info, info.amf3ObjectReferences, byteArray) });
   
   return byteArray;
 }
+
+function readAmf3NumberVector (buffer, info, type) {
+  var header = readAmf3U29(buffer, info);
+  note(info, { u29: header });
+  var isReference = (header & 1) === 0;
+
+  if (isReference) {
+    var refIndex = header >> 1;
+    if (refIndex >= info.amf3ObjectReferences.length) {
+      throw new Error('Invalid Vector reference: ' + refIndex);
+    }
+    note(info, { index: refIndex, reference: true });
+    return info.amf3ObjectReferences[refIndex];
+  }
+
+  var length = header >> 1;
+  limits.check(info.limits, 'maxArrayLength', length);
+  var fixed = buffer.readUInt8(take(buffer, info, 1)) !== 0;
+
+  // Vector.<int>, Vector.<uint> and Vector.<Number> map onto typed arrays
+  var vector, offset;
+  if (type === amf3Types.kVectorIntType) {
+    offset = take(buffer, info, length * 4);
+    vector = new Int32Array(length);
+    for (var i = 0; i < length; i++) vector[i] = buffer.readInt32BE(offset + i * 4);
+  } else if (type === amf3Types.kVectorUintType) {
+    offset = take(buffer, info, length * 4);
+    vector = new Uint32Array(length);
+    for (var i = 0; i < length; i++) vector[i] = buffer.readUInt32BE(offset + i * 4);
+  } else {
+    offset = take(buffer, info, length * 8);
+    vector = new Float64Array(length);
+    for (var i = 0; i < length; i++) vector[i] = buffer.readDoubleBE(offset + i * 8);
+  }
+  hide(vector, '__fixed__', fixed);
+
+  // Add to reference table
+  note(info, { index: addReference(info, info.amf3ObjectReferences, vector) });
+
+  return vector;
+}
+
+function readAmf3ObjectVector (buffer, info) {
+  var vector, length;
+  var i = 0;
+  var start = info.offset;
+  var state = resume(info, start);
+  if (state) {
+    vector = state.value;
+    length = state.count;
+    i = state.index;
+  } else {
+    var header = readAmf3U29(buffer, info);
+    note(info, { u29: header });
+    var isReference = (header & 1) === 0;
+
+    if (isReference) {
+      var refIndex = header >> 1;
+      if (refIndex >= info.amf3ObjectReferences.length) {
+        throw new Error('Invalid Vector reference: ' + refIndex);
+      }
+      note(info, { index: refIndex, reference: true });
+      return info.amf3ObjectReferences[refIndex];
+    }
+
+    length = header >> 1;
+    limits.check(info.limits, 'maxArrayLength', length);
+    var fixed = buffer.readUInt8(take(buffer, info, 1)) !== 0;
+
+    // Vector.<Object> is a regular Array that remembers its element type name
+    vector = [];
+    hide(vector, '__vectorType__', readAmf3String(buffer, info));
+    hide(vector, '__fixed__', fixed);
+
+    // Add to reference table before reading contents to handle circular references
+    note(info, { index: addReference(info, info.amf3ObjectReferences, vector) });
+    state = track(info, start, vector);
+    if (state) state.count = length;
+  }
+
+  for (; i < length; i++) {
+    checkpoint(info, state, i);
+    enter(info, i);
+    vector.push(readAmf3(buffer, info));
+    info.path.pop();
+  }
+
+  untrack(info, state);
+  return vector;
+}
+
+function readAmf3Dictionary (buffer, info) {
+  var dictionary, size;
+  var i = 0;
+  var start = info.offset;
+  var state = resume(info, start);
+  if (state) {
+    dictionary = state.value;
+    size = state.count;
+    i = state.index;
+  } else {
+    var header = readAmf3U29(buffer, info);
+    note(info, { u29: header });
+    var isReference = (header & 1) === 0;
+
+    if (isReference) {
+      var refIndex = header >> 1;
+      if (refIndex >= info.amf3ObjectReferences.length) {
+        throw new Error('Invalid Dictionary reference: ' + refIndex);
+      }
+      note(info, { index: refIndex, reference: true });
+      return info.amf3ObjectReferences[refIndex];
+    }
+
+    size = header >> 1;
+    limits.check(info.limits, 'maxArrayLength', size);
+    var weakKeys = buffer.readUInt8(take(buffer, info, 1)) !== 0;
+
+    // a Map keeps non-String keys (Objects, Numbers, ...) intact
+    dictionary = new Map();
+    if (weakKeys) hide(dictionary, '__weakKeys__', true);
+
+    // Add to reference table before reading contents to handle circular references
+    note(info, { index: addReference(info, info.amf3ObjectReferences, dictionary) });
+    state = track(info, start, dictionary);
+    if (state) state.count = size;
+  }
+
+  // keys can be anything, Objects included, so they get a checkpoint too
+  var named = state && state.named;
+  var key = named ? state.name : undefined;
+  for (; i < size; i++) {
+    enter(info, i);
+    if (!named) {
+      checkpoint(info, state, i);
+      key = readAmf3(buffer, info);
+      checkpoint(info, state, i, key);
+    }
+    named = false;
+    dictionary.set(key, readAmf3(buffer, info));
+    info.path.pop();
+  }
+
+  untrack(info, state);
+  return dictionary;
+}
@@ -0,0 +1,152 @@
+/**
+ * Module exports.
+ */
+
+exports.registerClassAlias = registerClassAlias;
+exports.getClassByAlias = getClassByAlias;
+exports.getAliasByClass = getAliasByClass;
+exports.getClassTraits = getClassTraits;
+exports.registerClass = registerClass;
+exports.getClassHandler = getClassHandler;
+
+/**
+ * Class alias tables, shared by every reader and writer in the process.
+ */
+
+var classesByAlias = new Map();
+var aliasesByClass = new Map();
+var traitsByAlias = new Map();
+var handlersByAlias = new Map();
+
+// built-in Flex collection classes
+var flex = require('./flex');
+Object.keys(flex.handlers).forEach(function (name) {
+  handlersByAlias.set(name, flex.handlers[name]);
+});
+
+// built-in Flex messaging classes, in their full and small forms
+var messages = require('./messages');
+Object.keys(messages.aliases).forEach(function (name) {
+  registerClassAlias(name, messages.aliases[name].Constructor, { sealed: messages.aliases[name].sealed });
+});
+Object.keys(messages.handlers).forEach(function (name) {
+  handlersByAlias.set(name, messages.handlers[name]);
+});
+
+/**
+ * Maps an AMF class name to a JavaScript class, like ActionScript's
+ * `flash.net.registerClassAlias()`.
+ *
+ * Decoded objects whose class name is `alias` become instances of
+ * `Constructor` (created with `Object.create()`, the constructor itself is not
+ * invoked), and instances of `Constructor` are written with `alias` as their
+ * class name. Registering an alias again replaces the previous class.
+ *
+ * Instances are written with all of their properties as sealed members unless
+ * `options.sealed` lists the sealed member names; extra properties are then
+ * only written when `options.dynamic` is true.
+ *
+ * @param {String} alias The fully qualified AMF class name.
+ * @param {Function} Constructor The JavaScript class.
+ * @param {Object} [options] `{ sealed: Array, dynamic: Boolean }` trait declaration.
+ * @api public
+ */
+
+function registerClassAlias (alias, Constructor, options) {
+  if ('string' != typeof alias || !alias) {
+    throw new TypeError('class alias must be a non-empty String');
+  }
+  if ('function' != typeof Constructor || Constructor === Object) {
+    throw new TypeError('class alias "' + alias + '" must map to a class');
+  }
+
+  var previous = classesByAlias.get(alias);
+  if (previous) aliasesByClass.delete(previous);
+  var previousAlias = aliasesByClass.get(Constructor);
+  if (previousAlias) classesByAlias.delete(previousAlias);
+
+  classesByAlias.set(alias, Constructor);
+  aliasesByClass.set(Constructor, alias);
+
+  traitsByAlias.delete(alias);
+  if (options && (options.sealed || options.dynamic)) {
+    if (options.sealed && !Array.isArray(options.sealed)) {
+      throw new TypeError('sealed members of "' + alias + '" must be an Array of names');
+    }
+    traitsByAlias.set(alias, {
+      sealed: (options.sealed || []).slice(),
+      dynamic: !!options.dynamic
+    });
+  }
+}
+
+/**
+ * Returns the class registered for `alias`, if any.
+ *
+ * @param {String} alias
+ * @return {Function|undefined}
+ * @api public
+ */
+
+function getClassByAlias (alias) {
+  return classesByAlias.get(alias);
+}
+
+/**
+ * Returns the alias registered for `Constructor`, if any.
+ *
+ * @param {Function} Constructor
+ * @return {String|undefined}
+ * @api private
+ */
+
+function getAliasByClass (Constructor) {
+  return aliasesByClass.get(Constructor);
+}
+
+/**
+ * Returns the trait declaration registered for `alias`, if any.
+ *
+ * @param {String} alias
+ * @return {Object|undefined}
+ * @api private
+ */
+
+function getClassTraits (alias) {
+  return traitsByAlias.get(alias);
+}
+
+/**
+ * Registers the `readExternal()`/`writeExternal()` logic for an AMF3
+ * externalizable class. `handler.read(input, object)` receives a `DataInput`
+ * and the freshly created object (an instance of the aliased class, if any),
+ * and may return a different value to use instead. `handler.write(output,
+ * object)` receives a `DataOutput`. Objects whose class name has a handler are
+ * always written as externalizable.
+ *
+ * @param {String} name The fully qualified AMF class name.
+ * @param {Object} handler Object with `read(input, object)` and `write(output, object)` functions.
+ * @api public
+ */
+
+function registerClass (name, handler) {
+  if ('string' != typeof name || !name) {
+    throw new TypeError('externalizable class name must be a non-empty String');
+  }
+  if (!handler || 'function' != typeof handler.read || 'function' != typeof handler.write) {
+    throw new TypeError('externalizable class "' + name + '" needs `read()` and `write()` functions');
+  }
+  handlersByAlias.set(name, handler);
+}
+
+/**
+ * Returns the externalizable handler registered for `name`, if any.
+ *
+ * @param {String} name
+ * @return {Object|undefined}
+ * @api private
+ */
+
+function getClassHandler (name) {
+  return handlersByAlias.get(name);
+}
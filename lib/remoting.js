@@ -2,35 +2,66 @@
 
 var read = require('./read');
 var write = require('./write');
+var Writer = require('./writer');
+var amf0Types = require('./constants').amf0Types;
+var limits = require('./limits');
+var AMFDecodeError = require('./errors').AMFDecodeError;
+var RemotingFault = require('./errors').RemotingFault;
+var messages = require('./messages');
 
 /**
  * Decode an AMF Remoting packet (AMF0 envelope with AMF0/AMF3 bodies).
  * Commonly used by games such as Ninja Saga.
  *
+ * Truncated or malformed packets throw an `AMFDecodeError` whose `path`
+ * starts at the envelope, e.g. `messages[0].body.args[1]`. The resource
+ * limits accepted by `read()` apply to every header and body, and
+ * `maxTotalBytes` and `maxArrayLength` also to the packet and its counts.
+ *
  * @param {Buffer} buffer
  * @param {Object} [options]
  * @return {Object}
  */
 exports.decodePacket = function decodePacket (buffer, options) {
   options = options || {};
-  var offset = options.offset || 0;
+  var start = options.offset || 0;
+  var offset = start;
+  var packetLimits = limits.resolve(options);
+  // `maxTotalBytes` counts the bytes of the packet from `start`: the
+  // envelope up to each header or message, and what the bodies take of what
+  // is left
+  function total (path) {
+    checkLimit(packetLimits, 'maxTotalBytes', offset - start, offset, path);
+  }
+  function remaining () {
+    return packetLimits.maxTotalBytes - (offset - start);
+  }
+  need(buffer, offset, 4, 'version');
   var version = buffer.readUInt16BE(offset);
   offset += 2;
 
   var headerCount = buffer.readUInt16BE(offset);
+  checkLimit(packetLimits, 'maxArrayLength', headerCount, offset, 'headers');
   offset += 2;
   var headers = [];
 
   for (var i = 0; i < headerCount; i++) {
-    var headerName = readUtf8(buffer, offset);
+    var headerName = readUtf8(buffer, offset, 'headers[' + i + '].name');
     offset = headerName.offset;
+    need(buffer, offset, 5, 'headers[' + i + '].length');
     var mustUnderstand = buffer.readUInt8(offset) === 1;
     offset += 1;
     var contentLength = buffer.readInt32BE(offset);
     offset += 4;
 
+    total('headers[' + i + ']');
     var valueOffset = offset;
-    var info = { offset: valueOffset, version: 0 };
+    var info = Object.assign({}, options, {
+      offset: valueOffset,
+      version: 0,
+      path: ['headers', i, 'value'],
+      maxTotalBytes: remaining()
+    });
     var value = read(buffer, info);
     var consumed = info.offset - valueOffset;
 
@@ -49,20 +80,30 @@ exports.decodePacket = function decodePacket (buffer, options) {
     });
   }
 
+  total('messages');
+  need(buffer, offset, 2, 'messages');
   var messageCount = buffer.readUInt16BE(offset);
+  checkLimit(packetLimits, 'maxArrayLength', messageCount, offset, 'messages');
   offset += 2;
   var messages = [];
 
   for (var j = 0; j < messageCount; j++) {
-    var targetUri = readUtf8(buffer, offset);
+    var targetUri = readUtf8(buffer, offset, 'messages[' + j + '].targetUri');
     offset = targetUri.offset;
-    var responseUri = readUtf8(buffer, offset);
+    var responseUri = readUtf8(buffer, offset, 'messages[' + j + '].responseUri');
     offset = responseUri.offset;
+    need(buffer, offset, 4, 'messages[' + j + '].length');
     var bodyLength = buffer.readInt32BE(offset);
     offset += 4;
 
+    total('messages[' + j + ']');
     var bodyOffset = offset;
-    var bodyInfo = { offset: bodyOffset, version: 0 };
+    var bodyInfo = Object.assign({}, options, {
+      offset: bodyOffset,
+      version: 0,
+      path: ['messages', j, 'body'],
+      maxTotalBytes: remaining()
+    });
     var body = read(buffer, bodyInfo);
     var bodyConsumed = bodyInfo.offset - bodyOffset;
 
@@ -81,18 +122,22 @@ exports.decodePacket = function decodePacket (buffer, options) {
     });
   }
 
+  total('');
   return {
     version: version,
     headers: headers,
     messages: messages,
-    byteLength: offset - (options.offset || 0)
+    byteLength: offset - start
   };
 };
 
 /**
  * Encode an AMF Remoting packet. The default envelope uses AMF0, with bodies
  * optionally switching to AMF3 when the payload object has the `__amf3__`
- * marker (the same convention used by the core encoder).
+ * marker (the same convention used by the core encoder). Headers and
+ * messages with an `objectEncoding` of 3 are AVM+ values, except for strict
+ * Arrays (`__strict__`) of call arguments: those stay AMF0 strict Arrays of
+ * AVM+ values, the way NetConnection sends them.
  *
  * @param {Object} packet
  * @param {Object} [options]
@@ -100,84 +145,316 @@ exports.decodePacket = function decodePacket (buffer, options) {
  */
 exports.encodePacket = function encodePacket (packet, options) {
   options = options || {};
-  var headers = packet.headers || [];
-  var messages = packet.messages || [];
-  var buffer = options.buffer || Buffer.alloc(options.size || 1024 * 1024);
+  var out = new Writer();
+  writePacket(out, packet, options);
+
+  if (!options.buffer) return out.toBuffer();
+
+  // caller-supplied Buffer: copy the envelope in at `options.offset`
   var offset = options.offset || 0;
+  if (offset + out.length > options.buffer.length) {
+    throw new RangeError('Attempt to write ' + out.length + ' bytes at offset ' +
+      offset + ', out of range of the Buffer with length ' + options.buffer.length);
+  }
+  out.buffer.copy(options.buffer, offset, 0, out.length);
+  return options.buffer.slice(offset, offset + out.length);
+};
 
-  buffer.writeUInt16BE(packet.version || 0, offset);
-  offset += 2;
+/**
+ * Appends an AMF Remoting packet to the Writer `out`. The `write()` options
+ * apply to every header and body, whose error paths start at the envelope,
+ * e.g. `messages[0].body[1]`. With `options.unknownLength` they are all
+ * written with a length of -1 (unknown), so `out` never has to go back and
+ * patch bytes it may already have handed on.
+ *
+ * @param {Writer} out
+ * @param {Object} packet
+ * @param {Object} [options]
+ * @api private
+ */
 
-  buffer.writeUInt16BE(headers.length, offset);
-  offset += 2;
+exports.writePacket = writePacket;
+
+function writePacket (out, packet, options) {
+  options = options || {};
+  var headers = packet.headers || [];
+  var messages = packet.messages || [];
+
+  // streaming encoders pause packets like values (see `write()`), keeping
+  // how far the packet got in `options.resume.packet`
+  var resume = options.resume;
+  var state = resume && resume.packet;
+  if (!state) {
+    out.writeUInt16BE(packet.version || 0);
+    out.writeUInt16BE(headers.length);
+    if (resume) state = resume.packet = { index: 0, body: null };
+  }
+  var index = state ? state.index : 0;
 
-  for (var i = 0; i < headers.length; i++) {
+  for (var i = index; i < headers.length; i++) {
     var header = headers[i];
-    offset = writeUtf8(buffer, offset, header.name || '');
-    buffer.writeUInt8(header.mustUnderstand ? 1 : 0, offset);
-    offset += 1;
+    if (!checkpoint(out, state, i)) {
+      writeUtf8(out, header.name || '');
+      out.writeUInt8(header.mustUnderstand ? 1 : 0);
+    }
+    writeBody(out, header.value, header.objectEncoding, options, [ 'headers', i, 'value' ], state);
+  }
 
-    var headerBuffer = encodeValue(header.value, header.objectEncoding, options.sectionSize);
-    buffer.writeInt32BE(headerBuffer.length, offset);
-    offset += 4;
-    headerBuffer.copy(buffer, offset);
-    offset += headerBuffer.length;
+  if (index <= headers.length) out.writeUInt16BE(messages.length);
+
+  for (var j = Math.max(0, index - headers.length - 1); j < messages.length; j++) {
+    checkpoint(out, state, headers.length + 1 + j);
+    if (Buffer.isBuffer(messages[j])) out.writeBytes(messages[j]);
+    else writeMessage(out, messages[j], options, j, state);
   }
+}
 
-  buffer.writeUInt16BE(messages.length, offset);
-  offset += 2;
+// the packet is about to write its `index`-th part: true when it goes back
+// into the body it stopped in instead
+function checkpoint (out, state, index) {
+  if (!state) return false;
+  if (state.body) return true;
+  state.index = index;
+  if (out.paused) throw write.PAUSE;
+  return false;
+}
+
+/**
+ * Appends one message of a remoting packet to the Writer `out`, at `index`
+ * in the packet as far as error paths go. `writePacket()` copies messages
+ * already written this way (given as Buffers) as they are, so each one can
+ * be encoded, and fail, on its own.
+ *
+ * @param {Writer} out
+ * @param {Object} message
+ * @param {Object} [options]
+ * @param {Number} [index]
+ * @param {Object} [state] where `writePacket()` stopped, when it did
+ * @api private
+ */
 
-  for (var j = 0; j < messages.length; j++) {
-    var message = messages[j];
-    offset = writeUtf8(buffer, offset, message.targetUri || '');
-    offset = writeUtf8(buffer, offset, message.responseUri || '');
+exports.writeMessage = writeMessage;
 
-    var messageBuffer = encodeValue(message.body, message.objectEncoding, options.sectionSize);
-    buffer.writeInt32BE(messageBuffer.length, offset);
-    offset += 4;
-    messageBuffer.copy(buffer, offset);
-    offset += messageBuffer.length;
+function writeMessage (out, message, options, index, state) {
+  if (!(state && state.body)) {
+    writeUtf8(out, message.targetUri || '');
+    writeUtf8(out, message.responseUri || '');
   }
+  writeBody(out, message.body, message.objectEncoding, options || {}, [ 'messages', index || 0, 'body' ], state);
+}
 
-  return buffer.slice(options.offset || 0, offset);
+/**
+ * Pairs each message of a request packet with its answer in the response
+ * packet, which the server sends to `<responseUri>/onResult` or
+ * `<responseUri>/onStatus`. Both packets may be given decoded or as Buffers
+ * (decoded with `options`).
+ *
+ * Every call comes back as `{ targetUri, responseUri, request, response,
+ * status, result, error }`, `status` being `'result'`, `'fault'` or
+ * `'missing'`. Faults and missing answers have a `RemotingFault` as `error`.
+ * Flex replies are unwrapped: the `body` of an `AcknowledgeMessage` is the
+ * `result`, and an `ErrorMessage` is a fault wherever it shows up. Response
+ * messages that answer no call (or one that was already answered) are
+ * listed in `unexpected`.
+ *
+ * @param {Object|Buffer} request
+ * @param {Object|Buffer} response
+ * @param {Object} [options]
+ * @return {Object} `{ calls, unexpected }`
+ */
+exports.pairResponses = function pairResponses (request, response, options) {
+  if (Buffer.isBuffer(request)) request = exports.decodePacket(request, options);
+  if (Buffer.isBuffer(response)) response = exports.decodePacket(response, options);
+
+  var byUri = new Map();
+  var calls = (request.messages || []).map(function (message) {
+    var call = {
+      targetUri: message.targetUri,
+      responseUri: message.responseUri,
+      request: message,
+      response: null,
+      status: 'missing',
+      result: undefined,
+      error: null
+    };
+    if (!byUri.has(message.responseUri)) byUri.set(message.responseUri, call);
+    return call;
+  });
+
+  var unexpected = [];
+  (response.messages || []).forEach(function (message) {
+    var match = /^(.*)\/(onResult|onStatus)$/.exec(message.targetUri || '');
+    var call = match && byUri.get(match[1]);
+    if (!call || call.response) {
+      unexpected.push(message);
+      return;
+    }
+    call.response = message;
+    settle(call, message.body, 'onStatus' === match[2]);
+  });
+
+  calls.forEach(function (call) {
+    if (call.response) return;
+    call.error = new RemotingFault('No response to ' + describeCall(call), {
+      code: 'Client.NoResponse',
+      targetUri: call.targetUri,
+      responseUri: call.responseUri
+    });
+  });
+
+  return { calls: calls, unexpected: unexpected };
+};
+
+/**
+ * Returns the results of a request packet's calls, in order, like
+ * `pairResponses()` does, but throws the `RemotingFault` of the first call
+ * that failed or got no answer.
+ *
+ * @param {Object|Buffer} request
+ * @param {Object|Buffer} response
+ * @param {Object} [options]
+ * @return {Array}
+ */
+exports.getResults = function getResults (request, response, options) {
+  return exports.pairResponses(request, response, options).calls.map(function (call) {
+    if (call.error) throw call.error;
+    return call.result;
+  });
+};
+
+/**
+ * Creates an http request handler (and connect/express middleware) that
+ * answers remoting packets by calling registered services; see
+ * `gateway.js`.
+ *
+ * @param {Object} [services] `{ Service: { method() {} } }` or
+ *   `{ 'Service.method': function () {} }`.
+ * @param {Object} [options]
+ * @return {Function}
+ */
+exports.createGateway = function createGateway (services, options) {
+  // gateway.js builds on this module, so it is loaded once this one is
+  return require('./gateway').createGateway(services, options);
 };
 
-function readUtf8 (buffer, offset) {
+function settle (call, body, isStatus) {
+  var flex = body instanceof messages.AcknowledgeMessage ? messages.parseResponse(body) : null;
+  if (!isStatus && !(flex && 'error' === flex.type)) {
+    call.status = 'result';
+    call.result = flex ? flex.body : body;
+    return;
+  }
+
+  call.status = 'fault';
+  var fault = { body: body, targetUri: call.targetUri, responseUri: call.responseUri };
+  var description;
+  if (flex && 'error' === flex.type) {
+    fault.code = flex.faultCode;
+    fault.details = flex.faultDetail;
+    fault.rootCause = flex.rootCause;
+    fault.extendedData = flex.extendedData;
+    fault.flexMessage = body;
+    description = flex.faultString;
+  } else if (body && 'object' == typeof body) {
+    // AMF0 status objects: { level, code, description, details }
+    fault.code = body.code;
+    fault.level = body.level;
+    fault.details = body.details;
+    description = body.description;
+  } else if (null != body) {
+    description = String(body);
+  }
+  call.error = new RemotingFault(description || describeCall(call) + ' failed', fault);
+}
+
+function describeCall (call) {
+  // Flex calls all go to "null", the message says what they are
+  var body = call.request.body;
+  var flex = Array.isArray(body) && body[0] instanceof messages.RemotingMessage ? body[0] : null;
+  var target = flex ? flex.destination + '.' + flex.operation : call.targetUri || 'call';
+  return target + ' (' + call.responseUri + ')';
+}
+
+// envelope fields are read directly off the Buffer, so check that they are
+// all there before doing so
+function need (buffer, offset, n, path) {
+  if (offset + n > buffer.length) {
+    throw new AMFDecodeError('Unexpected end of buffer', {
+      offset: offset,
+      version: 0,
+      path: path,
+      truncated: true
+    });
+  }
+}
+
+function checkLimit (packetLimits, name, value, offset, path) {
+  try {
+    limits.check(packetLimits, name, value);
+  } catch (err) {
+    throw new AMFDecodeError(err.message, { offset: offset, version: 0, path: path, limit: name });
+  }
+}
+
+function readUtf8 (buffer, offset, path) {
+  need(buffer, offset, 2, path);
   var length = buffer.readUInt16BE(offset);
   offset += 2;
+  need(buffer, offset, length, path);
   var value = buffer.toString('utf8', offset, offset + length);
   offset += length;
   return { value: value, offset: offset };
 }
 
-function writeUtf8 (buffer, offset, value) {
+function writeUtf8 (out, value) {
   var str = value || '';
   var byteLength = Buffer.byteLength(str, 'utf8');
   if (byteLength > 0xFFFF) {
     throw new RangeError('String too long for AMF0 UTF-8: ' + byteLength + ' bytes');
   }
-  buffer.writeUInt16BE(byteLength, offset);
-  offset += 2;
-  buffer.write(str, offset, byteLength, 'utf8');
-  return offset + byteLength;
+  out.writeUInt16BE(byteLength);
+  out.writeUtf8(str, byteLength);
 }
 
-function encodeValue (value, objectEncoding, sectionSize) {
-  var version = objectEncoding === 3 ? 3 : 0;
-  var size = sectionSize || 128 * 1024;
-
-  while (true) {
-    var buf = Buffer.alloc(size);
-    var info = { offset: 0, version: version };
-    try {
-      write(buf, value, info);
-      return buf.slice(0, info.offset);
-    } catch (err) {
-      if (err && /out of range/i.test(err.message) && size < 16 * 1024 * 1024) {
-        size *= 2;
-        continue;
+/**
+ * Writes a header or message body preceded by its Int32 byte length. The
+ * length starts out as -1 and is patched once the body has been written,
+ * unless `options.unknownLength` asks to leave it that way.
+ */
+
+function writeBody (out, value, objectEncoding, options, path, state) {
+  // NetConnection sends the arguments of AMF3 calls as an AMF0 strict Array
+  // of AVM+ values
+  var strict = objectEncoding === 3 && Array.isArray(value) && value.__strict__;
+  // a body the packet stopped in goes on with the infos it had
+  var body = state && state.body;
+  if (!body) {
+    body = { lengthOffset: out.length, index: 0, element: null };
+    out.writeInt32BE(-1);
+    body.info = Object.assign({}, options, { offset: 0, version: 0, path: path });
+    if (strict) {
+      out.writeUInt8(amf0Types.kStrictArrayType);
+      out.writeUInt32BE(value.length);
+    } else if (objectEncoding === 3) {
+      // the envelope is AMF0, so AMF3 bodies switch over with the AVM+ marker
+      out.writeUInt8(amf0Types.kAvmPlusObjectType);
+      body.info.version = 3;
+    }
+    if (state) state.body = body;
+  }
+  if (strict) {
+    for (var i = body.index; i < value.length; i++) {
+      if (!body.element) {
+        out.writeUInt8(amf0Types.kAvmPlusObjectType);
+        body.index = i;
+        body.element = Object.assign({}, body.info, { version: 3, path: path.concat(i) });
       }
-      throw err;
+      write(out, value[i], body.element);
+      body.element = null;
     }
+  } else {
+    write(out, value, body.info);
   }
+  if (state) state.body = null;
+  if (!options.unknownLength) out.setInt32BE(out.length - body.lengthOffset - 4, body.lengthOffset);
 }
@@ -0,0 +1,372 @@
+'use strict';
+
+var Transform = require('stream').Transform;
+var util = require('util');
+var read = require('./read');
+var write = require('./write');
+var Writer = require('./writer');
+var remoting = require('./remoting');
+var errors = require('./errors');
+
+/**
+ * Module exports.
+ */
+
+exports.ChunkDecoder = ChunkDecoder;
+exports.DecodeStream = DecodeStream;
+exports.decodeValues = decodeValues;
+exports.EncodeStream = EncodeStream;
+
+// reference tables that can outlive a single value
+var TABLES = [ 'references', 'amf3StringReferences', 'amf3ObjectReferences', 'amf3TraitReferences' ];
+
+/**
+ * Incremental decoder for back-to-back AMF values arriving in arbitrary
+ * chunks. `write()` returns every value completed by the new bytes as
+ * `{ value, offset, byteLength }` records, `offset` counting from the start of
+ * the input.
+ *
+ * Options are those of `read()`, plus:
+ *
+ *  - `objectEncoding`: `0` (the default, switching to AMF3 on AVM+ markers)
+ *    or `3` for raw AMF3 values
+ *  - `resetReferences`: `'value'` (the default) starts every value with empty
+ *    reference tables, `'never'` keeps them for the whole input, and a
+ *    Function is called with each record and resets them when it returns true
+ *
+ * @param {Object} [options]
+ * @api public
+ */
+
+function ChunkDecoder (options) {
+  this.options = options || {};
+  this.version = this.options.objectEncoding === 3 ? 3 : 0;
+  this.resetReferences = this.options.resetReferences || 'value';
+  // the `length` bytes not decoded yet start at `start` in `buffer`, which
+  // has room to append more after them
+  this.buffer = Buffer.alloc(0);
+  this.start = 0;
+  this.length = 0;
+  // how many of them the last attempt ran out at, and the checkpoints it
+  // left to carry on from (see `read.js`)
+  this.needed = 0;
+  this.resume = null;
+  this.position = 0;
+  this.tables = {};
+}
+
+ChunkDecoder.prototype.write = function (chunk) {
+  this._append(chunk);
+  if (this.length < this.needed) return [];
+
+  var buffer = this.buffer.slice(this.start, this.start + this.length);
+  var records = [];
+  var offset = 0;
+  while (offset < buffer.length) {
+    var info = Object.assign({}, this.options, this.tables, {
+      offset: offset,
+      version: this.version,
+      resume: this.resume || { open: [] }
+    });
+    var lengths = this._lengths();
+    var value;
+    try {
+      value = read(buffer, info);
+    } catch (err) {
+      if (!err.truncated) throw errors.moveOffset(err, this.position);
+      // wait for more bytes: a read that ran past the end says how many it
+      // takes to get any further
+      this.needed = (err.cause && err.cause.needed || buffer.length + 1) - offset;
+      this._suspend(info.resume, lengths);
+      break;
+    }
+
+    var record = { value: value, offset: this.position + offset, byteLength: info.offset - offset };
+    records.push(record);
+    offset = info.offset;
+    this.needed = 0;
+    this.resume = null;
+    this._keep(info, record);
+  }
+
+  this.start += offset;
+  this.length -= offset;
+  this.position += offset;
+  return records;
+};
+
+// copies `chunk` after the bytes kept so far, moving those to a Buffer of
+// twice their size when there is no room left
+ChunkDecoder.prototype._append = function (chunk) {
+  var end = this.start + this.length;
+  if (end + chunk.length > this.buffer.length) {
+    var buffer = Buffer.allocUnsafe(Math.max(2 * (this.length + chunk.length), 16 * 1024));
+    this.buffer.copy(buffer, 0, this.start, end);
+    this.buffer = buffer;
+    this.start = 0;
+    end = this.length;
+  }
+  chunk.copy(this.buffer, end);
+  this.length += chunk.length;
+};
+
+/**
+ * Signals the end of the input. Throws an `AMFDecodeError` when it stops in
+ * the middle of a value.
+ *
+ * @api public
+ */
+
+ChunkDecoder.prototype.end = function () {
+  if (!this.length) return;
+  var err = new errors.AMFDecodeError('Unexpected end of input: ' + this.length +
+    ' bytes left over', { offset: this.position, version: this.version, truncated: true });
+  this.buffer = Buffer.alloc(0);
+  this.start = 0;
+  this.length = 0;
+  this.needed = 0;
+  this.resume = null;
+  throw err;
+};
+
+ChunkDecoder.prototype._keep = function (info, record) {
+  var policy = this.resetReferences;
+  var reset = 'function' == typeof policy ? policy(record) : policy !== 'never';
+  this.tables = {};
+  if (reset) return;
+  for (var i = 0; i < TABLES.length; i++) {
+    if (info[TABLES[i]]) this.tables[TABLES[i]] = info[TABLES[i]];
+  }
+};
+
+ChunkDecoder.prototype._lengths = function () {
+  var lengths = {};
+  for (var name in this.tables) lengths[name] = this.tables[name].length;
+  return lengths;
+};
+
+// forgets whatever the partial value added after the last checkpoint of its
+// innermost open container, or all of it when there is none
+ChunkDecoder.prototype._suspend = function (resume, lengths) {
+  var open = resume.open;
+  if (!open.length) {
+    this.resume = null;
+    for (var name in lengths) this.tables[name].length = lengths[name];
+    return;
+  }
+  var state = open[open.length - 1];
+  for (var table in state.lengths) state.tables[table].length = state.lengths[table];
+  this.resume = resume;
+};
+
+/**
+ * Transform stream over `ChunkDecoder`: write Buffers in, read
+ * `{ value, offset, byteLength }` records out. Values are wrapped because
+ * object-mode streams cannot carry a `null` value.
+ *
+ * @param {Object} [options] See `ChunkDecoder`.
+ * @api public
+ */
+
+function DecodeStream (options) {
+  if (!(this instanceof DecodeStream)) return new DecodeStream(options);
+  Transform.call(this, { readableObjectMode: true });
+  this.decoder = new ChunkDecoder(options);
+}
+util.inherits(DecodeStream, Transform);
+
+DecodeStream.prototype._transform = function (chunk, encoding, done) {
+  var records;
+  try {
+    records = this.decoder.write(chunk);
+  } catch (err) {
+    return done(err);
+  }
+  for (var i = 0; i < records.length; i++) this.push(records[i]);
+  done();
+};
+
+DecodeStream.prototype._flush = function (done) {
+  try {
+    this.decoder.end();
+  } catch (err) {
+    return done(err);
+  }
+  done();
+};
+
+/**
+ * Async iterator over the values decoded from `source`, a Readable stream or
+ * any (async) iterable of Buffers.
+ *
+ *     for await (const value of amf.decodeValues(socket)) { ... }
+ *
+ * @param {Readable|AsyncIterable} source
+ * @param {Object} [options] See `ChunkDecoder`.
+ * @api public
+ */
+
+async function * decodeValues (source, options) {
+  var decoder = new ChunkDecoder(options);
+  for await (var chunk of source) {
+    var records = decoder.write(chunk);
+    for (var i = 0; i < records.length; i++) yield records[i].value;
+  }
+  decoder.end();
+}
+
+/**
+ * Transform stream that takes JS values on its writable side and emits their
+ * AMF bytes, encoded back to back, on its readable side, in `chunkSize`
+ * pieces. Pipe it into a socket or HTTP response: the usual stream
+ * backpressure holds back further values until the destination catches up,
+ * and a large value stops being encoded between two of its members as soon
+ * as a piece is left unread, to carry on once the destination asks for more.
+ *
+ * Object-mode streams cannot carry `null`, so write `null` and `undefined`
+ * through `writeValue()`.
+ *
+ * Options are those of `write()`, plus:
+ *
+ *  - `objectEncoding`: `0` (the default) or `3` for raw AMF3 values
+ *  - `resetReferences`: `'value'` (the default) starts every value with empty
+ *    reference tables, `'never'` keeps them for the whole output, like
+ *    `AMF3Encoder`
+ *  - `remoting`: when `true`, every value written is a remoting packet (as
+ *    taken by `remoting.encodePacket()`), encoded with -1 (unknown) header and
+ *    body lengths so that no byte needs patching after it was sent
+ *  - `chunkSize`: size of the emitted Buffers, 64 KiB by default
+ *
+ * @param {Object} [options]
+ * @api public
+ */
+
+function EncodeStream (options) {
+  if (!(this instanceof EncodeStream)) return new EncodeStream(options);
+  Transform.call(this, { writableObjectMode: true });
+  this.options = options || {};
+  this.version = this.options.objectEncoding === 3 ? 3 : 0;
+  this.info = null;
+  // the value being encoded, with where it stopped (see `write()`)
+  this.pending = null;
+
+  var self = this;
+  this.out = new StreamWriter(this.options.chunkSize || 64 * 1024, function (chunk) {
+    return self.push(chunk);
+  });
+}
+util.inherits(EncodeStream, Transform);
+
+/**
+ * Writes any value, including `null` and `undefined`.
+ *
+ * @param {*} value
+ * @param {Function} [callback]
+ * @return {Boolean} false when the caller should wait for "drain"
+ * @api public
+ */
+
+EncodeStream.prototype.writeValue = function (value, callback) {
+  return this.write(new Boxed(value), callback);
+};
+
+EncodeStream.prototype._transform = function (value, encoding, done) {
+  if (value instanceof Boxed) value = value.value;
+  var resume = { open: [], depth: 0 };
+  if (!this.options.remoting) {
+    if (!this.info || this.options.resetReferences !== 'never') {
+      this.info = Object.assign({}, this.options);
+    }
+    this.info.offset = 0;
+    this.info.version = this.version;
+    this.info.resume = resume;
+  }
+  this.pending = { value: value, resume: resume, done: done };
+  this._encode();
+};
+
+// carries on with a value that stopped for the reader to catch up
+EncodeStream.prototype._read = function (n) {
+  if (this.pending && this.out.paused) return this._encode();
+  Transform.prototype._read.call(this, n);
+};
+
+// encodes the pending value, from where it stopped if it did
+EncodeStream.prototype._encode = function () {
+  var pending = this.pending;
+  pending.resume.depth = 0;
+  this.out.paused = false;
+  try {
+    if (this.options.remoting) {
+      remoting.writePacket(this.out, pending.value, Object.assign({}, this.options, {
+        unknownLength: true,
+        resume: pending.resume
+      }));
+    } else {
+      write(this.out, pending.value, this.info);
+    }
+  } catch (err) {
+    if (write.PAUSE === err) return;
+    this.pending = null;
+    return pending.done(err);
+  }
+  this.pending = null;
+  this.out.flush();
+  pending.done();
+};
+
+// lets `null` and `undefined` through an object-mode stream
+function Boxed (value) {
+  this.value = value;
+}
+
+/**
+ * Writer that hands its bytes on through `onChunk` whenever `size` of them
+ * have piled up, instead of growing. `length` keeps counting every byte
+ * written, so `write()` still reports offsets from the start of the output.
+ * It turns `paused` when `onChunk` returns false, for `write()` to stop at
+ * its next checkpoint.
+ *
+ * @param {Number} size
+ * @param {Function} onChunk
+ * @api private
+ */
+
+function StreamWriter (size, onChunk) {
+  Writer.call(this, size);
+  this.size = size;
+  this.flushed = 0;
+  this.paused = false;
+  this.onChunk = onChunk;
+}
+util.inherits(StreamWriter, Writer);
+
+StreamWriter.prototype.reserve = function (n) {
+  if (this.length - this.flushed + n > this.buffer.length) this.flush();
+  var offset = this.length - this.flushed;
+  if (offset + n > this.buffer.length) {
+    // a single write bigger than a chunk: grow, just this once
+    var buffer = Buffer.allocUnsafe(offset + n);
+    this.buffer.copy(buffer, 0, 0, offset);
+    this.buffer = buffer;
+  }
+  this.length += n;
+  return offset;
+};
+
+StreamWriter.prototype.setInt32BE = function (value, offset) {
+  if (offset < this.flushed) throw new Error('Cannot patch bytes that were already flushed');
+  this.buffer.writeInt32BE(value, offset - this.flushed);
+};
+
+StreamWriter.prototype.toBuffer = function () {
+  return this.buffer.slice(0, this.length - this.flushed);
+};
+
+// emits the pending bytes, and starts a new chunk
+StreamWriter.prototype.flush = function () {
+  if (this.length === this.flushed) return;
+  if (this.onChunk(this.toBuffer()) === false) this.paused = true;
+  this.buffer = Buffer.allocUnsafe(this.size);
+  this.flushed = this.length;
+};
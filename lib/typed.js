@@ -0,0 +1,901 @@
+
+/**
+ * Module dependencies.
+ */
+
+var constants = require('./constants');
+var errors = require('./errors');
+var Writer = require('./writer');
+var read = require('./read');
+var write = require('./write');
+var remoting = require('./remoting');
+var traitsUtil = require('./utils/traits');
+var getTraitHeader = traitsUtil.getTraitHeader;
+var traitsKey = traitsUtil.traitsKey;
+var amf0Types = constants.amf0Types;
+var amf3Types = constants.amf3Types;
+var AMFEncodeError = errors.AMFEncodeError;
+
+/**
+ * Module exports.
+ */
+
+exports.toTypedJSON = toTypedJSON;
+exports.fromTypedJSON = fromTypedJSON;
+exports.decodeTree = decodeTree;
+exports.encodeTree = encodeTree;
+exports.nameValue = nameValue;
+
+/**
+ * Typed JSON is a JSON document describing AMF data marker by marker, so that
+ * nothing a plain `JSON.stringify()` of the decoded value would lose (class
+ * names, int vs double, Dates, ByteArrays, XML, `undefined`, shared
+ * references, AMF0 vs AMF3) gets lost, and `fromTypedJSON()` gives back the
+ * exact same bytes.
+ *
+ * A document is `{ "amf": 0|3, "value": node }` (or `"values": [...]` for
+ * several values back to back), or `{ "remoting": { version, headers,
+ * messages } }` for a remoting packet. Every node has a `type`:
+ *
+ *  - AMF0: `number`, `boolean`, `string`, `long-string`, `object` (with a
+ *    `className` when typed), `ecma-array`, `strict-array`, `date`,
+ *    `xml-document`, `reference`, `null`, `undefined`, `unsupported`,
+ *    `movieclip`, `recordset`, and `avmplus` wrapping an AMF3 `value`
+ *  - AMF3: `undefined`, `null`, `boolean`, `int`, `double`, `string`, `xml`,
+ *    `xml-document`, `date`, `array`, `object`, `bytearray`, `vector-int`,
+ *    `vector-uint`, `vector-double`, `vector-object` and `dictionary`
+ *
+ * Members are `[name, node]` pairs, in wire order. A node with a `ref` is a
+ * reference to the `ref`-th entry of the object table. AMF3 strings and
+ * traits are referenced automatically, like Flash Player does; `inline`,
+ * `inlineTraits` and `traitsRef` only show up for data that was encoded
+ * otherwise.
+ *
+ * Remoting headers and messages are written with the length of their value,
+ * or -1 when `unknownLength` is set. A `length` that does not match the value
+ * is kept as it came in, along with the hex of the bytes it `skipped`.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} [options] `objectEncoding`, `remoting`, the decoding limits,
+ *   and `space` to format with `JSON.stringify()` instead of the default
+ *   compact layout.
+ * @return {String}
+ * @api public
+ */
+
+function toTypedJSON (buffer, options) {
+  options = options || {};
+  var doc = decodeTree(buffer, options);
+  if (null != options.space) return JSON.stringify(doc, null, options.space);
+  return format(doc, '');
+}
+
+// like `JSON.stringify(value, null, 2)`, but keeps small nodes and members
+// on one line so that documents stay readable
+function format (value, indent) {
+  var line = oneLine(value);
+  if (null === value || 'object' != typeof value || line.length + indent.length <= 80) return line;
+
+  var inner = indent + '  ';
+  if (Array.isArray(value)) {
+    return '[\n' + value.map(function (item) {
+      return inner + format(item, inner);
+    }).join(',\n') + '\n' + indent + ']';
+  }
+  return '{\n' + Object.keys(value).map(function (key) {
+    return inner + JSON.stringify(key) + ': ' + format(value[key], inner);
+  }).join(',\n') + '\n' + indent + '}';
+}
+
+function oneLine (value) {
+  if (null === value || 'object' != typeof value) return JSON.stringify(value);
+  if (Array.isArray(value)) return '[' + value.map(oneLine).join(', ') + ']';
+  var keys = Object.keys(value);
+  if (!keys.length) return '{}';
+  return '{ ' + keys.map(function (key) {
+    return JSON.stringify(key) + ': ' + oneLine(value[key]);
+  }).join(', ') + ' }';
+}
+
+/**
+ * Encodes a typed JSON document (a String or the parsed object) back into
+ * AMF bytes.
+ *
+ * @param {String|Object} json
+ * @return {Buffer}
+ * @api public
+ */
+
+function fromTypedJSON (json) {
+  return encodeTree('string' == typeof json ? JSON.parse(json) : json);
+}
+
+/**
+ * Decodes `buffer` into a typed JSON document, without stringifying it.
+ * With `options.remoting` the buffer holds a remoting packet, otherwise
+ * `options.objectEncoding` (0 by default) says how it starts.
+ * `options.annotate` adds a `dump` with the offsets and reference table
+ * entries to every node (see `dump.js`).
+ *
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @return {Object}
+ * @api public
+ */
+
+function decodeTree (buffer, options) {
+  options = options || {};
+  var recorder = new Recorder(buffer, !!options.annotate);
+  var decoding = Object.assign({}, options, { record: recorder });
+  var offset = options.offset || 0;
+
+  if (options.remoting) {
+    var packet = remoting.decodePacket(buffer, decoding);
+    return { remoting: toPacket(buffer, packet, recorder.values, offset, recorder.annotate) };
+  }
+
+  var version = options.objectEncoding === 3 ? 3 : 0;
+  do {
+    // like `decode()`, every value starts with empty reference tables
+    var info = Object.assign({}, decoding, { offset: offset, version: version, path: [] });
+    read(buffer, info);
+    offset = info.offset;
+  } while (offset < buffer.length);
+
+  var values = recorder.values.map(function (value) { return value.node; });
+  var doc = { amf: version };
+  if (values.length === 1) doc.value = values[0];
+  else doc.values = values;
+  return doc;
+}
+
+/**
+ * Encodes a typed JSON document, as returned by `decodeTree()`.
+ *
+ * @param {Object} doc
+ * @return {Buffer}
+ * @api public
+ */
+
+function encodeTree (doc) {
+  var out = new Writer();
+  var info = { out: out, path: [] };
+
+  if (doc.remoting) {
+    writePacket(info, doc.remoting);
+  } else {
+    var version = doc.amf === 3 ? 3 : 0;
+    var values = doc.values || [ doc.value ];
+    for (var i = 0; i < values.length; i++) {
+      writeTop(info, values[i], version);
+    }
+  }
+  return out.toBuffer();
+}
+
+/**
+ * Decoding.
+ *
+ * `read()` decodes the data, and reports every value to a `Recorder` (see
+ * `info.record` in `read.js`), which turns them into nodes.
+ */
+
+function Recorder (buffer, annotate) {
+  this.buffer = buffer;
+  this.annotate = annotate;
+  // the values being read, innermost last
+  this.stack = [];
+  // `{ node, offset, end }` for each top-level value read
+  this.values = [];
+  // the keys of the traits in each trait table, computed once
+  this.keys = new WeakMap();
+}
+
+Recorder.prototype.open = function (info, offset, marker) {
+  this.stack.push({
+    offset: offset,
+    end: offset,
+    marker: marker,
+    version: info.version,
+    notes: {},
+    names: [],
+    children: []
+  });
+};
+
+Recorder.prototype.note = function (info, props) {
+  Object.assign(this.stack[this.stack.length - 1].notes, props);
+};
+
+Recorder.prototype.name = function (info, offset, name, props) {
+  this.stack[this.stack.length - 1].names.push({
+    offset: offset,
+    value: props ? nameOf(info.amf3StringReferences, name, props) : name,
+    props: props
+  });
+};
+
+Recorder.prototype.close = function (info, value) {
+  var frame = this.stack.pop();
+  var parent = this.stack[this.stack.length - 1];
+  frame.end = info.offset;
+
+  var node;
+  if (frame.version === 3) node = amf3Node(this, frame, value, info);
+  else node = amf0Node(this.buffer, frame, value);
+  if (END === node && !endsMembers(parent)) throw new Error('Unknown AMF0 type: ' + frame.marker);
+  if (this.annotate && END !== node) node.dump = dumpOf(frame);
+
+  (parent ? parent.children : this.values).push({ node: node, offset: frame.offset, end: frame.end });
+};
+
+// the keys of the traits in `table`
+Recorder.prototype.traitKeys = function (table) {
+  var keys = this.keys.get(table);
+  if (!keys) this.keys.set(table, keys = []);
+  for (var i = keys.length; i < table.length; i++) {
+    keys.push(traitsKey(table[i].className, table[i].isExternalizable, table[i].isDynamic, table[i].propertyNames));
+  }
+  return keys;
+};
+
+// the AMF0 "object end" marker, which only ends the members of an Object
+// or ECMA Array after an empty name
+var END = { type: 'end' };
+var MEMBERS = {};
+MEMBERS[amf0Types.kObjectType] = true;
+MEMBERS[amf0Types.kECMAArrayType] = true;
+MEMBERS[amf0Types.kTypedObjectType] = true;
+
+function endsMembers (frame) {
+  if (!frame) return false;
+  var names = frame.names;
+  return frame.version === 0 && MEMBERS[frame.marker] && names.length && names[names.length - 1].value === '';
+}
+
+// the node type of `marker`, as `encodeTree()` knows it
+function typeOf (markers, marker) {
+  for (var type in markers) {
+    if (markers[type] === marker) return type;
+  }
+}
+
+// with `options.annotate`, where the node came from and how it was encoded
+function dumpOf (frame) {
+  var dump = { offset: frame.offset, end: frame.end, marker: frame.marker };
+  var notes = frame.version === 3 && frame.marker === amf3Types.kStringType ? frame.names[0].props : frame.notes;
+  [ 'u29', 'index', 'reference', 'traits' ].forEach(function (key) {
+    if (undefined !== notes[key]) dump[key] = notes[key];
+  });
+  return dump;
+}
+
+// an AMF3 String as it is when `write()` would encode it the same way, or
+// `{ value, inline }` / `{ value, ref }` when it was encoded otherwise
+function nameOf (strings, value, props) {
+  if (props.reference) return strings.indexOf(value) === props.index ? value : { value: value, ref: props.index };
+  if (value === '' || strings.indexOf(value) === props.index) return value;
+  return { value: value, inline: true };
+}
+
+function nameValue (name) {
+  return 'string' == typeof name ? name : name.value;
+}
+
+function nodes (children) {
+  return children.map(function (child) { return child.node; });
+}
+
+// the first `count` names paired with their values, as `[name, node]`
+function members (names, children, count) {
+  var list = [];
+  for (var i = 0; i < count; i++) {
+    var node = children[i].node;
+    if (node.dump) node.dump.nameOffset = names[i].offset;
+    list.push([ names[i].value, node ]);
+  }
+  return list;
+}
+
+// doubles that JSON can't hold (NaN, Infinity, -0) become Strings
+function fromDouble (buffer, offset) {
+  var value = buffer.readDoubleBE(offset);
+  if (value !== value) {
+    var bits = buffer.toString('hex', offset, offset + 8);
+    return bits === '7ff8000000000000' ? 'NaN' : { nan: bits };
+  }
+  return fromNumber(value);
+}
+
+function fromNumber (value) {
+  if (value === Infinity) return 'Infinity';
+  if (value === -Infinity) return '-Infinity';
+  if (value === 0 && 1 / value < 0) return '-0';
+  if (value !== value) return 'NaN';
+  return value;
+}
+
+// Dates read as ISO strings whenever that loses nothing
+function fromTime (time) {
+  if (Number.isInteger(time) && Math.abs(time) <= 8.64e15 && !(time === 0 && 1 / time < 0)) {
+    return new Date(time).toISOString();
+  }
+  return fromNumber(time);
+}
+
+// AMF0
+
+function amf0Node (buffer, frame, value) {
+  var names = frame.names;
+  var children = frame.children;
+  switch (frame.marker) {
+    case amf0Types.kNumberType:
+      return { type: 'number', value: fromDouble(buffer, frame.end - 8) };
+    case amf0Types.kBooleanType:
+    case amf0Types.kStringType:
+    case amf0Types.kLongStringType:
+      return { type: typeOf(AMF0_MARKERS, frame.marker), value: value };
+    case amf0Types.kXMLObjectType:
+      return { type: 'xml-document', value: value.toString() };
+    case amf0Types.kObjectType:
+      return { type: 'object', members: members(names, children, children.length - 1) };
+    case amf0Types.kTypedObjectType:
+      return { type: 'object', className: names[0].value, members: members(names.slice(1), children, children.length - 1) };
+    case amf0Types.kECMAArrayType:
+      return { type: 'ecma-array', count: value.__ecmaCount__, members: members(names, children, children.length - 1) };
+    case amf0Types.kStrictArrayType:
+      return { type: 'strict-array', items: nodes(children) };
+    case amf0Types.kReferenceType:
+      return { type: 'reference', ref: frame.notes.index };
+    case amf0Types.kDateType:
+      var node = { type: 'date', value: fromTime(buffer.readDoubleBE(frame.end - 10)) };
+      if (value.__timezone__) node.timezone = value.__timezone__;
+      return node;
+    case amf0Types.kAvmPlusObjectType:
+      return { type: 'avmplus', value: children[0].node };
+    case amf0Types.kObjectEndType:
+      return END;
+    default:
+      return { type: typeOf(AMF0_MARKERS, frame.marker) };
+  }
+}
+
+// AMF3
+
+function amf3Node (recorder, frame, value, info) {
+  var buffer = recorder.buffer;
+  var names = frame.names;
+  var children = frame.children;
+  var type = typeOf(AMF3_MARKERS, frame.marker);
+  var node, i;
+  if (frame.notes.reference) return { type: type, ref: frame.notes.index };
+
+  switch (frame.marker) {
+    case amf3Types.kFalseType:
+    case amf3Types.kTrueType:
+      return { type: 'boolean', value: value };
+    case amf3Types.kIntegerType:
+      return { type: 'int', value: value };
+    case amf3Types.kDoubleType:
+      return { type: 'double', value: fromDouble(buffer, frame.end - 8) };
+    case amf3Types.kStringType:
+      var name = names[0].value;
+      node = { type: 'string', value: nameValue(name) };
+      if ('string' != typeof name) Object.assign(node, name);
+      return node;
+    case amf3Types.kXMLType:
+    case amf3Types.kAvmPlusXmlType:
+      return { type: type, value: value.toString() };
+    case amf3Types.kDateType:
+      return { type: 'date', value: fromTime(buffer.readDoubleBE(frame.end - 8)) };
+    case amf3Types.kArrayType:
+      // associative members, up to an empty name, then the dense items
+      var count = names.length - 1;
+      node = { type: 'array', items: nodes(children.slice(count)) };
+      if (count) node.members = members(names, children, count);
+      return node;
+    case amf3Types.kObjectType:
+      return objectNode(recorder, frame, info);
+    case amf3Types.kByteArrayType:
+      return { type: 'bytearray', value: value.toString('hex') };
+    case amf3Types.kVectorIntType:
+    case amf3Types.kVectorUintType:
+    case amf3Types.kVectorDoubleType:
+      node = { type: type, items: [] };
+      if (value.__fixed__) node.fixed = true;
+      for (i = 0; i < value.length; i++) {
+        if (amf3Types.kVectorDoubleType === frame.marker) node.items.push(fromDouble(buffer, frame.end - 8 * (value.length - i)));
+        else node.items.push(value[i]);
+      }
+      return node;
+    case amf3Types.kVectorObjectType:
+      node = { type: 'vector-object', className: names[0].value, items: nodes(children) };
+      if (value.__fixed__) node.fixed = true;
+      return node;
+    case amf3Types.kDictionaryType:
+      node = { type: 'dictionary', entries: [] };
+      if (value.__weakKeys__) node.weakKeys = true;
+      for (i = 0; i < children.length; i += 2) node.entries.push([ children[i].node, children[i + 1].node ]);
+      return node;
+    default:
+      return { type: type };
+  }
+}
+
+function objectNode (recorder, frame, info) {
+  var names = frame.names;
+  var children = frame.children;
+  var table = info.amf3TraitReferences;
+  var index = frame.notes.traits.index;
+  var trait = table[index];
+  var keys = recorder.traitKeys(table);
+  var node = { type: 'object' };
+  var className, sealed, next;
+
+  if (frame.notes.traits.reference) {
+    if (keys.indexOf(keys[index]) !== index) node.traitsRef = index;
+    // the names are not written again, so how they were written doesn't matter
+    className = trait.className;
+    sealed = trait.propertyNames;
+    next = 0;
+  } else {
+    if (keys.indexOf(keys[index]) !== index) node.inlineTraits = true;
+    className = names[0].value;
+    sealed = names.slice(1, 1 + trait.propertyNames.length).map(function (name) { return name.value; });
+    next = 1 + sealed.length;
+  }
+
+  if (nameValue(className) !== '') node.className = className;
+  if (trait.isDynamic !== !node.className) node.dynamic = trait.isDynamic;
+
+  if (trait.isExternalizable) {
+    node.external = externalParts(recorder.buffer, frame);
+    return node;
+  }
+
+  if (sealed.length) {
+    node.sealed = sealed.map(function (name, i) {
+      return [ name, children[i].node ];
+    });
+  }
+  if (trait.isDynamic) {
+    node.members = members(names.slice(next), children.slice(sealed.length), names.length - next - 1);
+  }
+  return node;
+}
+
+// an externalizable body can only be delimited by its class's own reader:
+// keep the bytes it read itself as hex, around the AMF3 values it read with
+// `readObject()` as nodes
+function externalParts (buffer, frame) {
+  var parts = [];
+  var cursor = frame.notes.external;
+  frame.children.forEach(function (child) {
+    if (child.offset > cursor) parts.push(buffer.toString('hex', cursor, child.offset));
+    parts.push(child.node);
+    cursor = child.end;
+  });
+  if (frame.end > cursor) parts.push(buffer.toString('hex', cursor, frame.end));
+  return parts;
+}
+
+// remoting envelope
+
+// the nodes of a packet decoded by `remoting.decodePacket()`, along with the
+// lengths it found in front of them
+function toPacket (buffer, decoded, values, start, annotate) {
+  var packet = { version: decoded.version, headers: [], messages: [] };
+  var cursor = start + 4;
+  var k = 0;
+
+  decoded.headers.forEach(function (header) {
+    var entry = { name: header.name, mustUnderstand: header.mustUnderstand };
+    cursor = toBody(buffer, entry, 'value', header.length, values[k++], cursor, annotate);
+    packet.headers.push(entry);
+  });
+
+  cursor += 2;
+  decoded.messages.forEach(function (message) {
+    var entry = { targetUri: message.targetUri, responseUri: message.responseUri };
+    cursor = toBody(buffer, entry, 'body', message.length, values[k++], cursor, annotate);
+    packet.messages.push(entry);
+  });
+  if (annotate) packet.dump = { offset: start, end: cursor };
+  return packet;
+}
+
+// sets the value of a header or message starting at `start`, and returns
+// where the next one starts
+function toBody (buffer, entry, key, length, value, start, annotate) {
+  entry[key] = value.node;
+  // like `remoting.decodePacket()`: a known length says where the next entry
+  // starts, whatever the value took, and any negative one means "unknown"
+  var consumed = value.end - value.offset;
+  var end = value.end;
+  if (length === -1) entry.unknownLength = true;
+  else if (length !== consumed) entry.length = length;
+  if (length > consumed) {
+    end = Math.min(value.offset + length, buffer.length);
+    entry.skipped = buffer.toString('hex', value.end, end);
+  } else if (length >= 0) {
+    end = value.offset + length;
+  }
+  if (annotate) entry.dump = { offset: start, end: end, length: length };
+  return end;
+}
+
+/**
+ * Encoding.
+ */
+
+// one top-level value, with reference tables of its own
+function writeTop (info, node, version) {
+  info.amf3StringReferences = [];
+  info.amf3TraitReferences = [];
+  if (version === 3) writeAmf3Node(info, node);
+  else writeNode(info, node);
+}
+
+// runs `fn` for `node`, wrapping whatever it throws into an `AMFEncodeError`
+function encoding (info, node, version, fn) {
+  var start = info.out.length;
+  var depth = info.path.length;
+  try {
+    if (!node || 'string' != typeof node.type) throw new TypeError('Expected a typed JSON node');
+    fn(node);
+  } catch (err) {
+    if (!(err instanceof AMFEncodeError)) {
+      err = new AMFEncodeError(err.message, {
+        offset: start,
+        version: version,
+        path: errors.formatPath(info.path),
+        cause: err
+      });
+    }
+    info.path.length = depth;
+    throw err;
+  }
+}
+
+function writeDouble (out, value) {
+  if (value && 'object' == typeof value && 'string' == typeof value.nan) {
+    out.writeBytes(Buffer.from(value.nan, 'hex'));
+    return;
+  }
+  out.writeDoubleBE(toNumber(value));
+}
+
+function toNumber (value) {
+  if ('string' == typeof value) {
+    if ('-0' === value) return -0;
+    var number = Number(value);
+    if (value !== 'NaN' && number !== number) throw new TypeError('Not a number: "' + value + '"');
+    return number;
+  }
+  if ('number' != typeof value) throw new TypeError('Not a number: ' + value);
+  return value;
+}
+
+function toTime (value) {
+  if ('string' == typeof value && /^[+-]?\d{4,6}-/.test(value)) {
+    var time = Date.parse(value);
+    if (time !== time) throw new TypeError('Invalid date: "' + value + '"');
+    return time;
+  }
+  return toNumber(value);
+}
+
+// AMF0
+
+var AMF0_MARKERS = {
+  'number': amf0Types.kNumberType,
+  'boolean': amf0Types.kBooleanType,
+  'string': amf0Types.kStringType,
+  'movieclip': amf0Types.kMovieClipType,
+  'null': amf0Types.kNullType,
+  'undefined': amf0Types.kUndefinedType,
+  'reference': amf0Types.kReferenceType,
+  'ecma-array': amf0Types.kECMAArrayType,
+  'strict-array': amf0Types.kStrictArrayType,
+  'date': amf0Types.kDateType,
+  'long-string': amf0Types.kLongStringType,
+  'unsupported': amf0Types.kUnsupportedType,
+  'recordset': amf0Types.kRecordsetType,
+  'xml-document': amf0Types.kXMLObjectType,
+  'avmplus': amf0Types.kAvmPlusObjectType
+};
+
+function writeNode (info, node) {
+  encoding(info, node, 0, function () {
+    var out = info.out;
+    var type = node.type;
+    if ('object' === type) {
+      var typed = null != node.className;
+      out.writeUInt8(typed ? amf0Types.kTypedObjectType : amf0Types.kObjectType);
+      if (typed) write.writeString(out, node.className, info);
+      writeMembers(info, node.members);
+      return;
+    }
+
+    var marker = AMF0_MARKERS[type];
+    if (null == marker) throw new Error('Unknown AMF0 node type "' + type + '"');
+    out.writeUInt8(marker);
+    switch (type) {
+      case 'number':
+        writeDouble(out, node.value);
+        break;
+      case 'boolean':
+        out.writeUInt8(node.value ? 1 : 0);
+        break;
+      case 'string':
+        write.writeString(out, node.value, info);
+        break;
+      case 'long-string':
+      case 'xml-document':
+        write.writeLongString(out, node.value, info);
+        break;
+      case 'reference':
+        out.writeUInt16BE(node.ref);
+        break;
+      case 'ecma-array':
+        var members = node.members || [];
+        out.writeUInt32BE(null == node.count ? members.length : node.count);
+        writeMembers(info, members);
+        break;
+      case 'strict-array':
+        var items = node.items || [];
+        out.writeUInt32BE(items.length);
+        for (var i = 0; i < items.length; i++) {
+          info.path.push(i);
+          writeNode(info, items[i]);
+          info.path.pop();
+        }
+        break;
+      case 'date':
+        out.writeDoubleBE(toTime(node.value));
+        out.writeInt16BE(node.timezone || 0);
+        break;
+      case 'avmplus':
+        // like `write()`, every switch to AMF3 starts with empty tables
+        var strings = info.amf3StringReferences;
+        var traits = info.amf3TraitReferences;
+        info.amf3StringReferences = [];
+        info.amf3TraitReferences = [];
+        writeAmf3Node(info, node.value);
+        info.amf3StringReferences = strings;
+        info.amf3TraitReferences = traits;
+        break;
+    }
+  });
+}
+
+function writeMembers (info, members) {
+  members = members || [];
+  for (var i = 0; i < members.length; i++) {
+    write.writeString(info.out, members[i][0], info);
+    info.path.push(members[i][0]);
+    writeNode(info, members[i][1]);
+    info.path.pop();
+  }
+  write.writeString(info.out, '', info);
+  info.out.writeUInt8(amf0Types.kObjectEndType);
+}
+
+// AMF3
+
+var AMF3_MARKERS = {
+  'undefined': amf3Types.kUndefinedType,
+  'null': amf3Types.kNullType,
+  'int': amf3Types.kIntegerType,
+  'double': amf3Types.kDoubleType,
+  'string': amf3Types.kStringType,
+  'xml-document': amf3Types.kXMLType,
+  'date': amf3Types.kDateType,
+  'array': amf3Types.kArrayType,
+  'object': amf3Types.kObjectType,
+  'xml': amf3Types.kAvmPlusXmlType,
+  'bytearray': amf3Types.kByteArrayType,
+  'vector-int': amf3Types.kVectorIntType,
+  'vector-uint': amf3Types.kVectorUintType,
+  'vector-double': amf3Types.kVectorDoubleType,
+  'vector-object': amf3Types.kVectorObjectType,
+  'dictionary': amf3Types.kDictionaryType
+};
+
+// a String that `write()` would reference or write inline by itself, or a
+// `{ value, inline }` / `{ value, ref }` encoded otherwise
+function writeName (info, name) {
+  var value = nameValue(name);
+  if ('string' != typeof value) throw new TypeError('Expected a String, got ' + value);
+  var ref = null;
+  if ('string' != typeof name && null != name.ref) ref = name.ref;
+  else if (name.inline) ref = -1;
+  write.writeAmf3String(info.out, value, info, ref);
+}
+
+function writeAmf3Node (info, node) {
+  encoding(info, node, 3, function () {
+    var out = info.out;
+    var type = node.type;
+    var i;
+    if ('boolean' === type) {
+      out.writeUInt8(node.value ? amf3Types.kTrueType : amf3Types.kFalseType);
+      return;
+    }
+
+    var marker = AMF3_MARKERS[type];
+    if (null == marker) throw new Error('Unknown AMF3 node type "' + type + '"');
+    out.writeUInt8(marker);
+
+    if (null != node.ref && 'string' !== type) {
+      write.writeAmf3U29(out, node.ref << 1, info);
+      return;
+    }
+
+    switch (type) {
+      case 'int':
+        var value = toNumber(node.value);
+        if (!Number.isInteger(value)) throw new RangeError('Integer out of range: ' + value);
+        write.writeAmf3Integer(out, value, info);
+        break;
+      case 'double':
+        writeDouble(out, node.value);
+        break;
+      case 'string':
+        writeName(info, node);
+        break;
+      case 'xml':
+      case 'xml-document':
+        var length = Buffer.byteLength(node.value, 'utf8');
+        write.writeAmf3U29(out, (length << 1) | 1, info);
+        out.writeUtf8(node.value, length);
+        break;
+      case 'date':
+        write.writeAmf3U29(out, 1, info);
+        out.writeDoubleBE(toTime(node.value));
+        break;
+      case 'array':
+        var items = node.items || [];
+        write.writeAmf3U29(out, (items.length << 1) | 1, info);
+        writeDynamicMembers(info, node.members || []);
+        for (i = 0; i < items.length; i++) {
+          info.path.push(i);
+          writeAmf3Node(info, items[i]);
+          info.path.pop();
+        }
+        break;
+      case 'object':
+        writeAmf3ObjectNode(info, node);
+        break;
+      case 'bytearray':
+        var bytes = Buffer.from(node.value || '', 'hex');
+        write.writeAmf3U29(out, (bytes.length << 1) | 1, info);
+        out.writeBytes(bytes);
+        break;
+      case 'vector-int':
+      case 'vector-uint':
+      case 'vector-double':
+      case 'vector-object':
+        items = node.items || [];
+        write.writeAmf3U29(out, (items.length << 1) | 1, info);
+        out.writeUInt8(node.fixed ? 1 : 0);
+        for (i = 0; i < items.length; i++) {
+          if ('vector-int' === type) out.writeInt32BE(items[i]);
+          else if ('vector-uint' === type) out.writeUInt32BE(items[i]);
+          else if ('vector-double' === type) writeDouble(out, items[i]);
+        }
+        if ('vector-object' !== type) break;
+        writeName(info, node.className || '');
+        for (i = 0; i < items.length; i++) {
+          info.path.push(i);
+          writeAmf3Node(info, items[i]);
+          info.path.pop();
+        }
+        break;
+      case 'dictionary':
+        var entries = node.entries || [];
+        write.writeAmf3U29(out, (entries.length << 1) | 1, info);
+        out.writeUInt8(node.weakKeys ? 1 : 0);
+        for (i = 0; i < entries.length; i++) {
+          info.path.push(i);
+          writeAmf3Node(info, entries[i][0]);
+          writeAmf3Node(info, entries[i][1]);
+          info.path.pop();
+        }
+        break;
+    }
+  });
+}
+
+function writeDynamicMembers (info, members) {
+  for (var i = 0; i < members.length; i++) {
+    writeName(info, members[i][0]);
+    info.path.push(nameValue(members[i][0]));
+    writeAmf3Node(info, members[i][1]);
+    info.path.pop();
+  }
+  writeName(info, '');
+}
+
+function writeAmf3ObjectNode (info, node) {
+  var out = info.out;
+  var className = node.className || '';
+  var sealed = node.sealed || [];
+  var external = !!node.external;
+  var dynamic = null == node.dynamic ? !nameValue(className) : !!node.dynamic;
+  var names = sealed.map(function (member) { return member[0]; });
+  var traits = {
+    key: traitsKey(nameValue(className), external, dynamic, names.map(nameValue)),
+    externalizable: external,
+    dynamic: dynamic,
+    sealed: names
+  };
+
+  var ref;
+  if (null != node.traitsRef) ref = node.traitsRef;
+  else if (node.inlineTraits) ref = -1;
+  var trait = getTraitHeader(traits, info.amf3TraitReferences, ref);
+  write.writeAmf3U29(out, trait.header, info);
+  if (trait.inline) {
+    writeName(info, className);
+    for (var i = 0; i < names.length; i++) writeName(info, names[i]);
+  }
+
+  if (external) {
+    node.external.forEach(function (part) {
+      if ('string' == typeof part) out.writeBytes(Buffer.from(part, 'hex'));
+      else writeAmf3Node(info, part);
+    });
+    return;
+  }
+
+  for (var j = 0; j < sealed.length; j++) {
+    info.path.push(nameValue(sealed[j][0]));
+    writeAmf3Node(info, sealed[j][1]);
+    info.path.pop();
+  }
+  if (dynamic) writeDynamicMembers(info, node.members || []);
+}
+
+// remoting envelope
+
+function writePacket (info, packet) {
+  var out = info.out;
+  var headers = packet.headers || [];
+  var messages = packet.messages || [];
+
+  out.writeUInt16BE(packet.version || 0);
+  out.writeUInt16BE(headers.length);
+  for (var i = 0; i < headers.length; i++) {
+    info.path = [ 'headers', i ];
+    write.writeString(out, headers[i].name || '', info);
+    out.writeUInt8(headers[i].mustUnderstand ? 1 : 0);
+    writeBody(info, headers[i], 'value');
+  }
+
+  out.writeUInt16BE(messages.length);
+  for (var j = 0; j < messages.length; j++) {
+    info.path = [ 'messages', j ];
+    write.writeString(out, messages[j].targetUri || '', info);
+    write.writeString(out, messages[j].responseUri || '', info);
+    writeBody(info, messages[j], 'body');
+  }
+  info.path = [];
+}
+
+function writeBody (info, entry, key) {
+  var out = info.out;
+  var lengthOffset = out.length;
+  out.writeInt32BE(-1);
+  info.path.push(key);
+  writeTop(info, entry[key], 0);
+  info.path.pop();
+  if (null != entry.length) {
+    if (entry.skipped) out.writeBytes(Buffer.from(entry.skipped, 'hex'));
+    // a value running past its length overlaps whatever comes next
+    else if (entry.length >= 0) out.length = Math.min(out.length, lengthOffset + 4 + entry.length);
+    out.setInt32BE(entry.length, lengthOffset);
+  } else if (!entry.unknownLength) {
+    out.setInt32BE(out.length - lengthOffset - 4, lengthOffset);
+  }
+}
@@ -0,0 +1,101 @@
+"use strict";
+
+// Trait resolution for the AMF3 writers. Mirrors what Flash Player sends:
+// anonymous objects share one dynamic trait with no sealed members, typed
+// objects list their members as sealed, externalizable objects list none.
+
+const registry = require("../registry");
+
+// enumerable helper properties that are never serialized as members
+const RESERVED_KEYS = ["__amf3__", "__className__", "__externalizable__"];
+
+/**
+ * Builds the trait definition an object is written with.
+ *
+ * Sealed members come from the `sealed` option of `registerClassAlias()`
+ * when the class declared one, otherwise every own enumerable property of a
+ * typed object is sealed. `key` identifies the trait for trait references.
+ *
+ * @param {Object} value - Object about to be written
+ * @returns {{ className: string, sealed: string[], dynamic: boolean, dynamicKeys: string[],
+ *     externalizable: boolean, handler: (Object|undefined), key: string }}
+ */
+function getTraits(value) {
+    const className = registry.getAliasByClass(value.constructor) || value.__className__ || "";
+    const handler = className ? registry.getClassHandler(className) : undefined;
+
+    let sealed = [];
+    let dynamic = false;
+    let dynamicKeys = [];
+    const externalizable = !!handler || value.__externalizable__ === true;
+
+    if (!externalizable) {
+        const keys = Object.keys(value).filter((key) => RESERVED_KEYS.indexOf(key) === -1);
+        const declared = className ? registry.getClassTraits(className) : undefined;
+        if (!className) {
+            dynamic = true;
+            dynamicKeys = keys;
+        } else if (declared) {
+            sealed = declared.sealed;
+            dynamic = declared.dynamic;
+            if (dynamic) dynamicKeys = keys.filter((key) => sealed.indexOf(key) === -1);
+        } else {
+            sealed = keys;
+        }
+    }
+
+    return {
+        className,
+        sealed,
+        dynamic,
+        dynamicKeys,
+        externalizable,
+        handler,
+        key: traitsKey(className, externalizable, dynamic, sealed)
+    };
+}
+
+/**
+ * Identifies a trait for trait references: two objects share a trait when
+ * all of these match.
+ *
+ * @param {string} className
+ * @param {boolean} externalizable
+ * @param {boolean} dynamic
+ * @param {string[]} sealed - Sealed member names, in order
+ * @returns {string}
+ */
+function traitsKey(className, externalizable, dynamic, sealed) {
+    return JSON.stringify([className, externalizable, dynamic, sealed]);
+}
+
+/**
+ * Computes the U29 object header for a trait, given the trait reference
+ * table of the current message. Inline traits are appended to the table.
+ *
+ * @param {Object} traits - Result of getTraits()
+ * @param {string[]} traitRefs - Keys of the traits written so far
+ * @param {number} [ref] - Trait reference to write instead of looking one up,
+ *     or -1 to write the trait inline even when the table has it already
+ * @returns {{ header: number, inline: boolean }}
+ */
+function getTraitHeader(traits, traitRefs, ref) {
+    const index = ref === undefined ? traitRefs.indexOf(traits.key) : ref;
+    if (index !== -1) {
+        // inline object (bit0=1), trait reference (bit1=0), index
+        return { header: (index << 2) | 1, inline: false };
+    }
+    traitRefs.push(traits.key);
+    // inline object (bit0=1), inline trait (bit1=1), externalizable (bit2), dynamic (bit3), sealed count
+    const header = 0x03 |
+        (traits.externalizable ? 0x04 : 0) |
+        (traits.dynamic ? 0x08 : 0) |
+        (traits.sealed.length << 4);
+    return { header, inline: true };
+}
+
+module.exports = {
+    getTraits,
+    getTraitHeader,
+    traitsKey
+};
@@ -3,10 +3,19 @@
  * Module dependencies.
  */
 
-var assert = require('assert');
 var constants = require('./constants');
+var registry = require('./registry');
+var Writer = require('./writer');
+var errors = require('./errors');
+var numbers = require('./numbers');
+var DataOutput = require('./externalizable').DataOutput;
+var traitsUtil = require('./utils/traits');
+var getTraits = traitsUtil.getTraits;
+var getTraitHeader = traitsUtil.getTraitHeader;
 var amf0Types = constants.amf0Types;
 var amf3Types = constants.amf3Types;
+var AMFEncodeError = errors.AMFEncodeError;
+var AMFNumber = numbers.AMFNumber;
 
 /**
  * Module exports.
@@ -14,12 +23,36 @@ var amf3Types = constants.amf3Types;
 
 module.exports = write;
 
+// thrown out of `write()` when a streaming encoder stops part way through a
+// value (see "Pausing" below)
+var PAUSE = write.PAUSE = { paused: true };
+
+// the writers `typed.js` encodes its documents with, spelling out the
+// choices `write()` makes by itself
+write.writeString = writeString;
+write.writeLongString = writeLongString;
+write.writeAmf3U29 = writeAmf3U29;
+write.writeAmf3Integer = writeAmf3Integer;
+write.writeAmf3String = writeAmf3String;
+
 /**
  * Writes an AMF value to the specified Buffer at the specified offset.
  *
- * @param {Buffer} buffer The Buffer instance to write to.
+ * `buffer` may also be a `Writer`, in which case the value is appended to it
+ * and no size needs to be known in advance.
+ *
+ * Values that cannot be serialized throw an `AMFEncodeError` carrying the
+ * output `offset`, `marker` and `version` of the innermost value being
+ * encoded and the `path` to it.
+ *
+ * Numbers wrapped with `int()`, `uint()` or `double()` keep that type in
+ * AMF3. BigInts are written according to `info.bigint`: `'double'`,
+ * `'string'`, or `'error'` (the default).
+ *
+ * @param {Buffer|Writer} buffer The Buffer or Writer instance to write to.
  * @param {?} value the value to serialize as AMF data in `buffer`.
  * @param {Object|Number} info "Options" object, or the byte offset to begin reading from.
+ * @return {Number} The number of bytes written.
  * @api public
  */
 
@@ -28,91 +61,165 @@ function write(buffer, value, info) {
   if (!info) info = {};
   if (null == info.offset) info.offset = 0;
   if (null == info.version) info.version = 0; // Default to AMF0
+  if (!info.path) info.path = [];
+
+  var out = buffer instanceof Writer ? buffer : new Writer();
+  var start = out.length;
+
+  try {
+    writeValue(out, value, info);
+  } catch (err) {
+    if (out === buffer || !(err instanceof AMFEncodeError)) throw err;
+    // report offsets within `buffer` rather than the scratch Writer
+    throw errors.moveOffset(err, info.offset);
+  }
 
-  var type = null == info.type ? getType(value, info) : info.type;
+  // gets reset on each `write()` call
+  info.byteLength = out.length - start;
+
+  if (out !== buffer) {
+    if (info.offset + info.byteLength > buffer.length) {
+      throw new RangeError('Attempt to write ' + info.byteLength + ' bytes at offset ' +
+        info.offset + ', out of range of the Buffer with length ' + buffer.length);
+    }
+    out.buffer.copy(buffer, info.offset, 0, info.byteLength);
+  }
+  info.offset += info.byteLength;
+
+  return info.byteLength;
+}
+
+function writeValue(out, value, info) {
+  var start = out.length;
+  var depth = info.path.length;
+  var type;
+  try {
+    if (resuming(info)) return resumeValue(out, value, info);
+    if ('bigint' == typeof value) value = numbers.fromBigInt(value, info.bigint);
+    type = null == info.type ? getType(value, info) : info.type;
+    writeTypedValue(out, value, info, type);
+  } catch (err) {
+    throw encodeError(err, info, start, type, depth);
+  }
+}
 
-  // gets reset to 0 on each `write()` call
-  info.byteLength = 0;
+// wraps anything thrown while encoding the value that starts at `offset`
+// into an `AMFEncodeError`; errors from deeper values are already wrapped
+function encodeError(err, info, offset, marker, depth) {
+  var path = info.path;
+  if (PAUSE !== err && !(err instanceof AMFEncodeError)) {
+    err = new AMFEncodeError(err.message, {
+      offset: offset,
+      marker: marker,
+      version: info.version,
+      path: errors.formatPath(path),
+      cause: err
+    });
+  }
+  path.length = depth;
+  return err;
+}
 
+function writeTypedValue(out, value, info, type) {
   if (info.version === 0) {
     // AMF0 serialization
     // write the "type" byte
-    buffer.writeUInt8(type, info.offset);
-    bytesUsed(info, 1);
+    out.writeUInt8(type);
 
     switch (type) {
       case amf0Types.kNumberType:
-        writeNumber(buffer, value, info);
+        writeNumber(out, value, info);
         break;
       case amf0Types.kBooleanType:
-        writeBoolean(buffer, value, info);
+        writeBoolean(out, value, info);
         break;
       case amf0Types.kStringType:
-        writeString(buffer, value, info);
+        writeString(out, value, info);
         break;
       case amf0Types.kObjectType:
-        writeObject(buffer, value, info);
+        writeObject(out, value, info);
         break;
+      case amf0Types.kMovieClipType:
       case amf0Types.kNullType:
       case amf0Types.kUndefinedType:
-        break; // nothing to do for these two...
+      case amf0Types.kUnsupportedType:
+      case amf0Types.kRecordsetType:
+        break; // nothing to do for these...
       case amf0Types.kReferenceType:
-        writeReference(buffer, value, info);
+        writeReference(out, value, info);
         break;
       case amf0Types.kECMAArrayType:
-        writeECMAArray(buffer, value, info);
+        writeECMAArray(out, value, info);
         break;
       case amf0Types.kObjectEndType:
         break; // nothing to do...
       case amf0Types.kStrictArrayType:
-        writeStrictArray(buffer, value, info);
+        writeStrictArray(out, value, info);
         break;
       case amf0Types.kDateType:
-        writeDate(buffer, value, info);
+        writeDate(out, value, info);
+        break;
+      case amf0Types.kLongStringType:
+        writeLongString(out, value, info);
+        break;
+      case amf0Types.kXMLObjectType:
+        writeXMLDocument(out, value, info);
         break;
       case amf0Types.kTypedObjectType:
-        writeTypedObject(buffer, value, info);
+        writeTypedObject(out, value, info);
         break;
       case amf0Types.kAvmPlusObjectType:
         // Switch to AMF3 mode
         info.version = 3;
-        writeAmf3(buffer, value, info);
+        writeAmf3(out, value, info);
         break;
       default:
-        throw new Error('AMF0 type not yet implemented: ' + type);
+        throw new Error('Unknown AMF0 type: ' + type);
     }
   } else {
     // AMF3 serialization
-    writeAmf3(buffer, value, info);
+    writeAmf3(out, value, info);
   }
-
-  return info.byteLength;
-}
-
-function bytesUsed(info, n) {
-  info.offset += n;
-  info.byteLength += n;
 }
 
 function getType(value, info) {
-  if (null === value) return amf0Types.kNullType;
-  if (undefined === value) return amf0Types.kUndefinedType;
-  if (END_OBJECT === value) return amf0Types.kObjectEndType;
-
   // Check if we should use AMF3
   if (info.version === 3) {
     return getTypeAmf3(value, info);
   }
 
+  if (null === value) return amf0Types.kNullType;
+  if (undefined === value) return amf0Types.kUndefinedType;
+  if (END_OBJECT === value) return amf0Types.kObjectEndType;
+  if (constants.MOVIECLIP === value) return amf0Types.kMovieClipType;
+  if (constants.UNSUPPORTED === value) return amf0Types.kUnsupportedType;
+  if (constants.RECORDSET === value) return amf0Types.kRecordsetType;
+
   var type = typeof value;
-  if ('number' === type) return amf0Types.kNumberType;
+  if ('number' === type || value instanceof AMFNumber) return amf0Types.kNumberType;
   if ('boolean' === type) return amf0Types.kBooleanType;
-  if ('string' === type) return amf0Types.kStringType;
+  if ('string' === type) {
+    // strings that don't fit in a UInt16 length need the "long string" type
+    if (Buffer.byteLength(value, 'utf8') > 0xFFFF) return amf0Types.kLongStringType;
+    return amf0Types.kStringType;
+  }
   if ('object' === type) {
     if (isReference(value, info)) return amf0Types.kReferenceType;
-    if (Array.isArray(value)) return amf0Types.kECMAArrayType;
+    if (value instanceof Date) return amf0Types.kDateType;
+    // AMF0 has no equivalent for Vectors and Dictionaries
+    if (isVector(value) || value instanceof Map) return amf0Types.kAvmPlusObjectType;
+    if (Array.isArray(value)) {
+      return value.__strict__ ? amf0Types.kStrictArrayType : amf0Types.kECMAArrayType;
+    }
     // Check if object has AMF3 marker
     if (value.__amf3__) return amf0Types.kAvmPlusObjectType;
+    if (value.__type__ === 'XMLDocument' || value.__type__ === 'XML') return amf0Types.kXMLObjectType;
+    var className = getClassName(value);
+    // externalizable classes only exist in AMF3
+    if (value.__externalizable__ || (className && registry.getClassHandler(className))) {
+      return amf0Types.kAvmPlusObjectType;
+    }
+    if (className) return amf0Types.kTypedObjectType;
     return amf0Types.kObjectType;
   }
   throw new Error('could not infer AMF "type" for ' + value);
@@ -121,142 +228,161 @@ function getType(value, info) {
 function getTypeAmf3(value, info) {
   if (null === value) return amf3Types.kNullType;
   if (undefined === value) return amf3Types.kUndefinedType;
+  if (constants.MOVIECLIP === value || constants.UNSUPPORTED === value || constants.RECORDSET === value) {
+    throw new Error('The ' + Object.keys(value)[0] + ' marker only exists in AMF0');
+  }
 
   var type = typeof value;
   if ('boolean' === type) return value ? amf3Types.kTrueType : amf3Types.kFalseType;
   if ('number' === type) {
     // Check if integer or double
-    if (Number.isInteger(value) && value >= -268435456 && value <= 268435455) {
-      return amf3Types.kIntegerType;
-    }
+    return numbers.isAmf3Int(value) ? amf3Types.kIntegerType : amf3Types.kDoubleType;
+  }
+  if (value instanceof AMFNumber) {
+    // `int` and `uint` too big for 29 bits go out as doubles, like Flash Player does
+    if ('Number' != value.type && numbers.isAmf3Int(value.value)) return amf3Types.kIntegerType;
     return amf3Types.kDoubleType;
   }
   if ('string' === type) return amf3Types.kStringType;
   if ('object' === type) {
     if (value instanceof Date) return amf3Types.kDateType;
     if (value instanceof Buffer) return amf3Types.kByteArrayType;
+    if (value instanceof Int32Array) return amf3Types.kVectorIntType;
+    if (value instanceof Uint32Array) return amf3Types.kVectorUintType;
+    if (value instanceof Float64Array) return amf3Types.kVectorDoubleType;
+    if (isVector(value)) return amf3Types.kVectorObjectType;
+    if (value instanceof Map) return amf3Types.kDictionaryType;
     if (Array.isArray(value)) return amf3Types.kArrayType;
-    if (value.__type__ === 'XML') return amf3Types.kXMLType;
-    if (value.__type__ === 'XMLDocument') return amf3Types.kAvmPlusXmlType;
+    // 0x07 is the legacy flash.xml.XMLDocument, 0x0B is E4X XML
+    if (value.__type__ === 'XMLDocument') return amf3Types.kXMLType;
+    if (value.__type__ === 'XML') return amf3Types.kAvmPlusXmlType;
     return amf3Types.kObjectType;
   }
   throw new Error('could not infer AMF3 "type" for ' + value);
 }
 
+function getClassName(value) {
+  // registered class aliases win over the `__className__` property
+  return registry.getAliasByClass(value.constructor) || value.__className__ || '';
+}
+
+function isVector(value) {
+  return value instanceof Int32Array ||
+    value instanceof Uint32Array ||
+    value instanceof Float64Array ||
+    (Array.isArray(value) && 'string' === typeof value.__vectorType__);
+}
+
+// info for a value nested in an AMF0 Object or Array, mirroring `read()`: it
+// shares the options, object references and path of its parent, but always
+// starts out as AMF0, and an AVM+ value in it gets its own AMF3 reference
+// tables unless the parent already has some
+function nestedInfo(info) {
+  var temp = Object.create(info);
+  temp.version = 0;
+  temp.type = null;
+  return temp;
+}
+
 // 2.2 Number Type
 
-function writeNumber(buffer, value, info) {
-  var offset = info.offset;
-  bytesUsed(info, 8);
-  return buffer.writeDoubleBE(value, offset);
+function writeNumber(out, value, info) {
+  out.writeDoubleBE(Number(value));
 }
 
 // 2.3 Boolean Type
 
-function writeBoolean(buffer, value, info) {
-  var offset = info.offset;
-  bytesUsed(info, 1);
-  return buffer.writeUInt8(value ? 1 : 0, offset);
+function writeBoolean(out, value, info) {
+  out.writeUInt8(value ? 1 : 0);
 }
 
 // 2.4 String Type
 
-function writeString(buffer, value, info) {
-  var offset = info.offset;
-  var encoding = 'utf8';
-
+function writeString(out, value, info) {
   // first write the byte length of the utf8 string
-  var length = Buffer.byteLength(value, encoding);
-  buffer.writeUInt16BE(length, offset);
-  bytesUsed(info, 2);
+  var length = Buffer.byteLength(value, 'utf8');
+  if (length > 0xFFFF) {
+    throw new RangeError('String too long for AMF0 UTF-8: ' + length + ' bytes');
+  }
+  out.writeUInt16BE(length);
 
   // second write the utf8 string bytes
-  offset = info.offset;
-  bytesUsed(info, length);
-  var b = buffer.write(value, offset, length, encoding);
-  assert.equal(b, length, 'failed to write entire String ' +
-    JSON.stringify(value) + ' to Buffer with length ' + buffer.length +
-    ' at offset ' + offset + '. Wrote ' + b + ' bytes, expected ' + length);
-  return b;
+  return out.writeUtf8(value, length);
 }
 
 // 2.5 Object Type
 
-function writeObject(buffer, object, info) {
-  var keys = Object.keys(object);
-  var key, value;
+function writeObject(out, object, info) {
+  var resumed = resuming(info);
+  var state = track(info, writeObject);
+  var keys = state && state.keys || Object.keys(object).filter(function (key) {
+    return key !== '__className__';
+  });
+  if (state) state.keys = keys;
 
-  if (!info.references) info.references = [];
-  info.references.push(object);
+  if (!resumed) {
+    if (!info.references) info.references = [];
+    info.references.push(object);
+  }
 
   // loop through all the keys and write their keys ana values
-  var temp = {};
-  for (var i = 0; i < keys.length; i++) {
-    // write the "key"
-    temp.offset = info.offset;
-    temp.byteLength = 0;
-    key = keys[i];
-    writeString(buffer, key, temp);
-    bytesUsed(info, temp.byteLength);
+  for (var i = state ? state.index : 0; i < keys.length; i++) {
+    // write the "key", unless its value was left half written
+    var named = resuming(info);
+    checkpoint(out, state, i);
+    if (!named) writeString(out, keys[i], info);
 
     // write the "value"
-    temp.offset = info.offset;
-    temp.references = info.references;
-    value = object[key];
-    write(buffer, value, temp);
-    bytesUsed(info, temp.byteLength);
+    info.path.push(keys[i]);
+    writeValue(out, object[keys[i]], nestedInfo(info));
+    info.path.pop();
   }
 
   // now write the "end object" marker
-  temp.offset = info.offset;
-  temp.byteLength = 0;
-  writeString(buffer, '', temp);
-  bytesUsed(info, temp.byteLength);
-
-  temp.offset = info.offset;
-  write(buffer, END_OBJECT, temp);
-  bytesUsed(info, temp.byteLength);
+  writeString(out, '', info);
+  writeValue(out, END_OBJECT, nestedInfo(info));
+  untrack(info, state);
 }
 
 // 2.9 Reference Type
 
-function writeReference(buffer, value, info) {
-  var refs = info.references;
-  var offset = info.offset;
-
-  // first figure out the index of the reference
-  for (var i = 0; i < refs.length; i++) {
-    if (refs[i] === value) break;
-  }
-
-  bytesUsed(info, 2);
-  buffer.writeUInt16BE(i, offset);
+function writeReference(out, value, info) {
+  out.writeUInt16BE(referenceIndex(info.references, value));
 }
 
 function isReference(value, info) {
-  var rtn = false;
-  var refs = info.references;
-  if (refs) {
-    for (var i = 0; i < refs.length; i++) {
-      if (refs[i] === value) {
-        rtn = true;
-        break;
-      }
-    }
+  return !!info.references && referenceIndex(info.references, value) !== -1;
+}
+
+// the index of `value` in a reference table, or -1. Tables can hold up to a
+// million entries, so each one gets a Map from value to index alongside it,
+// which catches up with whatever was pushed to the table since the last
+// lookup (and starts over if the table was cut short)
+var tableIndexes = new WeakMap();
+
+function referenceIndex(table, value) {
+  var index = tableIndexes.get(table);
+  if (!index || index.length > table.length) {
+    index = { map: new Map(), length: 0 };
+    tableIndexes.set(table, index);
+  }
+  for (; index.length < table.length; index.length++) {
+    if (!index.map.has(table[index.length])) index.map.set(table[index.length], index.length);
   }
-  return rtn;
+  var i = index.map.get(value);
+  return undefined === i ? -1 : i;
 }
 
 // 2.10 ECMA Array Type
 
-function writeECMAArray(buffer, array, info) {
-
-  // first write the array length
-  buffer.writeUInt32BE(array.length, info.offset);
-  bytesUsed(info, 4);
+function writeECMAArray(out, array, info) {
+  // first write the array length, or the count that was advertised when the
+  // array was decoded (encoders disagree on what it should contain)
+  var count = null == array.__ecmaCount__ ? array.length : array.__ecmaCount__;
+  out.writeUInt32BE(count);
 
   // at this point it's the same binary structure as a regular Object
-  writeObject(buffer, array, info);
+  writeObject(out, array, info);
 }
 
 // 2.11 Object End Type
@@ -264,21 +390,91 @@ function writeECMAArray(buffer, array, info) {
 // sentinel object that signifies the "end" of an ECMA Object/Array
 var END_OBJECT = { endObject: true };
 
+// 2.12 Strict Array Type
+
+function writeStrictArray(out, array, info) {
+  var resumed = resuming(info);
+  var state = track(info, writeStrictArray);
+  if (!resumed) {
+    if (!info.references) info.references = [];
+    info.references.push(array);
+
+    out.writeUInt32BE(array.length);
+  }
+
+  for (var i = state ? state.index : 0; i < array.length; i++) {
+    checkpoint(out, state, i);
+    info.path.push(i);
+    writeValue(out, array[i], nestedInfo(info));
+    info.path.pop();
+  }
+  untrack(info, state);
+}
+
+// 2.13 Date Type
+
+function writeDate(out, date, info) {
+  // number of milliseconds elapsed since the epoch
+  // of midnight on 1st Jan 1970 in the UTC time zone
+  out.writeDoubleBE(date.getTime());
+
+  // reserved, SHOULD be set to 0x0000 unless the decoded Date carried a value
+  out.writeInt16BE(date.__timezone__ || 0);
+}
+
+// 2.14 Long String Type
+
+function writeLongString(out, value, info) {
+  // first write the byte length of the utf8 string
+  var length = Buffer.byteLength(value, 'utf8');
+  out.writeUInt32BE(length);
+
+  // second write the utf8 string bytes
+  return out.writeUtf8(value, length);
+}
+
+// 2.17 XML Document Type
+
+function writeXMLDocument(out, value, info) {
+  // same binary structure as a "long string"
+  return writeLongString(out, value.toString(), info);
+}
+
+// 2.18 Typed Object Type
+
+function writeTypedObject(out, object, info) {
+  // "typed" objects are just regular ECMA Objects with a String class name at the
+  // beginning
+  writeString(out, getClassName(object), info);
+  writeObject(out, object, info);
+}
+
 /**
  * AMF3 implementation
  */
 
-function writeAmf3(buffer, value, info) {
+function writeAmf3(out, value, info) {
+  var start = out.length;
+  var depth = info.path.length;
+  var type;
+  try {
+    if (resuming(info)) return resumeValue(out, value, info);
+    if ('bigint' == typeof value) value = numbers.fromBigInt(value, info.bigint);
+    type = getTypeAmf3(value, info);
+    writeAmf3Value(out, value, info, type);
+  } catch (err) {
+    throw encodeError(err, info, start, type, depth);
+  }
+}
+
+function writeAmf3Value(out, value, info, type) {
   // Initialize reference tables if they don't exist
   if (!info.amf3StringReferences) info.amf3StringReferences = [];
   if (!info.amf3ObjectReferences) info.amf3ObjectReferences = [];
   if (!info.amf3TraitReferences) info.amf3TraitReferences = [];
 
-  var type = getTypeAmf3(value, info);
-
   // Write the type marker
-  buffer.writeUInt8(type, info.offset);
-  bytesUsed(info, 1);
+  out.writeUInt8(type);
 
   switch (type) {
     case amf3Types.kUndefinedType:
@@ -290,84 +486,117 @@ function writeAmf3(buffer, value, info) {
       // Nothing to do, type marker is enough
       break;
     case amf3Types.kIntegerType:
-      writeAmf3Integer(buffer, value, info);
+      writeAmf3Integer(out, Number(value), info);
       break;
     case amf3Types.kDoubleType:
-      writeAmf3Double(buffer, value, info);
+      writeAmf3Double(out, Number(value), info);
       break;
     case amf3Types.kStringType:
-      writeAmf3String(buffer, value, info);
+      writeAmf3String(out, value, info);
       break;
     case amf3Types.kXMLType:
     case amf3Types.kAvmPlusXmlType:
-      writeAmf3XML(buffer, value, info, type === amf3Types.kAvmPlusXmlType);
+      writeAmf3XML(out, value, info);
       break;
     case amf3Types.kDateType:
-      writeAmf3Date(buffer, value, info);
+      writeAmf3Date(out, value, info);
       break;
     case amf3Types.kArrayType:
-      writeAmf3Array(buffer, value, info);
+      writeAmf3Array(out, value, info);
       break;
     case amf3Types.kObjectType:
-      writeAmf3Object(buffer, value, info);
+      writeAmf3Object(out, value, info);
       break;
     case amf3Types.kByteArrayType:
-      writeAmf3ByteArray(buffer, value, info);
+      writeAmf3ByteArray(out, value, info);
+      break;
+    case amf3Types.kVectorIntType:
+    case amf3Types.kVectorUintType:
+    case amf3Types.kVectorDoubleType:
+    case amf3Types.kVectorObjectType:
+      writeAmf3Vector(out, value, info, type);
+      break;
+    case amf3Types.kDictionaryType:
+      writeAmf3Dictionary(out, value, info);
       break;
     default:
       throw new Error('AMF3 type not yet implemented: ' + type);
   }
 }
 
-function writeAmf3Integer(buffer, value, info) {
-  // AMF3 represents integers with a variable-length 29-bit encoding
+// writes the U29 header of a value that is already in the object reference
+// table and returns true, or returns false after adding it to the table
+function writeAmf3ObjectReference(out, value, info) {
+  // Check if value is in reference table
+  var i = referenceIndex(info.amf3ObjectReferences, value);
+  if (i !== -1) {
+    // Write reference
+    writeAmf3U29(out, i << 1, info);
+    return true;
+  }
+
+  // Add to reference table
+  info.amf3ObjectReferences.push(value);
+  return false;
+}
+
+// 1.3.1 Variable Length Unsigned 29-bit Integer Encoding
+// used by every reference/length header
+
+function writeAmf3U29(out, value, info) {
   if (value < 0 || value >= 0x20000000) {
-    throw new Error('Integer out of range: ' + value);
+    throw new RangeError('U29 out of range: ' + value);
   }
 
   if (value < 0x80) {
     // 1 byte
-    buffer.writeUInt8(value, info.offset);
-    bytesUsed(info, 1);
+    out.writeUInt8(value);
   } else if (value < 0x4000) {
     // 2 bytes
-    buffer.writeUInt8(0x80 | ((value >> 7) & 0x7F), info.offset);
-    buffer.writeUInt8(value & 0x7F, info.offset + 1);
-    bytesUsed(info, 2);
+    out.writeUInt8(0x80 | ((value >> 7) & 0x7F));
+    out.writeUInt8(value & 0x7F);
   } else if (value < 0x200000) {
     // 3 bytes
-    buffer.writeUInt8(0x80 | ((value >> 14) & 0x7F), info.offset);
-    buffer.writeUInt8(0x80 | ((value >> 7) & 0x7F), info.offset + 1);
-    buffer.writeUInt8(value & 0x7F, info.offset + 2);
-    bytesUsed(info, 3);
+    out.writeUInt8(0x80 | ((value >> 14) & 0x7F));
+    out.writeUInt8(0x80 | ((value >> 7) & 0x7F));
+    out.writeUInt8(value & 0x7F);
   } else {
     // 4 bytes
-    buffer.writeUInt8(0x80 | ((value >> 22) & 0x7F), info.offset);
-    buffer.writeUInt8(0x80 | ((value >> 15) & 0x7F), info.offset + 1);
-    buffer.writeUInt8(0x80 | ((value >> 8) & 0x7F), info.offset + 2);
-    buffer.writeUInt8(value & 0xFF, info.offset + 3);
-    bytesUsed(info, 4);
+    out.writeUInt8(0x80 | ((value >> 22) & 0x7F));
+    out.writeUInt8(0x80 | ((value >> 15) & 0x7F));
+    out.writeUInt8(0x80 | ((value >> 8) & 0x7F));
+    out.writeUInt8(value & 0xFF);
   }
 }
 
-function writeAmf3Double(buffer, value, info) {
-  buffer.writeDoubleBE(value, info.offset);
-  bytesUsed(info, 8);
+// 3.6 integer Type
+// negative values are stored as 29-bit two's complement
+
+function writeAmf3Integer(out, value, info) {
+  if (value < -0x10000000 || value > 0x0FFFFFFF) {
+    throw new RangeError('Integer out of range: ' + value);
+  }
+  writeAmf3U29(out, value & 0x1FFFFFFF, info);
+}
+
+function writeAmf3Double(out, value, info) {
+  out.writeDoubleBE(value);
 }
 
-function writeAmf3String(buffer, value, info) {
+// `ref` is the string reference to write instead of looking one up, or -1 to
+// write the string inline even when the table has it already
+function writeAmf3String(out, value, info, ref) {
   // Check if string is in reference table
-  for (var i = 0; i < info.amf3StringReferences.length; i++) {
-    if (info.amf3StringReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
+  var i = null == ref ? referenceIndex(info.amf3StringReferences, value) : ref;
+  if (i !== -1) {
+    // Write reference
+    writeAmf3U29(out, i << 1, info);
+    return;
   }
 
   // Empty string is special case
   if (value === '') {
-    writeAmf3Integer(buffer, 1, info); // (0 << 1) | 1
+    writeAmf3U29(out, 1, info); // (0 << 1) | 1
     return;
   }
 
@@ -376,430 +605,263 @@ function writeAmf3String(buffer, value, info) {
 
   // Write string length (length << 1) | 1
   var byteLength = Buffer.byteLength(value, 'utf8');
-  writeAmf3Integer(buffer, (byteLength << 1) | 1, info);
+  writeAmf3U29(out, (byteLength << 1) | 1, info);
 
   // Write string bytes
-  buffer.write(value, info.offset, byteLength, 'utf8');
-  bytesUsed(info, byteLength);
+  out.writeUtf8(value, byteLength);
 }
 
-function writeAmf3Date(buffer, value, info) {
-  // Check if date is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
-  }
-
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
+function writeAmf3Date(out, value, info) {
+  if (writeAmf3ObjectReference(out, value, info)) return;
 
   // Write header (no time zone in AMF3)
-  writeAmf3Integer(buffer, 1, info); // (0 << 1) | 1
+  writeAmf3U29(out, 1, info); // (0 << 1) | 1
 
   // Write date value
-  buffer.writeDoubleBE(value.getTime(), info.offset);
-  bytesUsed(info, 8);
+  out.writeDoubleBE(value.getTime());
 }
 
-function writeAmf3Array(buffer, value, info) {
-  // Check if array is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
-  }
-
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
+function writeAmf3Array(out, value, info) {
+  var resumed = resuming(info);
+  if (!resumed && writeAmf3ObjectReference(out, value, info)) return;
+  var state = track(info, writeAmf3Array);
 
   // Get array length and check for associative keys
   var length = value.length || 0;
-  var associativeKeys = [];
+  var associativeKeys = state && state.keys;
 
-  for (var key in value) {
-    if (value.hasOwnProperty(key) &&
-      !(parseInt(key) >= 0 && parseInt(key) < length)) {
-      associativeKeys.push(key);
+  if (!associativeKeys) {
+    associativeKeys = [];
+    for (var key in value) {
+      if (value.hasOwnProperty(key) &&
+        !(parseInt(key) >= 0 && parseInt(key) < length)) {
+        associativeKeys.push(key);
+      }
     }
+    if (state) state.keys = associativeKeys;
   }
 
   // Write array length (length << 1) | 1
-  writeAmf3Integer(buffer, (length << 1) | 1, info);
+  if (!resumed) writeAmf3U29(out, (length << 1) | 1, info);
 
   // Write associative keys (or empty string to end)
-  for (var i = 0; i < associativeKeys.length; i++) {
-    writeAmf3String(buffer, associativeKeys[i], info);
-    writeAmf3(buffer, value[associativeKeys[i]], info);
+  var index = state ? state.index : 0;
+  for (var i = index; i < associativeKeys.length; i++) {
+    var named = resuming(info);
+    checkpoint(out, state, i);
+    if (!named) writeAmf3String(out, associativeKeys[i], info);
+    info.path.push(associativeKeys[i]);
+    writeAmf3(out, value[associativeKeys[i]], info);
+    info.path.pop();
   }
 
   // Empty string marks end of associative part
-  writeAmf3String(buffer, '', info);
+  if (index <= associativeKeys.length) writeAmf3String(out, '', info);
 
   // Write dense array elements
-  for (var i = 0; i < length; i++) {
-    writeAmf3(buffer, value[i], info);
+  for (var i = Math.max(0, index - associativeKeys.length - 1); i < length; i++) {
+    checkpoint(out, state, associativeKeys.length + 1 + i);
+    info.path.push(i);
+    writeAmf3(out, value[i], info);
+    info.path.pop();
   }
+  untrack(info, state);
 }
 
-function writeAmf3Object(buffer, value, info) {
-  // Check if object is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
-  }
-
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
+function writeAmf3Object(out, value, info) {
+  var resumed = resuming(info);
+  if (!resumed && writeAmf3ObjectReference(out, value, info)) return;
+  var state = track(info, writeAmf3Object);
 
-  var className = value.__className__ || '';
-  var isDynamic = true;
-  var isExternalizable = value.__externalizable__ === true;
-  var propertyNames = [];
+  var traits = state && state.traits || getTraits(value);
+  if (state) state.traits = traits;
 
-  // Collect property names
-  if (!isExternalizable) {
-    for (var key in value) {
-      if (value.hasOwnProperty(key) &&
-        key !== '__className__' &&
-        key !== '__externalizable__') {
-        propertyNames.push(key);
-      }
+  if (!resumed) {
+    if (traits.externalizable && !traits.handler) {
+      throw new Error('No handler registered for externalizable class: ' + traits.className);
     }
-  }
 
-  // Write object header
-  // Bits: [trait-ref=bit0=1 inline][trait-inline=bit1=1][externalizable=bit2][dynamic=bit3][propCount bits 4..]
-  var header = 0x03; // inline object + inline trait
-
-  if (isExternalizable) {
-    header |= (1 << 2);
-  } else {
-    if (isDynamic) header |= (1 << 3);
-    header |= (propertyNames.length << 4);
-  }
+    // Write object header, referencing an identical trait written earlier
+    // in this message when possible
+    var trait = getTraitHeader(traits, info.amf3TraitReferences);
+    writeAmf3U29(out, trait.header, info);
 
-  writeAmf3Integer(buffer, header, info);
-
-  // Write class name
-  writeAmf3String(buffer, className, info);
-
-  // Write property definitions (for non-externalizable objects)
-  if (!isExternalizable) {
-    // Write property names
-    for (var i = 0; i < propertyNames.length; i++) {
-      // Keys in trait list must be AMF3 string WITHOUT marker (inline string header only)
-      writeAmf3Integer(buffer, (Buffer.byteLength(propertyNames[i], 'utf8') << 1) | 1, info);
-      var len = Buffer.byteLength(propertyNames[i], 'utf8');
-      buffer.write(propertyNames[i], info.offset, len, 'utf8');
-      bytesUsed(info, len);
-    }
-
-    // Write property values
-    for (var i = 0; i < propertyNames.length; i++) {
-      writeAmf3(buffer, value[propertyNames[i]], info);
+    if (trait.inline) {
+      // Write class name and sealed member names
+      writeAmf3String(out, traits.className, info);
+      for (var i = 0; i < traits.sealed.length; i++) {
+        writeAmf3String(out, traits.sealed[i], info);
+      }
     }
+  }
 
-    // For dynamic objects, write dynamic properties
-    if (isDynamic) {
-      // Empty string without marker to terminate dynamic section
-      writeAmf3Integer(buffer, 1, info);
+  if (traits.externalizable) {
+    // For externalizable objects, the class's own `writeExternal()` logic
+    // writes the body, which cannot be stopped half way
+    var external = info;
+    if (info.resume) {
+      external = Object.create(info);
+      external.resume = null;
     }
+    traits.handler.write(new DataOutput(out, function (v) {
+      writeAmf3(out, v, external);
+    }), value);
+    untrack(info, state);
+    return;
   }
-  // For externalizable objects, custom serialization would go here
-  // but we don't support that yet
-}
 
-function writeAmf3XML(buffer, value, info, isAvmPlus) {
-  // Check if XML is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
+  // Write sealed member values
+  var index = state ? state.index : 0;
+  for (var i = index; i < traits.sealed.length; i++) {
+    checkpoint(out, state, i);
+    info.path.push(traits.sealed[i]);
+    writeAmf3(out, value[traits.sealed[i]], info);
+    info.path.pop();
+  }
+
+  // Write dynamic members as name/value pairs, ending with an empty string
+  if (traits.dynamic) {
+    for (var i = Math.max(0, index - traits.sealed.length); i < traits.dynamicKeys.length; i++) {
+      var named = resuming(info);
+      checkpoint(out, state, traits.sealed.length + i);
+      if (!named) writeAmf3String(out, traits.dynamicKeys[i], info);
+      info.path.push(traits.dynamicKeys[i]);
+      writeAmf3(out, value[traits.dynamicKeys[i]], info);
+      info.path.pop();
     }
+    writeAmf3String(out, '', info);
   }
+  untrack(info, state);
+}
 
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
+function writeAmf3XML(out, value, info) {
+  if (writeAmf3ObjectReference(out, value, info)) return;
 
   // Get XML string
   var xmlStr = value.toString();
   var byteLength = Buffer.byteLength(xmlStr, 'utf8');
 
   // Write length (length << 1) | 1
-  writeAmf3Integer(buffer, (byteLength << 1) | 1, info);
+  writeAmf3U29(out, (byteLength << 1) | 1, info);
 
   // Write XML bytes
-  buffer.write(xmlStr, info.offset, byteLength, 'utf8');
-  bytesUsed(info, byteLength);
+  out.writeUtf8(xmlStr, byteLength);
 }
 
-function writeAmf3ByteArray(buffer, value, info) {
-  // Check if ByteArray is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
-  }
-
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
+function writeAmf3ByteArray(out, value, info) {
+  if (writeAmf3ObjectReference(out, value, info)) return;
 
   // Write length (length << 1) | 1
-  writeAmf3Integer(buffer, (value.length << 1) | 1, info);
+  writeAmf3U29(out, (value.length << 1) | 1, info);
 
   // Write bytes
-  value.copy(buffer, info.offset);
-  bytesUsed(info, value.length);
+  out.writeBytes(value);
 }
 
-function writeAmf3Integer(buffer, value, info) {
-  // AMF3 represents integers with a variable-length 29-bit encoding
-  if (value < 0 || value >= 0x20000000) {
-    throw new Error('Integer out of range: ' + value);
-  }
+function writeAmf3Vector(out, value, info, type) {
+  var resumed = resuming(info);
+  if (!resumed && writeAmf3ObjectReference(out, value, info)) return;
+  var state = track(info, writeAmf3Vector, type);
 
-  if (value < 0x80) {
-    // 1 byte
-    buffer.writeUInt8(value, info.offset);
-    bytesUsed(info, 1);
-  } else if (value < 0x4000) {
-    // 2 bytes
-    buffer.writeUInt8(0x80 | ((value >> 7) & 0x7F), info.offset);
-    buffer.writeUInt8(value & 0x7F, info.offset + 1);
-    bytesUsed(info, 2);
-  } else if (value < 0x200000) {
-    // 3 bytes
-    buffer.writeUInt8(0x80 | ((value >> 14) & 0x7F), info.offset);
-    buffer.writeUInt8(0x80 | ((value >> 7) & 0x7F), info.offset + 1);
-    buffer.writeUInt8(value & 0x7F, info.offset + 2);
-    bytesUsed(info, 3);
-  } else {
-    // 4 bytes
-    buffer.writeUInt8(0x80 | ((value >> 22) & 0x7F), info.offset);
-    buffer.writeUInt8(0x80 | ((value >> 15) & 0x7F), info.offset + 1);
-    buffer.writeUInt8(0x80 | ((value >> 8) & 0x7F), info.offset + 2);
-    buffer.writeUInt8(value & 0xFF, info.offset + 3);
-    bytesUsed(info, 4);
+  if (!resumed) {
+    // Write length (length << 1) | 1, then the "fixed" flag
+    writeAmf3U29(out, (value.length << 1) | 1, info);
+    out.writeUInt8(value.__fixed__ ? 1 : 0);
+    // Vector.<Object> carries the element type name before its values
+    if (type === amf3Types.kVectorObjectType) writeAmf3String(out, value.__vectorType__, info);
   }
-}
-
-function writeAmf3Double(buffer, value, info) {
-  buffer.writeDoubleBE(value, info.offset);
-  bytesUsed(info, 8);
-}
 
-function writeAmf3String(buffer, value, info) {
-  // Check if string is in reference table
-  for (var i = 0; i < info.amf3StringReferences.length; i++) {
-    if (info.amf3StringReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
+  for (var i = state ? state.index : 0; i < value.length; i++) {
+    checkpoint(out, state, i);
+    switch (type) {
+      case amf3Types.kVectorIntType:
+        out.writeInt32BE(value[i]);
+        break;
+      case amf3Types.kVectorUintType:
+        out.writeUInt32BE(value[i]);
+        break;
+      case amf3Types.kVectorDoubleType:
+        out.writeDoubleBE(value[i]);
+        break;
+      default:
+        info.path.push(i);
+        writeAmf3(out, value[i], info);
+        info.path.pop();
     }
   }
-
-  // Empty string is special case
-  if (value === '') {
-    writeAmf3Integer(buffer, 1, info); // (0 << 1) | 1
-    return;
-  }
-
-  // Add to reference table
-  info.amf3StringReferences.push(value);
-
-  // Write string length (length << 1) | 1
-  var byteLength = Buffer.byteLength(value, 'utf8');
-  writeAmf3Integer(buffer, (byteLength << 1) | 1, info);
-
-  // Write string bytes
-  buffer.write(value, info.offset, byteLength, 'utf8');
-  bytesUsed(info, byteLength);
+  untrack(info, state);
 }
 
-function writeAmf3Date(buffer, value, info) {
-  // Check if date is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
-  }
-
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
-
-  // Write header (no time zone in AMF3)
-  writeAmf3Integer(buffer, 1, info); // (0 << 1) | 1
+function writeAmf3Dictionary(out, value, info) {
+  var resumed = resuming(info);
+  if (!resumed && writeAmf3ObjectReference(out, value, info)) return;
+  var state = track(info, writeAmf3Dictionary);
+  var entries = state && state.entries || Array.from(value);
+  if (state) state.entries = entries;
 
-  // Write date value
-  buffer.writeDoubleBE(value.getTime(), info.offset);
-  bytesUsed(info, 8);
-}
-
-function writeAmf3Array(buffer, value, info) {
-  // Check if array is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
+  if (!resumed) {
+    // Write size (size << 1) | 1, then the "weak keys" flag
+    writeAmf3U29(out, (value.size << 1) | 1, info);
+    out.writeUInt8(value.__weakKeys__ ? 1 : 0);
   }
 
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
-
-  // Get array length and check for associative keys
-  var length = value.length || 0;
-  var associativeKeys = [];
-
-  for (var key in value) {
-    if (value.hasOwnProperty(key) &&
-      !(parseInt(key) >= 0 && parseInt(key) < length)) {
-      associativeKeys.push(key);
-    }
-  }
-
-  // Write array length (length << 1) | 1
-  writeAmf3Integer(buffer, (length << 1) | 1, info);
-
-  // Write associative keys (or empty string to end)
-  for (var i = 0; i < associativeKeys.length; i++) {
-    writeAmf3String(buffer, associativeKeys[i], info);
-    writeAmf3(buffer, value[associativeKeys[i]], info);
-  }
-
-  // Empty string marks end of associative part
-  writeAmf3String(buffer, '', info);
-
-  // Write dense array elements
-  for (var i = 0; i < length; i++) {
-    writeAmf3(buffer, value[i], info);
+  // Keys are full AMF3 values, not just Strings: each entry is its key
+  // then its value
+  for (var i = state ? state.index : 0; i < 2 * entries.length; i++) {
+    checkpoint(out, state, i);
+    info.path.push(i >> 1);
+    writeAmf3(out, entries[i >> 1][i & 1], info);
+    info.path.pop();
   }
+  untrack(info, state);
 }
 
-function writeAmf3Object(buffer, value, info) {
-  // Check if object is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
-  }
-
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
-
-  var className = value.__className__ || '';
-  var isDynamic = true;
-  var isExternalizable = value.__externalizable__ === true;
-  var propertyNames = [];
-
-  // Collect property names
-  if (!isExternalizable) {
-    for (var key in value) {
-      if (value.hasOwnProperty(key) &&
-        key !== '__className__' &&
-        key !== '__externalizable__') {
-        propertyNames.push(key);
-      }
-    }
-  }
-
-  // Write object header
-  // Bits: [trait-ref=bit0=1 inline][trait-inline=bit1=1][externalizable=bit2][dynamic=bit3][propCount bits 4..]
-  var header = 0x03; // inline object + inline trait
-
-  if (isExternalizable) {
-    header |= (1 << 2);
-  } else {
-    if (isDynamic) header |= (1 << 3);
-    header |= (propertyNames.length << 4);
-  }
-
-  writeAmf3Integer(buffer, header, info);
-
-  // Write class name
-  writeAmf3String(buffer, className, info);
-
-  // Write property definitions (for non-externalizable objects)
-  if (!isExternalizable) {
-    // Write property names
-    for (var i = 0; i < propertyNames.length; i++) {
-      writeAmf3String(buffer, propertyNames[i], info);
-    }
-
-    // Write property values
-    for (var i = 0; i < propertyNames.length; i++) {
-      writeAmf3(buffer, value[propertyNames[i]], info);
-    }
+/**
+ * Pausing.
+ *
+ * Streaming encoders (see `stream.js`) set `info.resume` and hand `write()`
+ * a Writer that turns `paused` once its reader has enough. Containers keep
+ * a checkpoint before each of their members then, and stop there by
+ * throwing `PAUSE` while the Writer is paused. The encoder calls `write()`
+ * with the same value again once the reader wants more: it goes straight
+ * back down the containers left open, without writing their markers and
+ * headers again, and carries on from their checkpoints. `info.resume.open`
+ * holds those containers, outermost first, and `info.resume.depth` how many
+ * of them the current call went back into so far.
+ */
 
-    // For dynamic objects, write dynamic properties
-    if (isDynamic) {
-      // Dynamic properties are already included in propertyNames
-      // Write empty string to mark end of dynamic properties
-      writeAmf3String(buffer, '', info);
-    }
-  }
-  // For externalizable objects, custom serialization would go here
-  // but we don't support that yet
+// whether the value about to be written is the next container left open
+function resuming(info) {
+  return !!info.resume && info.resume.depth < info.resume.open.length;
 }
 
-function writeAmf3XML(buffer, value, info, isAvmPlus) {
-  // Check if XML is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
-  }
-
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
-
-  // Get XML string
-  var xmlStr = value.toString();
-  var byteLength = Buffer.byteLength(xmlStr, 'utf8');
-
-  // Write length (length << 1) | 1
-  writeAmf3Integer(buffer, (byteLength << 1) | 1, info);
-
-  // Write XML bytes
-  buffer.write(xmlStr, info.offset, byteLength, 'utf8');
-  bytesUsed(info, byteLength);
+// goes back into the container left open, with the `info` it had
+function resumeValue(out, value, info) {
+  var state = info.resume.open[info.resume.depth];
+  state.fn(out, value, state.info, state.type);
 }
 
-function writeAmf3ByteArray(buffer, value, info) {
-  // Check if ByteArray is in reference table
-  for (var i = 0; i < info.amf3ObjectReferences.length; i++) {
-    if (info.amf3ObjectReferences[i] === value) {
-      // Write reference
-      writeAmf3Integer(buffer, i << 1, info);
-      return;
-    }
-  }
-
-  // Add to reference table
-  info.amf3ObjectReferences.push(value);
+// starts keeping checkpoints for the container being written by `fn`, or
+// picks up the ones it left when going back into it
+function track(info, fn, type) {
+  var resume = info.resume;
+  if (!resume) return null;
+  if (resume.depth < resume.open.length) return resume.open[resume.depth++];
+  var state = { fn: fn, type: type, info: info, index: 0 };
+  resume.open.push(state);
+  resume.depth++;
+  return state;
+}
 
-  // Write length (length << 1) | 1
-  writeAmf3Integer(buffer, (value.length << 1) | 1, info);
+// the container is about to write its `index`-th member
+function checkpoint(out, state, index) {
+  if (!state) return;
+  state.index = index;
+  if (out.paused) throw PAUSE;
+}
 
-  // Write bytes
-  value.copy(buffer, info.offset);
-  bytesUsed(info, value.length);
+function untrack(info, state) {
+  if (!state) return;
+  info.resume.open.pop();
+  info.resume.depth--;
 }
@@ -0,0 +1,132 @@
+/**
+ * Module exports.
+ */
+
+module.exports = Writer;
+
+/**
+ * Growable output buffer used underneath `write()`, the AMF3 writers and the
+ * remoting envelope. Writes append at the end, and the backing Buffer doubles
+ * whenever it runs out of room, so callers never need a size hint.
+ *
+ * @param {Number} [size] Initial capacity in bytes.
+ * @api public
+ */
+
+function Writer (size) {
+  this.buffer = Buffer.allocUnsafe(size || 1024);
+  this.length = 0;
+}
+
+/**
+ * Makes room for `n` more bytes and returns the position they start at.
+ * May replace `this.buffer`, so read it only after calling this.
+ *
+ * @param {Number} n
+ * @return {Number}
+ * @api public
+ */
+
+Writer.prototype.reserve = function (n) {
+  var offset = this.length;
+  var needed = offset + n;
+  if (needed > this.buffer.length) {
+    var size = this.buffer.length * 2;
+    while (size < needed) size *= 2;
+    var buffer = Buffer.allocUnsafe(size);
+    this.buffer.copy(buffer, 0, 0, offset);
+    this.buffer = buffer;
+  }
+  this.length = needed;
+  return offset;
+};
+
+Writer.prototype.writeUInt8 = function (value) {
+  var offset = this.reserve(1);
+  this.buffer.writeUInt8(value, offset);
+};
+
+Writer.prototype.writeInt8 = function (value) {
+  var offset = this.reserve(1);
+  this.buffer.writeInt8(value, offset);
+};
+
+Writer.prototype.writeUInt16BE = function (value) {
+  var offset = this.reserve(2);
+  this.buffer.writeUInt16BE(value, offset);
+};
+
+Writer.prototype.writeInt16BE = function (value) {
+  var offset = this.reserve(2);
+  this.buffer.writeInt16BE(value, offset);
+};
+
+Writer.prototype.writeUInt32BE = function (value) {
+  var offset = this.reserve(4);
+  this.buffer.writeUInt32BE(value, offset);
+};
+
+Writer.prototype.writeInt32BE = function (value) {
+  var offset = this.reserve(4);
+  this.buffer.writeInt32BE(value, offset);
+};
+
+Writer.prototype.writeFloatBE = function (value) {
+  var offset = this.reserve(4);
+  this.buffer.writeFloatBE(value, offset);
+};
+
+Writer.prototype.writeDoubleBE = function (value) {
+  var offset = this.reserve(8);
+  this.buffer.writeDoubleBE(value, offset);
+};
+
+/**
+ * Appends the UTF-8 bytes of `str`. `byteLength` may be passed when the
+ * caller already computed it.
+ *
+ * @param {String} str
+ * @param {Number} [byteLength]
+ * @return {Number} The number of bytes written.
+ * @api public
+ */
+
+Writer.prototype.writeUtf8 = function (str, byteLength) {
+  if (null == byteLength) byteLength = Buffer.byteLength(str, 'utf8');
+  var offset = this.reserve(byteLength);
+  this.buffer.write(str, offset, byteLength, 'utf8');
+  return byteLength;
+};
+
+Writer.prototype.writeBytes = function (bytes) {
+  var offset = this.reserve(bytes.length);
+  if (Buffer.isBuffer(bytes)) {
+    bytes.copy(this.buffer, offset);
+  } else {
+    for (var i = 0; i < bytes.length; i++) this.buffer[offset + i] = bytes[i];
+  }
+};
+
+/**
+ * Overwrites 4 bytes that were reserved earlier, typically a length prefix
+ * that is only known once the content after it has been written.
+ *
+ * @param {Number} value
+ * @param {Number} offset
+ * @api public
+ */
+
+Writer.prototype.setInt32BE = function (value, offset) {
+  this.buffer.writeInt32BE(value, offset);
+};
+
+/**
+ * Returns the bytes written so far, as a Buffer of exactly that length.
+ *
+ * @return {Buffer}
+ * @api public
+ */
+
+Writer.prototype.toBuffer = function () {
+  return this.buffer.slice(0, this.length);
+};
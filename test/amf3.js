@@ -166,6 +166,195 @@ describe('AMF3 Support', function () {
     });
   });
 
+  describe('Vector and Dictionary', function () {
+    it('should read a Vector.<int> into an Int32Array', function () {
+      var buffer = Buffer.from([
+        0x0D, 0x05, 0x01,       // Vector.<int> marker, length 2, fixed
+        0x00, 0x00, 0x00, 0x01, // 1
+        0xFF, 0xFF, 0xFF, 0xFF  // -1
+      ]);
+      var vector = amf.read(buffer, { version: 3 });
+      assert(vector instanceof Int32Array);
+      assert.deepStrictEqual([1, -1], Array.from(vector));
+      assert.strictEqual(true, vector.__fixed__);
+    });
+
+    it('should read a Vector.<uint> into a Uint32Array', function () {
+      var buffer = Buffer.from([0x0E, 0x03, 0x00, 0xFF, 0xFF, 0xFF, 0xFF]);
+      var vector = amf.read(buffer, { version: 3 });
+      assert(vector instanceof Uint32Array);
+      assert.deepStrictEqual([0xFFFFFFFF], Array.from(vector));
+      assert.strictEqual(false, vector.__fixed__);
+    });
+
+    it('should read a Vector.<Number> into a Float64Array', function () {
+      var buffer = Buffer.alloc(11);
+      buffer[0] = 0x0F;
+      buffer[1] = 0x03;
+      buffer.writeDoubleBE(2.5, 3);
+      var vector = amf.read(buffer, { version: 3 });
+      assert(vector instanceof Float64Array);
+      assert.deepStrictEqual([2.5], Array.from(vector));
+    });
+
+    it('should read a Vector.<Object> into an Array carrying its type name', function () {
+      var buffer = Buffer.from([
+        0x10, 0x05, 0x00,             // Vector.<Object> marker, length 2, not fixed
+        0x07, 0x49, 0x74, 0x6D,       // 'Itm'
+        0x06, 0x03, 0x61,             // 'a'
+        0x06, 0x00                    // reference to 'Itm'
+      ]);
+      var vector = amf.read(buffer, { version: 3 });
+      assert(Array.isArray(vector));
+      assert.deepStrictEqual(['a', 'Itm'], vector);
+      assert.strictEqual('Itm', vector.__vectorType__);
+      assert.strictEqual(false, vector.__fixed__);
+    });
+
+    it('should read a Dictionary into a Map with non-String keys', function () {
+      var buffer = Buffer.from([
+        0x11, 0x05, 0x00,             // Dictionary marker, 2 entries, strong keys
+        0x04, 0x07, 0x06, 0x03, 0x61, // 7 => 'a'
+        0x0A, 0x0B, 0x01, 0x01,       // {} =>
+        0x03                          //   true
+      ]);
+      var dictionary = amf.read(buffer, { version: 3 });
+      assert(dictionary instanceof Map);
+      assert.strictEqual('a', dictionary.get(7));
+      var keys = Array.from(dictionary.keys());
+      assert.deepStrictEqual({}, keys[1]);
+      assert.strictEqual(true, dictionary.get(keys[1]));
+    });
+
+    it('should write and read back every Vector type', function () {
+      [
+        amf.createAmf3Vector([1, -2, 3], 'int', true),
+        amf.createAmf3Vector([1, 0xFFFFFFFF], 'uint'),
+        amf.createAmf3Vector([0.5, -1e300], 'Number'),
+        amf.createAmf3Vector([{ id: 1 }, 'x', null], 'com.ninjasaga.Item', true)
+      ].forEach(function (vector) {
+        var buffer = amf.encode(vector, { objectEncoding: 3 });
+        var out = amf.decode(buffer, { objectEncoding: 3 });
+        assert.strictEqual(vector.constructor, out.constructor);
+        assert.deepStrictEqual(Array.from(vector), Array.from(out));
+        assert.strictEqual(vector.__fixed__, out.__fixed__);
+        assert.strictEqual(vector.__vectorType__, out.__vectorType__);
+      });
+    });
+
+    it('should write and read back a Dictionary', function () {
+      var key = { slot: 3 };
+      var dictionary = amf.createAmf3Dictionary([[key, 'kunai'], [42, 'shuriken']], true);
+      var buffer = amf.encode(dictionary, { objectEncoding: 3 });
+      var out = amf.decode(buffer, { objectEncoding: 3 });
+      assert(out instanceof Map);
+      assert.strictEqual(true, out.__weakKeys__);
+      assert.strictEqual('shuriken', out.get(42));
+      assert.deepStrictEqual([[{ slot: 3 }, 'kunai'], [42, 'shuriken']], Array.from(out));
+    });
+
+    it('should upgrade Vectors and Dictionaries to AMF3 in AMF0 mode', function () {
+      var buffer = amf.encode(new Map([['a', 1]]));
+      assert.strictEqual(amf.amf0Types.kAvmPlusObjectType, buffer[0]);
+      assert.strictEqual(amf.amf3Types.kDictionaryType, buffer[1]);
+      assert.strictEqual(1, amf.decode(buffer).get('a'));
+    });
+
+    it('should round-trip through AMF3Encoder and AMF3Decoder', function () {
+      var AMF3Encoder = require('../lib/amf3/encoder').AMF3Encoder;
+      var AMF3Decoder = require('../lib/amf3/decoder').AMF3Decoder;
+      var value = {
+        ids: amf.createAmf3Vector([7, 8], 'int'),
+        items: amf.createAmf3Vector([{ id: 1 }], 'com.ninjasaga.Item'),
+        owners: new Map([[7, 'naruto']])
+      };
+
+      var encoder = new AMF3Encoder();
+      encoder.encodeValue(value);
+      var bytes = encoder.finish();
+
+      var out = new AMF3Decoder(bytes).readValue();
+      assert(out.ids instanceof Int32Array);
+      assert.deepStrictEqual([7, 8], Array.from(out.ids));
+      assert.strictEqual('com.ninjasaga.Item', out.items.__vectorType__);
+      assert.strictEqual('naruto', out.owners.get(7));
+    });
+  });
+
+  describe('Traits', function () {
+    var AMF3Encoder = require('../lib/amf3/encoder').AMF3Encoder;
+
+    function encodeBoth(value) {
+      var encoder = new AMF3Encoder();
+      encoder.encodeValue(value);
+      var bytes = encoder.finish();
+      assert.deepStrictEqual(amf.encode(value, { objectEncoding: 3 }), bytes);
+      return bytes;
+    }
+
+    it('should share one dynamic trait between anonymous objects', function () {
+      var bytes = encodeBoth([{ a: 1 }, { b: 2 }]);
+      assert.deepStrictEqual(Buffer.from([
+        0x09, 0x05, 0x01,             // dense Array of 2
+        0x0A, 0x0B, 0x01,             // inline dynamic trait, no class name
+        0x03, 0x61, 0x04, 0x01, 0x01, // a: 1, end of dynamic members
+        0x0A, 0x01,                   // trait reference 0
+        0x03, 0x62, 0x04, 0x02, 0x01  // b: 2, end of dynamic members
+      ]), bytes);
+      assert.deepStrictEqual([{ a: 1 }, { b: 2 }], amf.decode(bytes, { objectEncoding: 3 }));
+    });
+
+    it('should write typed objects with sealed members and reuse their trait', function () {
+      var items = [
+        amf.createAmf3Object({ id: 1, qty: 2 }, 'I'),
+        amf.createAmf3Object({ id: 3, qty: 4 }, 'I')
+      ];
+      var bytes = encodeBoth(items);
+      assert.deepStrictEqual(Buffer.from([
+        0x09, 0x05, 0x01,             // dense Array of 2
+        0x0A, 0x23, 0x03, 0x49,       // inline sealed trait with 2 members, class "I"
+        0x05, 0x69, 0x64,             // "id"
+        0x07, 0x71, 0x74, 0x79,       // "qty"
+        0x04, 0x01, 0x04, 0x02,       // 1, 2
+        0x0A, 0x01,                   // trait reference 0
+        0x04, 0x03, 0x04, 0x04        // 3, 4
+      ]), bytes);
+
+      var out = amf.decode(bytes, { objectEncoding: 3 });
+      assert.strictEqual('I', out[1].__className__);
+      assert.strictEqual(4, out[1].qty);
+    });
+
+    it('should honor sealed members declared with registerClassAlias()', function () {
+      function Ninja() {}
+      amf.registerClassAlias('com.ninjasaga.test.Ninja', Ninja, { sealed: ['name', 'rank'], dynamic: true });
+
+      var ninja = new Ninja();
+      ninja.rank = 'jonin';
+      ninja.name = 'Kakashi';
+      ninja.pet = 'Pakkun';
+      var bytes = encodeBoth([ninja, ninja, new Ninja()]);
+
+      var out = amf.decode(bytes, { objectEncoding: 3 });
+      assert(out[0] instanceof Ninja);
+      assert.deepStrictEqual(['name', 'rank', 'pet'], Object.keys(out[0]));
+      assert.strictEqual(out[0], out[1]);
+      assert.strictEqual('Pakkun', out[0].pet);
+      assert.strictEqual(undefined, out[2].name);
+      // the third object only references the trait
+      assert.deepStrictEqual(Buffer.from([0x0A, 0x01, 0x00, 0x00, 0x01]), bytes.slice(-5));
+    });
+
+    it('should reuse traits across many same-shaped objects', function () {
+      var list = [];
+      for (var i = 0; i < 1000; i++) list.push(amf.createAmf3Object({ id: i, name: 'n' }, 'com.ninjasaga.Item'));
+
+      var bytes = amf.encode(list, { objectEncoding: 3 });
+      assert.strictEqual(bytes.indexOf('com.ninjasaga.Item'), bytes.lastIndexOf('com.ninjasaga.Item'));
+      assert.strictEqual(999, amf.decode(bytes, { objectEncoding: 3 })[999].id);
+    });
+  });
+
   describe('Helper Functions', function () {
     it('should create AMF3 objects with className', function () {
       var obj = amf.createAmf3Object({ name: 'Test' }, 'com.example.TestClass');
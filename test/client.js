@@ -0,0 +1,239 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+var http = require('http');
+var remoting = amf.remoting;
+
+describe('RemotingClient', function () {
+
+  // a transport answering every call with `answer(message)`, keeping the
+  // decoded requests and the URLs they went to
+  function stub (answer, headers) {
+    var transport = function (url, body) {
+      var request = remoting.decodePacket(body);
+      transport.urls.push(url);
+      transport.requests.push(request);
+      return Promise.resolve(remoting.encodePacket({
+        version: request.version,
+        headers: headers ? headers.shift() || [] : [],
+        messages: request.messages.map(function (message) {
+          return answer(message);
+        })
+      }));
+    };
+    transport.urls = [];
+    transport.requests = [];
+    return transport;
+  }
+
+  function echo (message) {
+    return { targetUri: message.responseUri + '/onResult', responseUri: 'null', body: message.body };
+  }
+
+  it('should batch calls made in the same tick into one packet', function () {
+    var transport = stub(echo);
+    var client = new amf.RemotingClient('http://gateway/amf', { transport: transport });
+
+    return Promise.all([
+      client.call('Character.load', 12345),
+      client.call('Mission.list')
+    ]).then(function (results) {
+      assert.deepStrictEqual([ [ 12345 ], [] ], results);
+      assert.strictEqual(1, transport.requests.length);
+      var messages = transport.requests[0].messages;
+      assert.deepStrictEqual([ 'Character.load', 'Mission.list' ], messages.map(function (message) {
+        return message.targetUri;
+      }));
+      assert.deepStrictEqual([ '/1', '/2' ], messages.map(function (message) {
+        return message.responseUri;
+      }));
+
+      return client.call('Character.save', { level: 5 });
+    }).then(function (result) {
+      assert.deepStrictEqual([ { level: 5 } ], result);
+      assert.strictEqual(2, transport.requests.length);
+      assert.strictEqual('/3', transport.requests[1].messages[0].responseUri);
+    });
+  });
+
+  it('should send the arguments as a strict Array with the object encoding', function () {
+    var transport = stub(echo);
+    var amf0 = new amf.RemotingClient('http://gateway/amf', { transport: transport });
+    var amf3 = new amf.RemotingClient('http://gateway/amf', { transport: transport, objectEncoding: 3 });
+    return Promise.all([ amf0.call('Character.load', 1, 'two'), amf3.call('Character.load', 1, 'two') ]).then(function () {
+      assert.strictEqual(0, transport.requests[0].version);
+      assert.strictEqual(true, transport.requests[0].messages[0].body.__strict__);
+      assert.strictEqual(3, transport.requests[1].version);
+      assert.deepStrictEqual([ 1, 'two' ], transport.requests[1].messages[0].body);
+    });
+  });
+
+  it('should send AMF3 calls as a strict Array of AVM+ values, like Flash Player', function () {
+    var sent;
+    var client = new amf.RemotingClient('http://gateway/amf', {
+      objectEncoding: 3,
+      transport: function (url, body) {
+        sent = body;
+        return stub(echo)(url, body);
+      }
+    });
+    return client.call('Character.load', 7).then(function () {
+      var target = Buffer.from('Character.load');
+      assert.deepStrictEqual(Buffer.concat([
+        Buffer.from([ 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, target.length ]), target,
+        Buffer.from([ 0x00, 0x02, 0x2F, 0x31, 0x00, 0x00, 0x00, 0x08 ]),
+        Buffer.from([ 0x0A, 0x00, 0x00, 0x00, 0x01, 0x11, 0x04, 0x07 ])
+      ]), sent);
+    });
+  });
+
+  it('should only reject the call whose arguments cannot be encoded', function () {
+    var transport = stub(echo);
+    var client = new amf.RemotingClient('http://gateway/amf', { transport: transport });
+    var bad = client.call('Bank.deposit', 10n).then(function () {
+      throw new Error('should have failed');
+    }, function (err) {
+      assert(err instanceof amf.AMFEncodeError);
+    });
+    return Promise.all([ client.call('Character.load', 1), bad ]).then(function (results) {
+      assert.deepStrictEqual([ 1 ], results[0]);
+      assert.strictEqual(1, transport.requests[0].messages.length);
+    });
+  });
+
+  it('should encode calls with its write() options', function () {
+    var transport = stub(echo);
+    var client = new amf.RemotingClient('http://gateway/amf', { transport: transport, bigint: 'string' });
+    return client.call('Bank.deposit', 10n).then(function (result) {
+      assert.deepStrictEqual([ '10' ], result);
+    });
+  });
+
+  it('should reject with a RemotingFault on onStatus', function () {
+    var client = new amf.RemotingClient('http://gateway/amf', {
+      transport: stub(function (message) {
+        if (message.targetUri !== 'Character.delete') return echo(message);
+        return {
+          targetUri: message.responseUri + '/onStatus',
+          responseUri: 'null',
+          body: { level: 'error', code: 'Server.Denied', description: 'Not your character' }
+        };
+      })
+    });
+
+    var ok = client.call('Character.load', 1);
+    var denied = client.call('Character.delete', 1).then(function () {
+      throw new Error('should have failed');
+    }, function (err) {
+      assert(err instanceof amf.RemotingFault);
+      assert.strictEqual('Server.Denied', err.code);
+      assert.strictEqual('/2', err.responseUri);
+    });
+    return Promise.all([ ok, denied ]);
+  });
+
+  it('should reject every call of a batch the transport failed to send', function () {
+    var client = new amf.RemotingClient('http://gateway/amf', {
+      transport: function () {
+        return Promise.reject(new Error('ECONNREFUSED'));
+      }
+    });
+    return Promise.all([ client.call('a'), client.call('b') ].map(function (promise) {
+      return promise.then(function () {
+        throw new Error('should have failed');
+      }, function (err) {
+        assert.strictEqual('ECONNREFUSED', err.message);
+      });
+    }));
+  });
+
+  it('should send its headers and follow the gateway headers', function () {
+    var transport = stub(echo, [
+      [
+        { name: 'AppendToGatewayUrl', value: '?PHPSESSID=abc' },
+        { name: 'RequestPersistentHeader', value: { name: 'Credentials', mustUnderstand: true, data: { userid: 'naruto' } } }
+      ],
+      [ { name: 'ReplaceGatewayUrl', value: 'http://other/amf' } ]
+    ]);
+    var client = new amf.RemotingClient('http://gateway/amf', {
+      transport: transport,
+      headers: [ { name: 'DSId', value: 'nil' } ]
+    });
+
+    return client.call('a').then(function () {
+      assert.deepStrictEqual([ 'DSId' ], transport.requests[0].headers.map(function (header) {
+        return header.name;
+      }));
+      return client.call('b');
+    }).then(function () {
+      return client.call('c');
+    }).then(function () {
+      assert.deepStrictEqual([ 'http://gateway/amf', 'http://gateway/amf?PHPSESSID=abc', 'http://other/amf' ],
+        transport.urls);
+      var credentials = transport.requests[1].headers[1];
+      assert.strictEqual('Credentials', credentials.name);
+      assert.strictEqual(true, credentials.mustUnderstand);
+      assert.deepStrictEqual({ userid: 'naruto' }, credentials.value);
+
+      client.addHeader('DSId');
+      return client.call('d');
+    }).then(function () {
+      assert.deepStrictEqual([ 'Credentials' ], transport.requests[3].headers.map(function (header) {
+        return header.name;
+      }));
+    });
+  });
+
+  describe('over HTTP', function () {
+    var server;
+    var url;
+
+    before(function (done) {
+      server = http.createServer(function (req, res) {
+        var chunks = [];
+        req.on('data', function (chunk) {
+          chunks.push(chunk);
+        });
+        req.on('end', function () {
+          if (req.url !== '/amf') {
+            res.statusCode = 404;
+            return res.end();
+          }
+          assert.strictEqual('application/x-amf', req.headers['content-type']);
+          var request = remoting.decodePacket(Buffer.concat(chunks));
+          res.setHeader('Content-Type', 'application/x-amf');
+          res.end(remoting.encodePacket({ messages: request.messages.map(echo) }));
+        });
+      });
+      server.listen(0, '127.0.0.1', function () {
+        url = 'http://127.0.0.1:' + server.address().port;
+        done();
+      });
+    });
+
+    after(function (done) {
+      server.close(done);
+    });
+
+    it('should POST packets to the gateway', function () {
+      var client = new amf.RemotingClient(url + '/amf');
+      return client.call('Character.load', 'naruto').then(function (result) {
+        assert.deepStrictEqual([ 'naruto' ], result);
+      });
+    });
+
+    it('should reject on HTTP errors', function () {
+      var client = new amf.RemotingClient(url + '/missing');
+      return client.call('Character.load').then(function () {
+        throw new Error('should have failed');
+      }, function (err) {
+        assert.strictEqual(404, err.statusCode);
+      });
+    });
+  });
+
+});
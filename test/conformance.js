@@ -0,0 +1,182 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+
+/**
+ * Every way of producing or consuming AMF3 goes through the same engine, so each
+ * of them must agree on the bytes below. Byte strings are the AMF3 value alone,
+ * without the AMF0 AVM+ (0x11) marker.
+ */
+
+function xml (type, str) {
+  return function (value) {
+    assert.equal(type, value.__type__);
+    assert.equal(str, String(value));
+  };
+}
+
+// an externalizable class whose body is a count read with `readObject()`,
+// then that many raw bytes
+amf.registerClass('x.Blob', {
+  read: function (input, obj) {
+    obj.bytes = input.readBytes(input.readObject());
+  },
+  write: function (output, obj) {
+    output.writeObject(obj.bytes.length);
+    output.writeBytes(obj.bytes);
+  }
+});
+
+var cases = [
+  { name: 'undefined', value: undefined, hex: '00' },
+  { name: 'null', value: null, hex: '01' },
+  { name: 'false', value: false, hex: '02' },
+  { name: 'true', value: true, hex: '03' },
+  { name: 'int 0', value: 0, hex: '0400' },
+  { name: 'int 127', value: 127, hex: '047f' },
+  { name: 'int 128', value: 128, hex: '048100' },
+  { name: 'int 16383', value: 16383, hex: '04ff7f' },
+  { name: 'int 16384', value: 16384, hex: '04818000' },
+  { name: 'int 2097152', value: 2097152, hex: '0480c08000' },
+  { name: 'int max (268435455)', value: 268435455, hex: '04bfffffff' },
+  { name: 'int -1', value: -1, hex: '04ffffffff' },
+  { name: 'int min (-268435456)', value: -268435456, hex: '04c0808000' },
+  { name: 'double above the int range', value: 268435456, hex: '0541b0000000000000' },
+  { name: 'double 1.5', value: 1.5, hex: '053ff8000000000000' },
+  { name: 'empty string', value: '', hex: '0601' },
+  { name: 'string', value: 'hello', hex: '060b68656c6c6f' },
+  { name: 'string reference', value: [ 'a', 'a' ], hex: '0905010603610600' },
+  { name: 'date', value: new Date(0), hex: '08010000000000000000' },
+  { name: 'dense array', value: [ 1, 2, 3 ], hex: '090701040104020403' },
+  { name: 'anonymous object', value: { a: 1 }, hex: '0a0b010361040101' },
+  { name: 'typed object', value: { __className__: 'x.Y', a: 1 }, hex: '0a1307782e5903610401' },
+  { name: 'trait reference', value: [ { __className__: 'x.Y', a: 1 }, { __className__: 'x.Y', a: 2 } ],
+    hex: '0905010a1307782e59036104010a010402' },
+  { name: 'object reference', value: (function () { var o = {}; return [ o, o ]; })(),
+    hex: '0905010a0b01010a02', check: function (value) { assert.strictEqual(value[0], value[1]); } },
+  { name: 'ByteArray', value: Buffer.from([ 1, 2 ]), hex: '0c050102' },
+  { name: 'XML', value: amf.createAmf3XML('<a/>'), hex: '0b093c612f3e', check: xml('XML', '<a/>') },
+  { name: 'XMLDocument', value: amf.createAmf3XML('<a/>', true), hex: '07093c612f3e',
+    check: xml('XMLDocument', '<a/>') },
+  { name: 'Vector.<int>', value: amf.createAmf3Vector([ 1, -1 ], 'int'), hex: '0d050000000001ffffffff' },
+  { name: 'Vector.<uint>', value: amf.createAmf3Vector([ 1 ], 'uint'), hex: '0e030000000001' },
+  { name: 'Vector.<Number>', value: amf.createAmf3Vector([ 0.5 ], 'Number'), hex: '0f03003fe0000000000000' },
+  { name: 'Vector.<Object>', value: amf.createAmf3Vector([ 'a' ], 'String'), hex: '1003000d537472696e67060361' },
+  { name: 'Dictionary', value: amf.createAmf3Dictionary([ [ 'k', 1 ] ]), hex: '11030006036b0401' },
+  { name: 'externalizable object', value: [ { __className__: 'x.Blob', bytes: Buffer.from([ 4, 1 ]) }, 1 ],
+    hex: '0905010a070d782e426c6f62040204010401' }
+];
+
+// encoders under test; each returns the AMF3 bytes of `value`
+var encoders = {
+  'write()': function (value) {
+    var buf = Buffer.alloc(64);
+    var info = { offset: 0, version: 3 };
+    amf.write(buf, value, info);
+    return buf.slice(0, info.offset);
+  },
+  'encode()': function (value) {
+    return amf.encode(value, { objectEncoding: 3 });
+  },
+  'AMF3Encoder': function (value) {
+    var encoder = new amf.AMF3Encoder();
+    encoder.encodeValue(value);
+    return encoder.finish();
+  },
+  'remoting.encodePacket()': function (value) {
+    var packet = amf.remoting.encodePacket({
+      messages: [ { targetUri: 't', responseUri: 'r', body: value, objectEncoding: 3 } ]
+    });
+    // version, header count, message count, both URIs and the body length
+    var start = 2 + 2 + 2 + 3 + 3 + 4;
+    assert.equal(amf.amf0Types.kAvmPlusObjectType, packet[start]);
+    assert.equal(packet.length - start, packet.readInt32BE(start - 4));
+    return packet.slice(start + 1);
+  }
+};
+
+// decoders under test; each returns the value decoded from AMF3 `bytes`
+var decoders = {
+  'read()': function (bytes) {
+    var info = { offset: 0, version: 3 };
+    var value = amf.read(bytes, info);
+    assert.equal(bytes.length, info.offset);
+    return value;
+  },
+  'decode()': function (bytes) {
+    return amf.decode(bytes, { objectEncoding: 3 });
+  },
+  'decode() after the AVM+ marker': function (bytes) {
+    return amf.decode(Buffer.concat([ Buffer.from([ 0x11 ]), bytes ]));
+  },
+  'AMF3Decoder': function (bytes) {
+    var decoder = new amf.AMF3Decoder(bytes);
+    var value = decoder.readValue();
+    assert.equal(bytes.length, decoder.offset);
+    return value;
+  },
+  'remoting.decodePacket()': function (bytes) {
+    var body = Buffer.concat([ Buffer.from([ 0x11 ]), bytes ]);
+    var head = Buffer.from('00000000000100017400017200000000', 'hex');
+    head.writeInt32BE(body.length, head.length - 4);
+    var message = amf.remoting.decodePacket(Buffer.concat([ head, body ])).messages[0];
+    assert.equal(3, message.objectEncoding);
+    return message.body;
+  }
+};
+
+// typed JSON and the notation describe the bytes rather than the value;
+// each takes AMF3 `bytes` in as a single value and returns what it compiles
+// back to
+var trees = {
+  'toTypedJSON()': function (bytes) {
+    var json = amf.toTypedJSON(bytes, { objectEncoding: 3 });
+    assert('value' in JSON.parse(json));
+    return amf.fromTypedJSON(json);
+  },
+  'notation': function (bytes) {
+    var text = amf.notation.decompile(bytes, { objectEncoding: 3 });
+    assert('value' in amf.notation.parse(text));
+    return amf.notation.compile(text);
+  }
+};
+
+describe('AMF3 conformance', function () {
+
+  Object.keys(encoders).forEach(function (name) {
+    describe(name, function () {
+      cases.forEach(function (c) {
+        it('should encode ' + c.name, function () {
+          assert.equal(c.hex, encoders[name](c.value).toString('hex'));
+        });
+      });
+    });
+  });
+
+  Object.keys(decoders).forEach(function (name) {
+    describe(name, function () {
+      cases.forEach(function (c) {
+        it('should decode ' + c.name, function () {
+          var value = decoders[name](Buffer.from(c.hex, 'hex'));
+          if (c.check) return c.check(value);
+          assert.deepStrictEqual(value, c.value);
+        });
+      });
+    });
+  });
+
+  Object.keys(trees).forEach(function (name) {
+    describe(name, function () {
+      cases.forEach(function (c) {
+        it('should round-trip ' + c.name, function () {
+          assert.equal(c.hex, trees[name](Buffer.from(c.hex, 'hex')).toString('hex'));
+        });
+      });
+    });
+  });
+
+});
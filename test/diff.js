@@ -0,0 +1,110 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+
+describe('amf.diff()', function () {
+
+  var item = { id: 1 };
+  var a = amf.encode({
+    typed: { __className__: 'com.A', level: 5 },
+    list: [ item, item ],
+    timestamp: 1,
+    name: 'hello',
+    vector: amf.createAmf3Vector([ 1, 2 ], 'int'),
+    gone: true
+  }, { objectEncoding: 3 });
+  var b = amf.encode({
+    typed: { __className__: 'com.B', level: amf.double(5) },
+    list: [ item, { id: 1 } ],
+    timestamp: 2,
+    name: 'hellO',
+    vector: amf.createAmf3Vector([ 1, 3 ], 'int', true),
+    added: null
+  }, { objectEncoding: 3 });
+
+  it('should find nothing in equal payloads', function () {
+    assert.deepEqual([], amf.diff(a, a, { objectEncoding: 3 }));
+    assert.deepEqual([], amf.diff(amf.encode({ a: [ 1 ] }), amf.encode({ a: [ 1 ] })));
+  });
+
+  it('should compare class names, number types, references and values', function () {
+    assert.deepEqual([
+      { kind: 'changed', path: 'typed', a: 'object<com.A>', b: 'object<com.B>' },
+      { kind: 'changed', path: 'typed.level', a: 'int 5', b: 'double 5.0' },
+      { kind: 'changed', path: 'list[1]', a: 'reference to list[0]', b: '{ id: 1 }' },
+      { kind: 'changed', path: 'timestamp', a: 'int 1', b: 'int 2' },
+      { kind: 'changed', path: 'name', a: '"hello"', b: '"hellO"' },
+      { kind: 'changed', path: 'vector', a: 'vector-int', b: 'vector-int fixed' },
+      { kind: 'changed', path: 'vector[1]', a: '2', b: '3' },
+      { kind: 'removed', path: 'gone', a: 'true' },
+      { kind: 'added', path: 'added', b: 'null' }
+    ], amf.diff(a, b, { objectEncoding: 3 }));
+  });
+
+  it('should not report strings that were only written differently', function () {
+    var inline = new Buffer('09070106056162060561620602', 'hex');
+    var referenced = amf.encode([ 'ab', 'ab', 'ab' ], { objectEncoding: 3 });
+    assert.deepEqual([], amf.diff(inline, referenced, { objectEncoding: 3 }));
+  });
+
+  it('should skip ignored fields', function () {
+    var changes = amf.diff(a, b, { objectEncoding: 3, ignore: [ 'timestamp', 'typed.*', /^vector/, 'list[*]' ] });
+    assert.deepEqual([ 'typed', 'name', 'gone', 'added' ], changes.map(function (change) {
+      return change.path;
+    }));
+  });
+
+  it('should compare remoting headers and messages', function () {
+    var request = amf.remoting.encodePacket({
+      version: 3,
+      headers: [ { name: 'sessionId', value: 'abc' }, { name: 'gone', value: 1 } ],
+      messages: [ { targetUri: 'Character.load', responseUri: '/1', body: [ item ], objectEncoding: 3 } ]
+    });
+    var changed = amf.remoting.encodePacket({
+      version: 3,
+      headers: [ { name: 'sessionId', value: 'abd', mustUnderstand: true } ],
+      messages: [
+        { targetUri: 'Character.save', responseUri: '/1', body: [ item ], objectEncoding: 3 },
+        { targetUri: 'Character.load', responseUri: '/2', body: [] }
+      ]
+    });
+    assert.deepEqual([
+      { kind: 'changed', path: 'headers.sessionId.mustUnderstand', a: 'false', b: 'true' },
+      { kind: 'changed', path: 'headers.sessionId', a: '"abc"', b: '"abd"' },
+      { kind: 'removed', path: 'headers.gone', a: 'number 1' },
+      { kind: 'changed', path: 'messages[0].targetUri', a: '"Character.load"', b: '"Character.save"' },
+      { kind: 'added', path: 'messages[1]', b: '"Character.load" -> "/2"' }
+    ], amf.diff(request, changed, { remoting: true }));
+
+    var ignored = amf.diff(request, changed, { remoting: true, ignore: [ 'headers.*', 'messages[1]' ] });
+    assert.deepEqual([ 'messages[0].targetUri' ], ignored.map(function (change) { return change.path; }));
+  });
+
+  it('should report a switch to AMF3', function () {
+    var amf0 = amf.encode({ a: 'x' });
+    var amf3 = amf.encode({ a: amf.createAmf3Object({ b: 1 }) });
+    assert.deepEqual({ kind: 'changed', path: 'a', a: 'AMF0', b: 'AMF3' }, amf.diff(amf0, amf3)[0]);
+  });
+
+});
+
+describe('amf.formatDiff()', function () {
+
+  it('should print one change per line', function () {
+    assert.equal([
+      '~ a: int 1 -> int 2',
+      '- b: "x"',
+      '+ c: true',
+      ''
+    ].join('\n'), amf.formatDiff(amf.diff(
+      amf.encode({ a: 1, b: 'x' }, { objectEncoding: 3 }),
+      amf.encode({ a: 2, c: true }, { objectEncoding: 3 }),
+      { objectEncoding: 3 })));
+    assert.equal('', amf.formatDiff([]));
+  });
+
+});
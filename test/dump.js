@@ -0,0 +1,103 @@
+
+/**
+ * Module dependencies.
+ */
+
+var fs = require('fs');
+var amf = require('../');
+var path = require('path');
+var assert = require('assert');
+
+// the bytes of every row, in order
+function bytesOf (text) {
+  return Buffer.from(text.split('\n').filter(Boolean).map(function (line) {
+    return line.slice(10, 57).replace(/ /g, '');
+  }).join(''), 'hex');
+}
+
+describe('amf.dump()', function () {
+
+  it('should give the offsets and marker of every node', function () {
+    var data = fs.readFileSync(path.resolve(__dirname, 'fixtures', 'amf0-ref-test.bin'));
+    var doc = amf.dump(data);
+    assert.deepEqual({ offset: 0, end: data.length, marker: 0x03, index: 0 }, doc.value.dump);
+    var inner = doc.value.members[0][1];
+    assert.deepEqual({ offset: 4, end: 0x21, marker: 0x03, index: 1, nameOffset: 1 }, inner.dump);
+    var ref = doc.value.members[1][1];
+    assert.deepEqual({ offset: 0x24, end: 0x27, marker: 0x07, index: 1, reference: true, nameOffset: 0x21 }, ref.dump);
+  });
+
+  it('should give the U29 headers and reference table entries of AMF3 nodes', function () {
+    var shared = { id: 1 };
+    var data = amf.encode([ 'ab', 'ab', shared, shared ], { objectEncoding: 3 });
+    var items = amf.dump(data, { objectEncoding: 3 }).value.items;
+    assert.deepEqual({ offset: 3, end: 7, marker: 0x06, u29: 5, index: 0 }, items[0].dump);
+    assert.deepEqual({ offset: 7, end: 9, marker: 0x06, u29: 0, index: 0, reference: true }, items[1].dump);
+    assert.equal(0x0b, items[2].dump.u29);
+    assert.equal(1, items[2].dump.index);
+    assert.deepEqual({ index: 0 }, items[2].dump.traits);
+    assert.deepEqual({ offset: 18, end: 20, marker: 0x0a, u29: 2, index: 1, reference: true }, items[3].dump);
+  });
+
+  it('should cover remoting envelopes', function () {
+    var packet = amf.remoting.encodePacket({
+      version: 3,
+      headers: [ { name: 'sessionId', mustUnderstand: true, value: 'abc' } ],
+      messages: [ { targetUri: 'Character.load', responseUri: '/1', body: [ { id: 1 } ], objectEncoding: 3 } ]
+    });
+    var doc = amf.dump(packet, { remoting: true }).remoting;
+    assert.deepEqual({ offset: 0, end: packet.length }, doc.dump);
+    assert.deepEqual({ offset: 4, end: 26, length: 6 }, doc.headers[0].dump);
+    assert.equal(20, doc.headers[0].value.dump.offset);
+    assert.equal(0x11, doc.messages[0].body.dump.marker);
+    assert.equal(0x09, doc.messages[0].body.value.dump.marker);
+  });
+
+});
+
+describe('amf.formatDump()', function () {
+
+  it('should show every byte once, next to what it decodes to', function () {
+    var value = {
+      name: 'hello',
+      again: 'hello',
+      typed: { __className__: 'com.X', level: 5 },
+      list: amf.createArrayCollection([ 'x' ]),
+      dictionary: amf.createAmf3Dictionary([ [ 1, 'a' ] ])
+    };
+    var data = amf.encode(value, { objectEncoding: 3 });
+    var text = amf.formatDump(data, { objectEncoding: 3 });
+    assert.deepEqual(data, bytesOf(text));
+
+    var lines = text.split('\n');
+    assert.equal('00000000  0a 0b 01                                         object  objects[0] traits[0] ' +
+      'u29 0xb (inline, inline traits, dynamic, 0 sealed members)', lines[0]);
+    assert.equal('00000003  09 6e 61 6d 65                                     (name "name")', lines[1]);
+    assert(/"again": string "hello"  -> strings\[1\] u29 0x2 \(reference 1\)$/.test(lines[4]));
+    assert(/04 05 +"level": int 5\n/.test(text));
+  });
+
+  it('should format AMF0 values and remoting packets', function () {
+    fs.readdirSync(path.resolve(__dirname, 'fixtures')).filter(function (name) {
+      return /^amf0-.*\.bin$/.test(name);
+    }).forEach(function (name) {
+      var data = fs.readFileSync(path.resolve(__dirname, 'fixtures', name));
+      assert.deepEqual(data, bytesOf(amf.formatDump(data)), name);
+    });
+
+    var packet = amf.remoting.encodePacket({
+      headers: [ { name: 'a', value: 1 } ],
+      messages: [ { targetUri: 'Service.method', responseUri: '/1', body: [ 'x' ] } ]
+    });
+    var text = amf.formatDump(packet, { remoting: true });
+    assert.deepEqual(packet, bytesOf(text));
+    assert(/remoting version 0, 1 header\(s\)/.test(text));
+    assert(/messages\[0\] "Service.method" -> "\/1" length=\d+/.test(text));
+  });
+
+  it('should start at `options.offset`', function () {
+    var data = Buffer.concat([ new Buffer([ 0xff, 0xff ]), amf.encode('a') ]);
+    assert(/^00000002  02 00 01 61 +string "a"\n$/.test(amf.formatDump(data, { offset: 2 })));
+  });
+
+});
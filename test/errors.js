@@ -0,0 +1,144 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+
+function decodeError (fn) {
+  var error;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+  assert(error instanceof amf.AMFDecodeError, 'expected an AMFDecodeError, got ' + error);
+  return error;
+}
+
+function encodeError (fn) {
+  var error;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+  assert(error instanceof amf.AMFEncodeError, 'expected an AMFEncodeError, got ' + error);
+  return error;
+}
+
+describe('AMFDecodeError', function () {
+
+  it('should report a truncated AMF0 String', function () {
+    var data = new Buffer([ 0x02, 0x00, 0x05, 0x68, 0x65 ]);
+    var err = decodeError(function () { amf.read(data, 0); });
+    assert(/^Unexpected end of buffer/.test(err.reason), err.reason);
+    assert.equal(0, err.offset);
+    assert.equal(amf.amf0Types.kStringType, err.marker);
+    assert.equal(0, err.version);
+    assert.equal('', err.path);
+    assert(err instanceof Error);
+  });
+
+  it('should report the path into nested AMF0 Objects', function () {
+    var data = amf.encode({ foo: { bar: 'baz' } });
+    var err = decodeError(function () { amf.read(data.slice(0, 16), 0); });
+    assert.equal('foo.bar', err.path);
+    assert.equal(12, err.offset);
+    assert.equal(amf.amf0Types.kStringType, err.marker);
+    assert(/offset 12, marker 0x02, AMF0, at foo\.bar/.test(err.message), err.message);
+  });
+
+  it('should report the path into nested AMF3 values', function () {
+    var data = amf.encode({ args: [ 1, { items: [ 1, 2, 3, 'hello' ] } ] }, { objectEncoding: 3 });
+    var err = decodeError(function () {
+      amf.read(data.slice(0, data.length - 4), { version: 3 });
+    });
+    assert.equal('args[1].items[3]', err.path);
+    assert.equal(amf.amf3Types.kStringType, err.marker);
+    assert.equal(3, err.version);
+  });
+
+  it('should start the path at the remoting envelope', function () {
+    var packet = amf.remoting.encodePacket({
+      messages: [ {
+        targetUri: 'PlayerService.login',
+        responseUri: '/1',
+        body: amf.createAmf3Object({ cmd: 'login', args: [ 'x', { token: 'abcdef' } ] })
+      } ]
+    });
+    var err = decodeError(function () {
+      amf.remoting.decodePacket(packet.slice(0, packet.length - 4));
+    });
+    assert.equal('messages[0].body.args[1].token', err.path);
+
+    err = decodeError(function () {
+      amf.remoting.decodePacket(packet.slice(0, 10));
+    });
+    assert.equal('messages[0].targetUri', err.path);
+  });
+
+  it('should reject an Object end marker after a non-empty key', function () {
+    var data = new Buffer([ 0x03, 0x00, 0x01, 0x61, 0x09 ]);
+    var err = decodeError(function () { amf.read(data, 0); });
+    assert(/non-empty key "a"/.test(err.message), err.message);
+  });
+
+  it('should reject unknown markers and dangling references', function () {
+    var err = decodeError(function () { amf.read(new Buffer([ 0x12 ]), { version: 3 }); });
+    assert(/Unknown AMF3 type: 18/.test(err.message), err.message);
+
+    err = decodeError(function () { amf.read(new Buffer([ 0x06, 0x02 ]), { version: 3 }); });
+    assert(/Invalid string reference: 1/.test(err.message), err.message);
+
+    err = decodeError(function () { amf.read(new Buffer([ 0x07, 0x00, 0x05 ]), 0); });
+    assert(/Invalid reference: 5/.test(err.message), err.message);
+  });
+
+  it('should leave the path of a reused info object clean', function () {
+    var info = { offset: 0, version: 3 };
+    decodeError(function () { amf.read(new Buffer([ 0x09, 0x03, 0x01, 0x06 ]), info); });
+    assert.deepEqual([], info.path);
+  });
+
+});
+
+describe('AMFEncodeError', function () {
+
+  it('should report the path of a value that cannot be encoded', function () {
+    var value = { a: [ 1, function () {} ] };
+
+    var err = encodeError(function () { amf.encode(value); });
+    assert.equal('a[1]', err.path);
+    assert.equal(0, err.version);
+
+    err = encodeError(function () { amf.encode(value, { objectEncoding: 3 }); });
+    assert.equal('a[1]', err.path);
+    assert.equal(3, err.version);
+  });
+
+  it('should start the path at the remoting envelope', function () {
+    var err = encodeError(function () {
+      amf.remoting.encodePacket({
+        headers: [ { name: 'sessionId', value: 'abc' } ],
+        messages: [ { targetUri: 'a', responseUri: '/1', body: [ 1, { id: 2n } ] } ]
+      });
+    });
+    assert.equal('messages[0].body[1].id', err.path);
+
+    err = encodeError(function () {
+      amf.remoting.encodePacket({ headers: [ { name: 'sessionId', value: { token: function () {} } } ] });
+    });
+    assert.equal('headers[0].value.token', err.path);
+  });
+
+  it('should report offsets within the target Buffer', function () {
+    var err = encodeError(function () {
+      amf.write(new Buffer(64), { a: function () {} }, { offset: 10 });
+    });
+    assert.equal(14, err.offset);
+    assert.equal('a', err.path);
+  });
+
+});
@@ -0,0 +1,74 @@
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+var AMF3Decoder = require('../lib/amf3/decoder').AMF3Decoder;
+
+describe('Flex collections', function () {
+
+  // ArrayCollection wrapping [1, 'a'], as sent by BlazeDS
+  var arrayCollection = Buffer.from([
+    0x0A, 0x07, 0x43, // externalizable trait, class name of 33 bytes
+    0x66, 0x6C, 0x65, 0x78, 0x2E, 0x6D, 0x65, 0x73, 0x73, 0x61, 0x67, 0x69, 0x6E, 0x67, 0x2E, 0x69, 0x6F, 0x2E,
+    0x41, 0x72, 0x72, 0x61, 0x79, 0x43, 0x6F, 0x6C, 0x6C, 0x65, 0x63, 0x74, 0x69, 0x6F, 0x6E,
+    0x09, 0x05, 0x01, // dense Array of 2
+    0x04, 0x01,       // 1
+    0x06, 0x03, 0x61  // 'a'
+  ]);
+
+  it('should decode an ArrayCollection to a plain Array', function () {
+    assert.deepStrictEqual([1, 'a'], amf.read(arrayCollection, { version: 3 }));
+    assert.deepStrictEqual([1, 'a'], new AMF3Decoder(arrayCollection).readValue());
+  });
+
+  it('should keep the wrapper with `keepFlexWrappers`', function () {
+    var out = amf.decode(Buffer.concat([Buffer.from([0x11]), arrayCollection]), { keepFlexWrappers: true });
+    assert.strictEqual('flex.messaging.io.ArrayCollection', out.__className__);
+    assert.deepStrictEqual([1, 'a'], out.source);
+
+    out = new AMF3Decoder(arrayCollection, { keepFlexWrappers: true }).readValue();
+    assert.deepStrictEqual([1, 'a'], out.source);
+  });
+
+  it('should write a kept wrapper back the way it came in, AMF0 included', function () {
+    var buffer = Buffer.concat([Buffer.from([0x11]), arrayCollection]);
+    var out = amf.decode(buffer, { keepFlexWrappers: true });
+    assert.deepStrictEqual(buffer, amf.encode(out));
+
+    var packet = amf.remoting.encodePacket({ messages: [ { targetUri: 't', responseUri: 'r', body: [ out ] } ] });
+    var body = amf.remoting.decodePacket(packet, { keepFlexWrappers: true }).messages[0].body;
+    assert.deepStrictEqual(packet, amf.remoting.encodePacket({
+      messages: [ { targetUri: 't', responseUri: 'r', body: body } ]
+    }));
+  });
+
+  it('should write an ArrayCollection as sent by BlazeDS', function () {
+    var buffer = amf.encode(amf.createArrayCollection([1, 'a']), { objectEncoding: 3 });
+    assert.deepStrictEqual(arrayCollection, buffer);
+  });
+
+  it('should round-trip an ArrayList and an ObjectProxy', function () {
+    var value = {
+      list: amf.createArrayList([{ id: 1 }]),
+      proxy: amf.createObjectProxy({ name: 'Sasuke' })
+    };
+    var buffer = amf.encode(value, { objectEncoding: 3 });
+    assert(buffer.indexOf('flex.messaging.io.ArrayList') !== -1);
+    assert(buffer.indexOf('flex.messaging.io.ObjectProxy') !== -1);
+
+    assert.deepStrictEqual({ list: [{ id: 1 }], proxy: { name: 'Sasuke' } },
+      amf.decode(buffer, { objectEncoding: 3 }));
+
+    var kept = amf.decode(buffer, { objectEncoding: 3, keepFlexWrappers: true });
+    assert.deepStrictEqual(amf.encode(kept, { objectEncoding: 3 }), buffer);
+  });
+
+  it('should switch to AMF3 in AMF0 mode', function () {
+    var buffer = amf.encode(amf.createArrayCollection([]));
+    assert.strictEqual(amf.amf0Types.kAvmPlusObjectType, buffer[0]);
+    assert.deepStrictEqual([], amf.decode(buffer));
+  });
+
+});
@@ -0,0 +1,346 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+var http = require('http');
+var remoting = amf.remoting;
+var messages = amf.messages;
+
+describe('remoting gateway', function () {
+
+  var services = {
+    Character: {
+      level: 5,
+      load: function (id) {
+        return { id: id, name: 'Naruto', level: this.level };
+      },
+      save: function (character) {
+        return new Promise(function (resolve) {
+          setImmediate(function () {
+            resolve(character.level);
+          });
+        });
+      },
+      delete: function () {
+        throw new amf.RemotingFault('Not your character', { code: 'Server.Denied', details: 'owner check' });
+      },
+      crash: function () {
+        return Promise.reject(new Error('database is down'));
+      },
+      _secret: function () {
+        return 'hidden';
+      }
+    },
+    'Mission.list': function (context) {
+      context.addHeader('AppendToGatewayUrl', false, '?session=abc');
+      return [ 'D-rank', context.headers.DSId ];
+    }
+  };
+
+  function call (gateway, packet) {
+    return gateway.handle(remoting.encodePacket(packet)).then(function (out) {
+      return remoting.decodePacket(out);
+    });
+  }
+
+  it('should dispatch calls to services and answer on onResult', function () {
+    var gateway = remoting.createGateway(services);
+    return call(gateway, {
+      version: 0,
+      headers: [ { name: 'DSId', value: 'player-1' } ],
+      messages: [
+        { targetUri: 'Character.load', responseUri: '/1', body: [ 12345 ] },
+        { targetUri: 'Character.save', responseUri: '/2', body: [ { level: 6 } ] },
+        { targetUri: 'Mission.list', responseUri: '/3', body: [] }
+      ]
+    }).then(function (response) {
+      assert.deepStrictEqual([ '/1/onResult', '/2/onResult', '/3/onResult' ], response.messages.map(function (message) {
+        return message.targetUri;
+      }));
+      assert.deepStrictEqual({ id: 12345, name: 'Naruto', level: 5 }, response.messages[0].body);
+      assert.strictEqual(6, response.messages[1].body);
+      assert.deepStrictEqual([ 'D-rank', 'player-1' ], response.messages[2].body);
+      assert.strictEqual(1, response.headers.length);
+      assert.strictEqual('AppendToGatewayUrl', response.headers[0].name);
+      assert.strictEqual('?session=abc', response.headers[0].value);
+    });
+  });
+
+  it('should answer faults, unknown services and hidden methods on onStatus', function () {
+    var gateway = remoting.createGateway(services);
+    return call(gateway, {
+      messages: [
+        { targetUri: 'Character.delete', responseUri: '/1', body: [] },
+        { targetUri: 'Character.crash', responseUri: '/2', body: [] },
+        { targetUri: 'Character.fly', responseUri: '/3', body: [] },
+        { targetUri: 'Character._secret', responseUri: '/4', body: [] },
+        { targetUri: 'Character.toString', responseUri: '/5', body: [] },
+        { targetUri: 'Character.level', responseUri: '/6', body: [] }
+      ]
+    }).then(function (response) {
+      var bodies = response.messages.map(function (message) {
+        assert(/\/onStatus$/.test(message.targetUri));
+        return message.body;
+      });
+      assert.deepStrictEqual({ level: 'error', code: 'Server.Denied', description: 'Not your character',
+        details: 'owner check' }, bodies[0]);
+      assert.deepStrictEqual({ level: 'error', code: 'Server.Processing', description: 'database is down' }, bodies[1]);
+      bodies.slice(2).forEach(function (body) {
+        assert.strictEqual('Server.ResourceUnavailable', body.code);
+      });
+    });
+  });
+
+  it('should answer in the object encoding of each call', function () {
+    var gateway = remoting.createGateway(services);
+    return call(gateway, {
+      version: 0,
+      messages: [
+        { targetUri: 'Character.load', responseUri: '/1', body: [ 1 ], objectEncoding: 3 },
+        { targetUri: 'Character.load', responseUri: '/2', body: [ 2 ] }
+      ]
+    }).then(function (response) {
+      assert.strictEqual(0, response.version);
+      assert.strictEqual(3, response.messages[0].objectEncoding);
+      assert.strictEqual(0, response.messages[1].objectEncoding);
+    });
+  });
+
+  it('should answer AMF3 to Flash Player calls in version 3 packets', function () {
+    var gateway = remoting.createGateway(services);
+    var target = Buffer.from('Character.load');
+    // a strict Array of one AVM+ int 7, the way NetConnection sends it
+    var request = Buffer.concat([
+      Buffer.from([ 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, target.length ]), target,
+      Buffer.from([ 0x00, 0x02, 0x2F, 0x31, 0x00, 0x00, 0x00, 0x08 ]),
+      Buffer.from([ 0x0A, 0x00, 0x00, 0x00, 0x01, 0x11, 0x04, 0x07 ])
+    ]);
+    return gateway.handle(request).then(function (out) {
+      var response = remoting.decodePacket(out);
+      assert.strictEqual(3, response.version);
+      assert.strictEqual(3, response.messages[0].objectEncoding);
+      assert.deepStrictEqual({ id: 7, name: 'Naruto', level: 5 }, response.messages[0].body);
+    });
+  });
+
+  it('should answer a result that cannot be encoded with a fault for that call only', function () {
+    var gateway = remoting.createGateway({
+      Character: services.Character,
+      Bank: {
+        balance: function () {
+          return { gold: 10n };
+        }
+      }
+    });
+    var load = new messages.RemotingMessage({ destination: 'Character', operation: 'load', body: [ 2 ] });
+    var balance = new messages.RemotingMessage({ destination: 'Bank', operation: 'balance', body: [] });
+    return call(gateway, {
+      messages: [
+        { targetUri: 'Bank.balance', responseUri: '/1', body: [] },
+        { targetUri: 'Character.load', responseUri: '/2', body: [ 1 ] },
+        messages.toPacketMessage(balance, '/3'),
+        messages.toPacketMessage(load, '/4')
+      ]
+    }).then(function (response) {
+      assert.strictEqual('/1/onStatus', response.messages[0].targetUri);
+      assert.strictEqual('Server.Processing', response.messages[0].body.code);
+      assert(/messages\[0\]\.body\.gold/.test(response.messages[0].body.description));
+      assert.strictEqual('/2/onResult', response.messages[1].targetUri);
+      assert.strictEqual(1, response.messages[1].body.id);
+
+      assert.strictEqual('/3/onStatus', response.messages[2].targetUri);
+      assert(response.messages[2].body instanceof messages.ErrorMessage);
+      assert.strictEqual(balance.messageId, response.messages[2].body.correlationId);
+      assert.strictEqual('/4/onResult', response.messages[3].targetUri);
+      assert.strictEqual(2, response.messages[3].body.body.id);
+    });
+  });
+
+  it('should answer a fault whose details cannot be encoded with a plain one', function () {
+    var gateway = remoting.createGateway({
+      Character: services.Character,
+      Bank: {
+        rob: function () {
+          throw new amf.RemotingFault('Guards!', { code: 'Bank.Alarm', details: { gold: 10n }, rootCause: 5n });
+        }
+      }
+    });
+    var rob = new messages.RemotingMessage({ destination: 'Bank', operation: 'rob', body: [] });
+    return call(gateway, {
+      messages: [
+        { targetUri: 'Bank.rob', responseUri: '/1', body: [] },
+        messages.toPacketMessage(rob, '/2'),
+        { targetUri: 'Character.load', responseUri: '/3', body: [ 1 ] }
+      ]
+    }).then(function (response) {
+      assert.strictEqual('/1/onStatus', response.messages[0].targetUri);
+      assert.deepStrictEqual({ level: 'error', code: 'Bank.Alarm', description: 'Guards!' }, response.messages[0].body);
+
+      var error = response.messages[1].body;
+      assert.strictEqual('/2/onStatus', response.messages[1].targetUri);
+      assert(error instanceof messages.ErrorMessage);
+      assert.strictEqual('Bank.Alarm', error.faultCode);
+      assert.strictEqual('Guards!', error.faultString);
+      assert.strictEqual(null, error.rootCause);
+      assert.strictEqual('/3/onResult', response.messages[2].targetUri);
+    });
+  });
+
+  it('should register services later', function () {
+    var gateway = remoting.createGateway();
+    gateway.register('Shop', { buy: function (item) { return 'bought ' + item; } })
+      .register('Shop.sell', function (item) { return 'sold ' + item; });
+    assert.throws(function () {
+      gateway.register('', {});
+    }, TypeError);
+
+    return call(gateway, {
+      messages: [
+        { targetUri: 'Shop.buy', responseUri: '/1', body: [ 'kunai' ] },
+        { targetUri: 'Shop.sell', responseUri: '/2', body: [ 'shuriken' ] }
+      ]
+    }).then(function (response) {
+      assert.deepStrictEqual([ 'bought kunai', 'sold shuriken' ], response.messages.map(function (message) {
+        return message.body;
+      }));
+    });
+  });
+
+  it('should answer Flex pings and remoting messages', function () {
+    var gateway = remoting.createGateway(services);
+    var ping = messages.createPing();
+    var load = new messages.RemotingMessage({ destination: 'Character', operation: 'load', body: [ 7 ] });
+    var denied = new messages.RemotingMessage({ destination: 'Character', operation: 'delete', body: [] });
+    return call(gateway, {
+      version: 3,
+      messages: [
+        messages.toPacketMessage(ping, '/1'),
+        messages.toPacketMessage(load, '/2'),
+        messages.toPacketMessage(denied, '/3')
+      ]
+    }).then(function (response) {
+      var pong = response.messages[0].body;
+      assert(pong instanceof messages.AcknowledgeMessage);
+      assert.strictEqual(ping.messageId, pong.correlationId);
+      assert(/^[0-9A-F-]{36}$/.test(pong.headers.DSId));
+
+      var ack = messages.parseResponse(response.messages[1].body);
+      assert.strictEqual('acknowledge', ack.type);
+      assert.strictEqual(load.messageId, ack.correlationId);
+      assert.deepStrictEqual({ id: 7, name: 'Naruto', level: 5 }, ack.body);
+
+      assert.strictEqual('/3/onStatus', response.messages[2].targetUri);
+      var error = messages.parseResponse(response.messages[2].body);
+      assert.strictEqual('error', error.type);
+      assert.strictEqual('Server.Denied', error.faultCode);
+      assert.strictEqual('Not your character', error.faultString);
+      assert.strictEqual('owner check', error.faultDetail);
+    });
+  });
+
+  describe('over HTTP', function () {
+    var server;
+    var url;
+
+    before(function (done) {
+      var gateway = remoting.createGateway(services, { maxTotalBytes: 1024 });
+      server = http.createServer(gateway);
+      server.listen(0, '127.0.0.1', function () {
+        url = 'http://127.0.0.1:' + server.address().port + '/amf';
+        done();
+      });
+    });
+
+    after(function (done) {
+      server.close(done);
+    });
+
+    function post (body, method) {
+      return new Promise(function (resolve, reject) {
+        var req = http.request(url, { method: method || 'POST' }, function (res) {
+          var chunks = [];
+          res.on('data', function (chunk) {
+            chunks.push(chunk);
+          });
+          res.on('end', function () {
+            resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+          });
+        });
+        req.on('error', reject);
+        req.end(body);
+      });
+    }
+
+    it('should serve a RemotingClient', function () {
+      var client = new amf.RemotingClient(url, { objectEncoding: 3 });
+      return Promise.all([
+        client.call('Character.load', 3),
+        client.call('Character.delete').catch(function (err) {
+          return err;
+        })
+      ]).then(function (results) {
+        assert.deepStrictEqual({ id: 3, name: 'Naruto', level: 5 }, results[0]);
+        assert(results[1] instanceof amf.RemotingFault);
+        assert.strictEqual('Server.Denied', results[1].code);
+      });
+    });
+
+    it('should refuse anything but POST', function () {
+      return post(null, 'GET').then(function (res) {
+        assert.strictEqual(405, res.statusCode);
+        assert.strictEqual('POST', res.headers.allow);
+      });
+    });
+
+    it('should refuse malformed and oversized packets', function () {
+      return post(Buffer.from([ 0, 3, 0 ])).then(function (res) {
+        assert.strictEqual(400, res.statusCode);
+        return post(Buffer.alloc(2048));
+      }).then(function (res) {
+        assert.strictEqual(413, res.statusCode);
+      });
+    });
+  });
+
+  describe('as middleware', function () {
+
+    function request (method, body) {
+      return { method: method, body: body };
+    }
+
+    function response (done) {
+      var res = { headers: {}, statusCode: 200 };
+      res.setHeader = function (name, value) {
+        res.headers[name.toLowerCase()] = value;
+      };
+      res.end = function (body) {
+        res.body = body;
+        done(res);
+      };
+      return res;
+    }
+
+    it('should pass on anything but POST', function (done) {
+      var gateway = remoting.createGateway(services);
+      gateway(request('GET'), response(function () {
+        done(new Error('should not answer'));
+      }), function (err) {
+        done(err);
+      });
+    });
+
+    it('should take a body already read by a body parser', function (done) {
+      var gateway = remoting.createGateway(services);
+      var body = remoting.encodePacket({ messages: [ { targetUri: 'Character.load', responseUri: '/1', body: [ 9 ] } ] });
+      gateway(request('POST', body), response(function (res) {
+        assert.strictEqual('application/x-amf', res.headers['content-type']);
+        assert.strictEqual(9, remoting.decodePacket(res.body).messages[0].body.id);
+        done();
+      }), done);
+    });
+  });
+
+});
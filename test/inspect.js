@@ -0,0 +1,161 @@
+
+/**
+ * Module dependencies.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var amf = require('../');
+var path = require('path');
+var assert = require('assert');
+var spawnSync = require('child_process').spawnSync;
+
+var bin = path.resolve(__dirname, '..', 'bin', 'amf-inspect');
+
+function inspect (args, input) {
+  var result = spawnSync(process.execPath, [ bin ].concat(args), { input: input || '' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr.toString() };
+}
+
+function json (args, input) {
+  var result = inspect(args, input);
+  assert.equal(0, result.status, result.stderr);
+  return JSON.parse(result.stdout.toString());
+}
+
+function encode (args, input) {
+  var result = inspect([ 'encode' ].concat(args), input);
+  assert.equal(0, result.status, result.stderr);
+  return result.stdout;
+}
+
+describe('amf-inspect', function () {
+
+  this.timeout(10000);
+
+  var packet = amf.remoting.encodePacket({
+    version: 3,
+    headers: [ { name: 'sessionId', value: 'abc' } ],
+    messages: [ { targetUri: 'Character.load', responseUri: '/1', body: [ 1 ], objectEncoding: 3 } ]
+  });
+
+  it('should decode a file', function () {
+    var file = path.resolve(__dirname, 'fixtures', 'amf0-object.bin');
+    assert.deepEqual({ bar: 3.14, foo: 'baz' }, json([ file ]));
+  });
+
+  it('should read standard input', function () {
+    assert.deepEqual({ a: 1 }, json([], amf.encode({ a: 1 })));
+    assert.deepEqual({ a: 1 }, json([ '-', '--amf3' ], amf.encode({ a: 1 }, { objectEncoding: 3 })));
+  });
+
+  it('should detect and decode remoting packets', function () {
+    var decoded = json([], packet);
+    assert.equal(3, decoded.version);
+    assert.equal('abc', decoded.headers[0].value);
+    assert.equal('Character.load', decoded.messages[0].targetUri);
+    assert.deepEqual([ 1 ], decoded.messages[0].body);
+    assert.deepEqual(decoded, json([ '--remoting' ], packet));
+  });
+
+  it('should take hex and base64 text', function () {
+    assert.deepEqual({ a: 1 }, json([], amf.encode({ a: 1 }).toString('hex').replace(/(..)/g, '$1 ')));
+    assert.equal(3, json([], packet.toString('base64') + '\n').version);
+    assert.equal('ab', json([ '--hex' ], '02 00 02 61 62'));
+    assert.equal('ab', json([ '--base64' ], amf.encode('ab').toString('base64')));
+  });
+
+  it('should start at `--offset`', function () {
+    var data = Buffer.concat([ new Buffer([ 0xff, 0xff ]), amf.encode('a') ]);
+    assert.equal('a', json([ '--offset', '2' ], data));
+    assert.equal('a', json([ '--offset', '0x2' ], data));
+  });
+
+  it('should report errors without a stack trace', function () {
+    var result = inspect([], new Buffer([ 0x02, 0x00, 0x05, 0x61 ]));
+    assert.equal(1, result.status);
+    assert(/^amf-inspect: /.test(result.stderr));
+    assert.equal(1, inspect([ '--offset' ]).status);
+    assert.equal(1, inspect([ '--hex' ], 'xyz').status);
+  });
+
+  describe('encode', function () {
+
+    it('should write plain JSON as AMF0 or AMF3', function () {
+      var value = { id: 1, name: 'x', tags: [ 'a' ] };
+      assert.deepEqual(amf.encode(value), encode([], JSON.stringify(value)));
+      assert.deepEqual(amf.encode(value, { objectEncoding: 3 }), encode([ '--amf3' ], JSON.stringify(value)));
+      assert.equal('com.X', amf.decode(encode([], '{ "__className__": "com.X" }')).__className__);
+    });
+
+    it('should write typed JSON', function () {
+      var data = amf.encode({ hp: amf.double(100) }, { objectEncoding: 3 });
+      var typed = amf.toTypedJSON(data, { objectEncoding: 3 });
+      assert.deepEqual(data, encode([], typed));
+      assert.deepEqual(packet, encode([], amf.toTypedJSON(packet, { remoting: true })));
+    });
+
+    it('should build remoting packets', function () {
+      var description = {
+        version: 3,
+        headers: [ { name: 'sessionId', value: 'abc' } ],
+        messages: [ { targetUri: 'Character.load', responseUri: '/1', body: [ 1 ] } ]
+      };
+      assert.deepEqual(packet, encode([ '--remoting', '--amf3' ], JSON.stringify(description)));
+      var decoded = amf.remoting.decodePacket(encode([ '--remoting' ], JSON.stringify(description)));
+      assert.equal(0, decoded.messages[0].objectEncoding);
+    });
+
+    it('should write hex or base64 text', function () {
+      assert.equal(amf.encode('ab').toString('hex') + '\n', encode([ '--hex' ], '"ab"').toString());
+      assert.equal(amf.encode('ab').toString('base64') + '\n', encode([ '--base64' ], '"ab"').toString());
+    });
+
+    it('should reject input that is not JSON', function () {
+      var file = path.resolve(__dirname, 'fixtures', 'amf0-object.bin');
+      var result = inspect([ 'encode', file ]);
+      assert.equal(1, result.status);
+      assert(/^amf-inspect: the input is not JSON/.test(result.stderr));
+    });
+
+  });
+
+  describe('diff', function () {
+
+    var dir;
+    before(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amf-inspect-'));
+    });
+    after(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function file (name, data) {
+      var filename = path.join(dir, name);
+      fs.writeFileSync(filename, data);
+      return filename;
+    }
+
+    it('should print the changes and exit with 1', function () {
+      var a = file('a.amf', amf.encode({ id: 1, at: 100, name: 'x' }, { objectEncoding: 3 }));
+      var b = file('b.hex', amf.encode({ id: amf.double(1), at: 200, name: 'x' }, { objectEncoding: 3 }).toString('hex'));
+      var result = inspect([ 'diff', a, b, '--amf3' ]);
+      assert.equal(1, result.status);
+      assert.equal('~ id: int 1 -> double 1.0\n~ at: int 100 -> int 200\n', result.stdout.toString());
+
+      result = inspect([ 'diff', a, b, '--amf3', '--ignore', 'at', '--ignore', 'id' ]);
+      assert.equal(0, result.status);
+      assert.equal('', result.stdout.toString());
+    });
+
+    it('should detect remoting packets', function () {
+      var a = file('a.bin', amf.remoting.encodePacket({ headers: [ { name: 'sessionId', value: 'a' } ] }));
+      var b = file('b.bin', amf.remoting.encodePacket({ headers: [ { name: 'sessionId', value: 'b' } ] }));
+      var result = inspect([ 'diff', a, b ]);
+      assert.equal('~ headers.sessionId: "a" -> "b"\n', result.stdout.toString());
+      assert.equal(0, inspect([ 'diff', a, '-' ], fs.readFileSync(a)).status);
+    });
+
+  });
+
+});
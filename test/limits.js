@@ -0,0 +1,134 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+
+function nest (depth, wrap) {
+  var value = 1;
+  for (var i = 0; i < depth; i++) value = wrap(value);
+  return value;
+}
+
+function limitError (name, fn) {
+  assert.throws(fn, function (err) {
+    return err instanceof amf.AMFDecodeError && err.limit === name;
+  });
+}
+
+describe('decoding limits', function () {
+
+  it('should enforce `maxDepth` by default', function () {
+    [0, 3].forEach(function (objectEncoding) {
+      var data = amf.encode(nest(300, function (v) { return { v: v }; }), { objectEncoding: objectEncoding });
+      limitError('maxDepth', function () { amf.decode(data, { objectEncoding: objectEncoding }); });
+      amf.decode(data, { objectEncoding: objectEncoding, maxDepth: 400 });
+    });
+
+    var arrays = amf.encode(nest(10, function (v) { return [ v ]; }), { objectEncoding: 3 });
+    limitError('maxDepth', function () { amf.decode(arrays, { objectEncoding: 3, maxDepth: 5 }); });
+  });
+
+  it('should enforce `maxStringLength`', function () {
+    [0, 3].forEach(function (objectEncoding) {
+      var data = amf.encode('hello', { objectEncoding: objectEncoding });
+      limitError('maxStringLength', function () {
+        amf.decode(data, { objectEncoding: objectEncoding, maxStringLength: 4 });
+      });
+      assert.equal('hello', amf.decode(data, { objectEncoding: objectEncoding, maxStringLength: 5 }));
+    });
+  });
+
+  it('should check `maxArrayLength` before reading any element', function () {
+    // strict array claiming 0xFFFFFFFF elements, followed by nothing
+    var data = new Buffer([ 0x0A, 0xFF, 0xFF, 0xFF, 0xFF ]);
+    limitError('maxArrayLength', function () { amf.read(data, 0); });
+
+    var vector = amf.encode(amf.createAmf3Vector([ 1, 2, 3 ], 'int'), { objectEncoding: 3 });
+    limitError('maxArrayLength', function () { amf.decode(vector, { objectEncoding: 3, maxArrayLength: 2 }); });
+  });
+
+  it('should check `maxByteArrayLength` before allocating', function () {
+    // ByteArray header claiming 0x0FFFFFFF bytes
+    var data = new Buffer([ 0x0C, 0xFF, 0xFF, 0xFF, 0xFF ]);
+    limitError('maxByteArrayLength', function () { amf.read(data, { version: 3 }); });
+  });
+
+  it('should enforce `maxReferences`', function () {
+    var data = amf.encode([ 'a', 'b', 'c', 'd' ], { objectEncoding: 3 });
+    limitError('maxReferences', function () { amf.decode(data, { objectEncoding: 3, maxReferences: 3 }); });
+    assert.deepEqual([ 'a', 'b', 'c', 'd' ], amf.decode(data, { objectEncoding: 3, maxReferences: 4 }));
+  });
+
+  it('should enforce `maxTotalBytes`', function () {
+    var data = amf.encode({ a: 'hello', b: 'world' });
+    limitError('maxTotalBytes', function () { amf.decode(data, { maxTotalBytes: data.length - 1 }); });
+    amf.decode(data, { maxTotalBytes: data.length });
+  });
+
+  it('should apply inside externalizable bodies', function () {
+    var proxies = amf.encode(nest(50, amf.createObjectProxy), { objectEncoding: 3 });
+    limitError('maxDepth', function () { amf.decode(proxies, { objectEncoding: 3, maxDepth: 10 }); });
+    assert.equal(1, amf.decode(proxies, { objectEncoding: 3, maxDepth: 50 }));
+    limitError('maxDepth', function () { amf.toTypedJSON(proxies, { objectEncoding: 3, maxDepth: 10 }); });
+
+    // ArrayCollections nested far deeper than the stack allows, all but the
+    // first one referencing its traits
+    var name = Buffer.from('flex.messaging.io.ArrayCollection');
+    var chain = [ Buffer.from([ 0x0A, 0x07, name.length << 1 | 1 ]), name ];
+    for (var i = 0; i < 100000; i++) chain.push(Buffer.from([ 0x0A, 0x01 ]));
+    chain.push(Buffer.from([ 0x04, 0x01 ]));
+    limitError('maxDepth', function () { amf.decode(Buffer.concat(chain), { objectEncoding: 3 }); });
+
+    amf.registerClass('com.ninjasaga.data.Blob', {
+      read: function (input, obj) {
+        obj.bytes = input.readBytes(input.readInt());
+      },
+      write: function (output, obj) {
+        output.writeInt(obj.bytes.length);
+        output.writeBytes(obj.bytes);
+      }
+    });
+    var blob = amf.encode(amf.createAmf3Object({ bytes: Buffer.alloc(100) }, 'com.ninjasaga.data.Blob'), { objectEncoding: 3 });
+    limitError('maxTotalBytes', function () {
+      amf.decode(blob, { objectEncoding: 3, maxTotalBytes: blob.length - 1 });
+    });
+    limitError('maxTotalBytes', function () {
+      amf.toTypedJSON(blob, { objectEncoding: 3, maxTotalBytes: blob.length - 1 });
+    });
+  });
+
+  it('should lift a limit set to `Infinity`', function () {
+    var data = amf.encode(nest(300, function (v) { return [ v ]; }), { objectEncoding: 3 });
+    amf.decode(data, { objectEncoding: 3, maxDepth: Infinity });
+  });
+
+  it('should apply to `remoting.decodePacket()`', function () {
+    var packet = amf.remoting.encodePacket({
+      messages: [ { targetUri: 'a', responseUri: '/1', body: 'hello' } ]
+    });
+    limitError('maxTotalBytes', function () {
+      amf.remoting.decodePacket(packet, { maxTotalBytes: packet.length - 1 });
+    });
+    limitError('maxStringLength', function () {
+      amf.remoting.decodePacket(packet, { maxStringLength: 4 });
+    });
+
+    // a packet in the middle of a larger buffer only counts its own bytes
+    var embedded = Buffer.concat([ Buffer.alloc(100), packet, Buffer.alloc(100) ]);
+    var decoded = amf.remoting.decodePacket(embedded, { offset: 100, maxTotalBytes: packet.length });
+    assert.strictEqual('hello', decoded.messages[0].body);
+    assert.strictEqual(packet.length, decoded.byteLength);
+    limitError('maxTotalBytes', function () {
+      amf.remoting.decodePacket(embedded, { offset: 100, maxTotalBytes: packet.length - 1 });
+    });
+
+    // envelope claiming 0xFFFF messages
+    limitError('maxArrayLength', function () {
+      amf.remoting.decodePacket(new Buffer([ 0, 3, 0, 0, 0xFF, 0xFF ]), { maxArrayLength: 100 });
+    });
+  });
+
+});
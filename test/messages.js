@@ -0,0 +1,151 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+var messages = amf.messages;
+
+describe('Flex messages', function () {
+
+  var clientId = '0F1E2D3C-4B5A-6978-8796-A5B4C3D2E1F0';
+  var messageId = 'AAAAAAAA-BBBB-CCCC-DDDD-EEEEEEEEEEEE';
+  var correlationId = '01234567-89AB-CDEF-0123-456789ABCDEF';
+
+  function uidBytes (uid) {
+    return Buffer.concat([ Buffer.from([ 0x0C, 0x21 ]), Buffer.from(uid.replace(/-/g, ''), 'hex') ]);
+  }
+
+  // an AcknowledgeMessage in its small form, as BlazeDS answers a ping
+  var dsk = Buffer.concat([
+    Buffer.from([
+      0x0A, 0x07, 0x07, 0x44, 0x53, 0x4B, // externalizable trait "DSK"
+      0xA9, 0x03,                         // body, headers, timestamp, then client and message id bytes
+      0x06, 0x09, 0x70, 0x6F, 0x6E, 0x67, // body "pong"
+      0x0A, 0x0B, 0x01, 0x01,             // headers {}
+      0x04, 0x7B                          // timestamp 123
+    ]),
+    uidBytes(clientId),
+    uidBytes(messageId),
+    Buffer.from([ 0x02 ]),                // correlation id bytes
+    uidBytes(correlationId),
+    Buffer.from([ 0x00 ])                 // no AcknowledgeMessage flags
+  ]);
+
+  it('should decode a DSK small message', function () {
+    var ack = amf.decode(dsk, { objectEncoding: 3 });
+    assert(ack instanceof messages.AcknowledgeMessage);
+    assert(ack instanceof messages.AcknowledgeMessageExt);
+    assert.strictEqual('pong', ack.body);
+    assert.deepStrictEqual({}, ack.headers);
+    assert.strictEqual(123, ack.timestamp);
+    assert.strictEqual(clientId, ack.clientId);
+    assert.strictEqual(messageId, ack.messageId);
+    assert.strictEqual(correlationId, ack.correlationId);
+  });
+
+  it('should write a DSK small message back the way it came in', function () {
+    var ack = amf.decode(dsk, { objectEncoding: 3 });
+    assert.deepStrictEqual(dsk, amf.encode(ack, { objectEncoding: 3 }));
+  });
+
+  it('should skip members behind flags it does not know', function () {
+    var dsa = Buffer.from([
+      0x0A, 0x07, 0x07, 0x44, 0x53, 0x41, // externalizable trait "DSA"
+      0x04, 0x06, 0x03, 0x64,             // destination "d"
+      0x05, 0x06, 0x03, 0x63,             // correlation id "c", and a reserved flag
+      0x06, 0x03, 0x78,                   // ... with its value "x"
+      0x04, 0x01                          // int 1 after the message
+    ]);
+    var info = { offset: 0, version: 3 };
+    var msg = amf.read(dsa, info);
+    assert(msg instanceof messages.AsyncMessageExt);
+    assert.strictEqual('d', msg.destination);
+    assert.strictEqual('c', msg.correlationId);
+    assert.strictEqual(null, msg.body);
+    assert.strictEqual(1, amf.read(dsa, info));
+  });
+
+  it('should round-trip a DSC small message', function () {
+    var ping = new messages.CommandMessageExt({ operation: messages.CommandMessage.CLIENT_PING_OPERATION, clientId: 'not a UID' });
+    var buffer = amf.encode(ping, { objectEncoding: 3 });
+    var out = amf.decode(buffer, { objectEncoding: 3 });
+    assert(out instanceof messages.CommandMessage);
+    assert.strictEqual(5, out.operation);
+    assert.strictEqual('not a UID', out.clientId);
+    assert.strictEqual(ping.messageId, out.messageId);
+    assert(/^[0-9A-F]{8}(-[0-9A-F]{4}){3}-[0-9A-F]{12}$/.test(out.messageId));
+  });
+
+  it('should write the full forms with their sealed members', function () {
+    var call = new messages.RemotingMessage({ destination: 'ninjaService', operation: 'getNinja', body: [ 42 ] });
+    var buffer = amf.encode(call, { objectEncoding: 3 });
+    var node = amf.dump(buffer, { objectEncoding: 3 }).value;
+    assert.strictEqual('flex.messaging.messages.RemotingMessage', node.className);
+    assert.deepStrictEqual([ 'body', 'clientId', 'destination', 'headers', 'messageId', 'operation', 'source',
+      'timeToLive', 'timestamp' ], node.sealed.map(function (member) {
+      return member[0];
+    }));
+
+    var out = amf.decode(buffer, { objectEncoding: 3 });
+    assert(out instanceof messages.RemotingMessage);
+    assert.deepStrictEqual(call, out);
+  });
+
+  it('should send messages in a strict Array, switching to AMF3', function () {
+    var ping = messages.createPing();
+    var packet = { version: 3, messages: [ messages.toPacketMessage(ping) ] };
+    var buffer = amf.remoting.encodePacket(packet);
+    var decoded = amf.remoting.decodePacket(buffer);
+
+    assert.strictEqual('null', decoded.messages[0].targetUri);
+    assert.strictEqual('/1', decoded.messages[0].responseUri);
+    // version, counts, "null", "/1" and the body length come first
+    assert.strictEqual(amf.amf0Types.kStrictArrayType, buffer[20]);
+    assert.strictEqual(amf.amf0Types.kAvmPlusObjectType, buffer[25]);
+    var sent = decoded.messages[0].body[0];
+    assert(sent instanceof messages.CommandMessage);
+    assert.strictEqual(messages.CommandMessage.CLIENT_PING_OPERATION, sent.operation);
+    assert.deepStrictEqual({ DSMessagingVersion: 1, DSId: 'nil' }, sent.headers);
+  });
+
+  it('should give new messages random version 4 UIDs', function () {
+    var a = new messages.RemotingMessage().messageId;
+    var b = messages.createUID();
+    assert(/^[0-9A-F]{8}-[0-9A-F]{4}-4[0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/.test(a));
+    assert(/^[0-9A-F]{8}-[0-9A-F]{4}-4[0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/.test(b));
+    assert.notStrictEqual(a, b);
+  });
+
+  it('should build a login command', function () {
+    var login = messages.createLogin('kakashi', 'sharingan', { destination: 'auth' });
+    assert.strictEqual(messages.CommandMessage.LOGIN_OPERATION, login.operation);
+    assert.strictEqual('kakashi:sharingan', Buffer.from(login.body, 'base64').toString('utf8'));
+    assert.strictEqual('UTF-8', login.headers.DSCredentialsCharset);
+    assert.strictEqual('auth', login.destination);
+  });
+
+  it('should parse acknowledge and error replies', function () {
+    var ack = messages.parseResponse(amf.decode(dsk, { objectEncoding: 3 }));
+    assert.strictEqual('acknowledge', ack.type);
+    assert.strictEqual('pong', ack.body);
+    assert.strictEqual(correlationId, ack.correlationId);
+
+    var error = new messages.ErrorMessage({
+      correlationId: correlationId,
+      faultCode: 'Server.Processing',
+      faultString: 'No such ninja'
+    });
+    var parsed = messages.parseResponse(amf.decode(amf.encode(error, { objectEncoding: 3 }), { objectEncoding: 3 }));
+    assert.strictEqual('error', parsed.type);
+    assert.strictEqual('Server.Processing', parsed.faultCode);
+    assert.strictEqual('No such ninja', parsed.faultString);
+    assert.strictEqual(correlationId, parsed.correlationId);
+
+    assert.throws(function () {
+      messages.parseResponse({ body: 'pong' });
+    }, TypeError);
+  });
+
+});
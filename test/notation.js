@@ -0,0 +1,130 @@
+
+/**
+ * Module dependencies.
+ */
+
+var fs = require('fs');
+var amf = require('../');
+var path = require('path');
+var assert = require('assert');
+
+function roundTrip (data, options) {
+  var text = amf.notation.decompile(data, options);
+  assert.deepEqual(data, amf.notation.compile(text));
+  return text;
+}
+
+describe('amf.notation', function () {
+
+  describe('fixtures', function () {
+    fs.readdirSync(path.resolve(__dirname, 'fixtures')).filter(function (name) {
+      return /^amf0-.*\.bin$/.test(name);
+    }).forEach(function (name) {
+      it('should give back the bytes of "' + name + '"', function () {
+        roundTrip(fs.readFileSync(path.resolve(__dirname, 'fixtures', name)));
+      });
+    });
+  });
+
+  it('should compile a typed AMF3 object', function () {
+    var data = amf.notation.compile('amf3 object<com.ninjasaga.LoginRequest>{ accountId: "x", level: int 5 }');
+    var value = amf.decode(data, { objectEncoding: 3 });
+    assert.deepEqual({ __className__: 'com.ninjasaga.LoginRequest', accountId: 'x', level: 5 }, value);
+    assert.equal('amf3\nobject<com.ninjasaga.LoginRequest>{ accountId: "x", level: 5 }\n',
+      amf.notation.decompile(data, { objectEncoding: 3 }));
+  });
+
+  it('should tell ints from doubles by the literal', function () {
+    assert.equal('0405', amf.notation.compile('amf3 5').toString('hex'));
+    assert.equal('054014000000000000', amf.notation.compile('amf3 5.0').toString('hex'));
+    assert.equal('054014000000000000', amf.notation.compile('amf3 double 5').toString('hex'));
+    assert.equal('058000000000000000', amf.notation.compile('amf3 -0.0').toString('hex'));
+    assert.deepEqual(amf.encode(5), amf.notation.compile('5'));
+  });
+
+  it('should cover AMF0 and AMF3 values', function () {
+    var item = { id: 1 };
+    var value = {
+      ints: amf.createAmf3Vector([ 1, -2 ], 'int', true),
+      doubles: amf.createAmf3Vector([ 0.5 ], 'Number'),
+      items: amf.createAmf3Vector([ item, item ], 'com.Item'),
+      dictionary: amf.createAmf3Dictionary([ [ item, 'a' ], [ 2, 'b' ] ], true),
+      list: amf.createArrayCollection([ 'x', 'x' ]),
+      typed: { __className__: 'com.ninjasaga.Character', level: 5, hp: amf.double(100) },
+      date: new Date(1500000000000),
+      bytes: amf.createAmf3ByteArray(Buffer.from('hi')),
+      xml: amf.createAmf3XML('<a/>'),
+      nothing: undefined,
+      'odd key': [ NaN, -0, Infinity, 1e21, 1.5 ]
+    };
+    [0, 3].forEach(function (objectEncoding) {
+      roundTrip(amf.encode(value, { objectEncoding: objectEncoding }), { objectEncoding: objectEncoding });
+    });
+    var text = roundTrip(amf.encode(value, { objectEncoding: 3 }), { objectEncoding: 3 });
+    assert(/items: vector<com\.Item>\[\{ id: 1 \}, object &\d+\]/.test(text));
+    assert(/hp: 100\.0/.test(text));
+  });
+
+  it('should keep strings and traits that were not referenced the usual way', function () {
+    var text = roundTrip(new Buffer('09070106056162060561620602', 'hex'), { objectEncoding: 3 });
+    assert.equal('amf3\n["ab", inline "ab", "ab" &1]\n', text);
+    text = roundTrip(new Buffer('0905010a0b01010a0b0101', 'hex'), { objectEncoding: 3 });
+    assert.equal('amf3\n[{}, object<inline-traits>{}]\n', text);
+  });
+
+  it('should handle sealed and dynamic members', function () {
+    var data = amf.notation.compile('amf3 object<A dynamic>{ a: 1; b: 2 }');
+    assert.equal('amf3\nobject<A dynamic>{ a: 1; b: 2 }\n', amf.notation.decompile(data, { objectEncoding: 3 }));
+    assert.deepEqual({ __className__: 'A', a: 1, b: 2 }, amf.decode(data, { objectEncoding: 3 }));
+  });
+
+  it('should handle remoting packets', function () {
+    var text = [
+      'remoting 3 {',
+      '  header sessionId mustUnderstand: "abc"',
+      '  message "Character.load" "/1": amf3 [{ id: 1 }]',
+      '}',
+      ''
+    ].join('\n');
+    var packet = amf.remoting.decodePacket(amf.notation.compile(text));
+    assert.equal('abc', packet.headers[0].value);
+    assert.deepEqual([ { id: 1 } ], packet.messages[0].body);
+    assert.equal(text, roundTrip(amf.notation.compile(text), { remoting: true }));
+  });
+
+  it('should keep body lengths that do not match their value', function () {
+    var text = [
+      'remoting 0 {',
+      '  message a "/1" length -2: 1',
+      '  message b "/2" length 12 skipped "abcdef": 2',
+      '}',
+      ''
+    ].join('\n');
+    var packet = amf.notation.compile(text);
+    assert.strictEqual(12, packet.readInt32BE(33));
+    assert.deepEqual([ 1, 2 ], amf.remoting.decodePacket(packet).messages.map(function (message) {
+      return message.body;
+    }));
+    assert.equal(text, roundTrip(packet, { remoting: true }));
+  });
+
+  it('should keep several values and comments', function () {
+    var data = amf.notation.compile('amf0\n"a" # first\n1 // second\n');
+    assert.deepEqual(Buffer.concat([ amf.encode('a'), amf.encode(1) ]), data);
+  });
+
+  it('should report syntax errors with their position', function () {
+    assert.throws(function () {
+      amf.notation.compile('amf3 {\n  a: 1,\n  b: @\n}');
+    }, function (err) {
+      return err instanceof SyntaxError && /line 3, column 6/.test(err.message);
+    });
+    assert.throws(function () {
+      amf.notation.compile('amf3 object<A>{ a: 1; b: 2 }');
+    }, /not dynamic/);
+    assert.throws(function () {
+      amf.notation.compile('amf3 long "x"');
+    }, /Unexpected "long" in AMF3/);
+  });
+
+});
@@ -0,0 +1,113 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+
+function hex (value, options) {
+  return amf.encode(value, options).toString('hex');
+}
+
+describe('numeric type hints', function () {
+
+  it('should write `amf.double()` as an AMF3 double even for small integers', function () {
+    assert.equal('0405', hex(5, { objectEncoding: 3 }));
+    assert.equal('054014000000000000', hex(amf.double(5), { objectEncoding: 3 }));
+  });
+
+  it('should write `amf.int()` and `amf.uint()` as AMF3 integers when they fit', function () {
+    assert.equal('04ffffffff', hex(amf.int(-1), { objectEncoding: 3 }));
+    assert.equal('0405', hex(amf.uint(5), { objectEncoding: 3 }));
+    // too big for 29 bits: a double, like Flash Player writes it
+    assert.equal('0541dfffffffc00000', hex(amf.int(0x7FFFFFFF), { objectEncoding: 3 }));
+    assert.equal('0541efffffffe00000', hex(amf.uint(0xFFFFFFFF), { objectEncoding: 3 }));
+  });
+
+  it('should reject values outside of the ActionScript type', function () {
+    assert.throws(function () { amf.int(1.5); }, RangeError);
+    assert.throws(function () { amf.int(0x80000000); }, RangeError);
+    assert.throws(function () { amf.uint(-1); }, RangeError);
+  });
+
+  it('should write hints as plain AMF0 Numbers', function () {
+    assert.equal(hex(5), hex(amf.int(5)));
+    assert.equal(hex(5), hex(amf.double(5)));
+  });
+
+  it('should behave like the number they hold', function () {
+    assert.equal(7, amf.int(5) + 2);
+    assert.equal('{"a":5}', JSON.stringify({ a: amf.double(5) }));
+  });
+
+  it('should apply to members of objects and arrays', function () {
+    var data = amf.encode({ hp: amf.double(100), items: [ amf.double(1) ] }, { objectEncoding: 3 });
+    var value = amf.decode(data, { objectEncoding: 3, preserveNumberTypes: true });
+    assert(value.hp instanceof amf.AMFNumber);
+    assert.equal('Number', value.items[0].type);
+  });
+
+});
+
+describe('BigInt values', function () {
+
+  it('should throw by default', function () {
+    [0, 3].forEach(function (objectEncoding) {
+      assert.throws(function () {
+        amf.encode({ id: 1n }, { objectEncoding: objectEncoding });
+      }, function (err) {
+        return err instanceof amf.AMFEncodeError && err.path === 'id' && /`bigint` option/.test(err.message);
+      });
+    });
+  });
+
+  it('should write doubles with `bigint: "double"`', function () {
+    assert.equal(hex(5), hex(5n, { bigint: 'double' }));
+    assert.equal(hex(2 ** 40, { objectEncoding: 3 }), hex(2n ** 40n, { objectEncoding: 3, bigint: 'double' }));
+    assert.deepEqual({ a: [ 1 ] }, amf.decode(amf.encode({ a: [ 1n ] }, { bigint: 'double' })));
+  });
+
+  it('should write strings with `bigint: "string"`', function () {
+    var id = 9007199254740993n;
+    [0, 3].forEach(function (objectEncoding) {
+      var data = amf.encode({ id: id }, { objectEncoding: objectEncoding, bigint: 'string' });
+      assert.deepEqual({ id: '9007199254740993' }, amf.decode(data, { objectEncoding: objectEncoding }));
+    });
+  });
+
+  it('should apply to remoting bodies', function () {
+    var packet = amf.remoting.encodePacket({
+      messages: [ { targetUri: 'a', responseUri: '/1', body: [ 1n ] } ]
+    }, { bigint: 'string' });
+    assert.deepEqual([ '1' ], amf.remoting.decodePacket(packet).messages[0].body);
+  });
+
+});
+
+describe('`preserveNumberTypes`', function () {
+
+  it('should decode integral AMF3 doubles to `amf.double()`', function () {
+    var data = new Buffer('054014000000000000', 'hex');
+    assert.strictEqual(5, amf.decode(data, { objectEncoding: 3 }));
+
+    var value = amf.decode(data, { objectEncoding: 3, preserveNumberTypes: true });
+    assert(value instanceof amf.AMFNumber);
+    assert.equal('Number', value.type);
+    assert.equal(5, value);
+    assert.deepEqual(data, amf.encode(value, { objectEncoding: 3 }));
+  });
+
+  it('should leave ints and non-integral doubles alone', function () {
+    var options = { objectEncoding: 3, preserveNumberTypes: true };
+    assert.strictEqual(5, amf.decode(amf.encode(5, options), options));
+    assert.strictEqual(1.5, amf.decode(amf.encode(1.5, options), options));
+  });
+
+  it('should re-encode `-0` faithfully', function () {
+    var data = new Buffer('058000000000000000', 'hex');
+    var value = amf.decode(data, { objectEncoding: 3, preserveNumberTypes: true });
+    assert.deepEqual(data, amf.encode(value, { objectEncoding: 3 }));
+  });
+
+});
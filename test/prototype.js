@@ -0,0 +1,92 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+
+// own "__proto__" and "constructor" members, which is what a hostile AMF
+// payload carries
+function hostile (target) {
+  [ '__proto__', 'constructor' ].forEach(function (key) {
+    Object.defineProperty(target, key, {
+      value: key === '__proto__' ? { polluted: true } : { prototype: { polluted: true } },
+      writable: true,
+      enumerable: true,
+      configurable: true
+    });
+  });
+  target.a = 1;
+  return target;
+}
+
+function assertClean () {
+  assert.strictEqual(undefined, ({}).polluted);
+  assert.strictEqual(undefined, Object.prototype.polluted);
+  assert.strictEqual(undefined, [].polluted);
+}
+
+describe('unsafe member names', function () {
+
+  var payloads = {
+    'AMF0 Object': amf.encode(hostile({})),
+    'AMF0 ECMA Array': amf.encode(hostile([])),
+    'AMF0 typed Object': amf.encode(hostile({ __className__: 'a.B' })),
+    'AMF3 dynamic Object': amf.encode(hostile({}), { objectEncoding: 3 }),
+    'AMF3 sealed Object': amf.encode(hostile({ __className__: 'a.B' }), { objectEncoding: 3 }),
+    'AMF3 associative Array': amf.encode(hostile([]), { objectEncoding: 3 })
+  };
+
+  Object.keys(payloads).forEach(function (name) {
+    describe(name, function () {
+      var data = payloads[name];
+      var version = /AMF3/.test(name) ? 3 : 0;
+
+      it('should keep unsafe names as plain own properties by default', function () {
+        var value = amf.decode(data, { objectEncoding: version });
+        assertClean();
+        assert(Object.prototype.hasOwnProperty.call(value, '__proto__'));
+        assert.strictEqual(true, value.__proto__.polluted);
+        assert.strictEqual(undefined, value.polluted);
+        assert.notStrictEqual(null, Object.getPrototypeOf(value));
+      });
+
+      it('should drop unsafe names with `unsafeKeys: "skip"`', function () {
+        var value = amf.decode(data, { objectEncoding: version, unsafeKeys: 'skip' });
+        assertClean();
+        assert(!Object.prototype.hasOwnProperty.call(value, '__proto__'));
+        assert(!Object.prototype.hasOwnProperty.call(value, 'constructor'));
+      });
+
+      it('should throw with `unsafeKeys: "error"`', function () {
+        assert.throws(function () {
+          amf.decode(data, { objectEncoding: version, unsafeKeys: 'error' });
+        }, function (err) {
+          return err instanceof amf.AMFDecodeError && /Unsafe member name "__proto__"/.test(err.message);
+        });
+        assertClean();
+      });
+    });
+  });
+
+  it('should round-trip own "__proto__" members', function () {
+    var original = hostile({});
+    var value = amf.decode(amf.encode(original, { objectEncoding: 3 }), { objectEncoding: 3 });
+    var again = amf.decode(amf.encode(value, { objectEncoding: 3 }), { objectEncoding: 3 });
+    assert.deepStrictEqual(Object.keys(original), Object.keys(again));
+    assert.strictEqual(true, again.__proto__.polluted);
+  });
+
+  it('should create null-prototype objects with `nullPrototype: true`', function () {
+    [0, 3].forEach(function (version) {
+      var data = amf.encode({ a: { b: 1 } }, { objectEncoding: version });
+      var value = amf.decode(data, { objectEncoding: version, nullPrototype: true });
+      assert.strictEqual(null, Object.getPrototypeOf(value));
+      assert.strictEqual(null, Object.getPrototypeOf(value.a));
+      assert.strictEqual(1, value.a.b);
+      assert.deepEqual(data, amf.encode(value, { objectEncoding: version }));
+    });
+  });
+
+});
@@ -109,6 +109,36 @@ describe('read()', function () {
     assert.deepEqual({ baz: null, foo: 'bar', __className__: 'org.amf.ASClass' }, obj);
   });
 
+  it('should read a "long string"', function () {
+    var str = new Array(0x10001).join('x');
+    var data = new Buffer(5 + str.length);
+    data[0] = 0x0C;
+    data.writeUInt32BE(str.length, 1);
+    data.write(str, 5);
+
+    var info = { offset: 0 };
+    assert.equal(str, amf.read(data, info));
+    assert.equal(data.length, info.offset);
+  });
+
+  it('should read an "XML document"', function () {
+    var xml = '<a b="c"/>';
+    var data = Buffer.concat([ new Buffer([ 0x0F, 0, 0, 0, xml.length ]), new Buffer(xml) ]);
+
+    var obj = amf.read(data, 0);
+    assert.equal('XMLDocument', obj.__type__);
+    assert.equal(xml, obj.toString());
+  });
+
+  it('should read the "unsupported", "recordset" and "movieclip" markers', function () {
+    var data = new Buffer([ 0x0A, 0, 0, 0, 3, 0x0D, 0x0E, 0x04 ]);
+
+    var array = amf.read(data, 0);
+    assert.strictEqual(amf.UNSUPPORTED, array[0]);
+    assert.strictEqual(amf.RECORDSET, array[1]);
+    assert.strictEqual(amf.MOVIECLIP, array[2]);
+  });
+
   describe('FLV metadata', function () {
 
     it('should read a basic "name" and "value" from an FLV metadata packet', function () {
@@ -0,0 +1,159 @@
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+var AMF3Encoder = require('../lib/amf3/encoder').AMF3Encoder;
+var AMF3Decoder = require('../lib/amf3/decoder').AMF3Decoder;
+
+describe('registerClassAlias()', function () {
+
+  function PlayerLogin (accountId) {
+    this.accountId = accountId;
+    this.level = 5;
+  }
+  PlayerLogin.prototype.describe = function () {
+    return this.accountId + '@' + this.level;
+  };
+
+  before(function () {
+    amf.registerClassAlias('com.ninjasaga.protocol.PlayerLogin', PlayerLogin);
+  });
+
+  it('should look up the registered class by its alias', function () {
+    assert.strictEqual(PlayerLogin, amf.getClassByAlias('com.ninjasaga.protocol.PlayerLogin'));
+    assert.strictEqual(undefined, amf.getClassByAlias('com.ninjasaga.protocol.Unknown'));
+  });
+
+  it('should reject invalid aliases and classes', function () {
+    assert.throws(function () { amf.registerClassAlias('', PlayerLogin); }, TypeError);
+    assert.throws(function () { amf.registerClassAlias('a.B', 'a.B'); }, TypeError);
+  });
+
+  it('should round-trip an instance through AMF3', function () {
+    var buffer = amf.encode(new PlayerLogin('player-12345'), { objectEncoding: 3 });
+    assert(buffer.indexOf('com.ninjasaga.protocol.PlayerLogin') !== -1);
+    assert.strictEqual(-1, buffer.indexOf('__className__'));
+
+    var out = amf.decode(buffer, { objectEncoding: 3 });
+    assert(out instanceof PlayerLogin);
+    assert.deepStrictEqual(Object.keys(out), ['accountId', 'level']);
+    assert.strictEqual('player-12345@5', out.describe());
+  });
+
+  it('should round-trip an instance through AMF0 as a "typed object"', function () {
+    var buffer = amf.encode(new PlayerLogin('player-12345'));
+    assert.strictEqual(amf.amf0Types.kTypedObjectType, buffer[0]);
+
+    var out = amf.decode(buffer);
+    assert(out instanceof PlayerLogin);
+    assert.strictEqual(undefined, out.__className__);
+    assert.strictEqual('player-12345@5', out.describe());
+  });
+
+  it('should be honored by AMF3Encoder and AMF3Decoder', function () {
+    var encoder = new AMF3Encoder();
+    encoder.encodeValue({ request: new PlayerLogin('player-12345') });
+
+    var out = new AMF3Decoder(encoder.finish()).readValue();
+    assert(out.request instanceof PlayerLogin);
+    assert.strictEqual('player-12345@5', out.request.describe());
+  });
+
+  it('should leave unregistered class names on `__className__`', function () {
+    var obj = amf.createAmf3Object({ accountId: 'x' }, 'com.ninjasaga.protocol.Unknown');
+    var out = amf.decode(amf.encode(obj, { objectEncoding: 3 }), { objectEncoding: 3 });
+    assert.strictEqual('com.ninjasaga.protocol.Unknown', out.__className__);
+  });
+
+});
+
+describe('registerClass()', function () {
+
+  // readExternal()/writeExternal() of a hypothetical game class
+  amf.registerClass('com.ninjasaga.data.Stats', {
+    read: function (input, obj) {
+      obj.hp = input.readInt();
+      obj.ratio = input.readDouble();
+      obj.name = input.readUTF();
+      obj.flags = input.readUnsignedByte();
+      obj.extra = input.readObject();
+    },
+    write: function (output, obj) {
+      output.writeInt(obj.hp);
+      output.writeDouble(obj.ratio);
+      output.writeUTF(obj.name);
+      output.writeByte(obj.flags);
+      output.writeObject(obj.extra);
+    }
+  });
+
+  function stats () {
+    return amf.createAmf3Object({
+      hp: -120,
+      ratio: 0.25,
+      name: 'Kakashi',
+      flags: 0x81,
+      extra: { jutsu: ['chidori'] }
+    }, 'com.ninjasaga.data.Stats');
+  }
+
+  it('should decode an externalizable object and the values after it', function () {
+    var value = { first: stats(), second: stats(), after: 'still aligned' };
+    var out = amf.decode(amf.encode(value, { objectEncoding: 3 }), { objectEncoding: 3 });
+
+    assert.strictEqual('com.ninjasaga.data.Stats', out.first.__className__);
+    assert.strictEqual(-120, out.first.hp);
+    assert.strictEqual(0.25, out.first.ratio);
+    assert.strictEqual('Kakashi', out.first.name);
+    assert.strictEqual(0x81, out.first.flags);
+    assert.deepStrictEqual({ jutsu: ['chidori'] }, out.first.extra);
+    assert.deepStrictEqual(out.first, out.second);
+    assert.strictEqual('still aligned', out.after);
+  });
+
+  it('should let `read()` return a replacement value', function () {
+    amf.registerClass('com.ninjasaga.data.Wrapped', {
+      read: function (input) { return input.readObject(); },
+      write: function (output, obj) { output.writeObject(obj.source); }
+    });
+    var wrapped = amf.createAmf3Object({ source: [1, 2] }, 'com.ninjasaga.data.Wrapped');
+    var buffer = amf.encode({ a: wrapped, b: wrapped }, { objectEncoding: 3 });
+
+    var out = amf.decode(buffer, { objectEncoding: 3 });
+    assert.deepStrictEqual([1, 2], out.a);
+    assert.strictEqual(out.a, out.b);
+  });
+
+  it('should be honored by AMF3Encoder and AMF3Decoder', function () {
+    var encoder = new AMF3Encoder();
+    encoder.encodeValue([stats(), 'tail']);
+    var bytes = encoder.finish();
+
+    var out = new AMF3Decoder(bytes).readValue();
+    assert.strictEqual('Kakashi', out[0].name);
+    assert.deepStrictEqual({ jutsu: ['chidori'] }, out[0].extra);
+    assert.strictEqual('tail', out[1]);
+  });
+
+  it('should throw for externalizable classes without a handler', function () {
+    var buffer = Buffer.from([
+      0x0A, 0x07, 0x07, 0x61, 0x2E, 0x42 // externalizable trait for class "a.B"
+    ]);
+    assert.throws(function () {
+      amf.read(buffer, { version: 3 });
+    }, /externalizable class: a\.B/);
+    assert.throws(function () {
+      amf.encode(amf.createAmf3Object({ __externalizable__: true }, 'a.B'), { objectEncoding: 3 });
+    }, /externalizable class: a\.B/);
+  });
+
+  it('should be exposed as `AMF3Decoder.registerClass()`', function () {
+    assert.strictEqual('function', typeof AMF3Decoder.registerClass);
+    assert.throws(function () {
+      AMF3Decoder.registerClass('a.C', { read: function () {} });
+    }, TypeError);
+  });
+
+});
@@ -68,4 +68,17 @@ describe('AMF Remoting - Ninja Saga workflow', function () {
 
     assert.strictEqual(decoded.byteLength, encoded.length);
   });
+
+  it('encodes bodies larger than a megabyte with exact length prefixes', function () {
+    var packet = createLoginRequest();
+    var blob = new Array(1536 * 1024 + 1).join('n');
+    packet.messages[0].body = amf.createAmf3Object({ blob: blob }, 'com.ninjasaga.protocol.Upload');
+
+    var encoded = remoting.encodePacket(packet);
+    var decoded = remoting.decodePacket(encoded);
+
+    assert.strictEqual(decoded.byteLength, encoded.length);
+    assert.strictEqual(decoded.messages[0].body.blob, blob);
+    assert(decoded.messages[0].length > blob.length);
+  });
 });
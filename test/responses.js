@@ -0,0 +1,130 @@
+
+/**
+ * Module dependencies.
+ */
+
+var amf = require('../');
+var assert = require('assert');
+var remoting = amf.remoting;
+var messages = amf.messages;
+
+describe('remoting responses', function () {
+
+  var request = {
+    version: 0,
+    messages: [
+      { targetUri: 'Character.load', responseUri: '/1', body: [ 12345 ] },
+      { targetUri: 'Character.save', responseUri: '/2', body: [ { level: 5 } ] },
+      { targetUri: 'Mission.list', responseUri: '/3', body: [] }
+    ]
+  };
+
+  it('should pair results and AMF0 status objects with their calls', function () {
+    var response = remoting.encodePacket({
+      version: 0,
+      messages: [
+        { targetUri: '/2/onStatus', responseUri: 'null', body: {
+          level: 'error', code: 'Server.Save', description: 'Character is busy', details: 'save.php'
+        } },
+        { targetUri: '/1/onResult', responseUri: 'null', body: { name: 'Naruto' } },
+        { targetUri: '/9/onResult', responseUri: 'null', body: 'stray' }
+      ]
+    });
+    var paired = remoting.pairResponses(remoting.encodePacket(request), response);
+    var calls = paired.calls;
+
+    assert.strictEqual('result', calls[0].status);
+    assert.deepStrictEqual({ name: 'Naruto' }, calls[0].result);
+    assert.strictEqual(null, calls[0].error);
+    assert.strictEqual('/1/onResult', calls[0].response.targetUri);
+
+    assert.strictEqual('fault', calls[1].status);
+    var err = calls[1].error;
+    assert(err instanceof amf.RemotingFault);
+    assert(err instanceof Error);
+    assert.strictEqual('Server.Save', err.code);
+    assert.strictEqual('error', err.level);
+    assert.strictEqual('Character is busy', err.description);
+    assert.strictEqual('save.php', err.details);
+    assert.strictEqual('Server.Save: Character is busy', err.message);
+    assert.strictEqual('Character.save', err.targetUri);
+    assert.strictEqual('/2', err.responseUri);
+
+    assert.strictEqual('missing', calls[2].status);
+    assert.strictEqual('Client.NoResponse', calls[2].error.code);
+    assert.strictEqual('Client.NoResponse: No response to Mission.list (/3)', calls[2].error.message);
+
+    assert.strictEqual(1, paired.unexpected.length);
+    assert.strictEqual('/9/onResult', paired.unexpected[0].targetUri);
+  });
+
+  it('should report a second answer to the same call as unexpected', function () {
+    var paired = remoting.pairResponses({ messages: [ request.messages[0] ] }, {
+      messages: [
+        { targetUri: '/1/onResult', body: 1 },
+        { targetUri: '/1/onStatus', body: { code: 'late' } }
+      ]
+    });
+    assert.strictEqual(1, paired.calls[0].result);
+    assert.strictEqual('/1/onStatus', paired.unexpected[0].targetUri);
+  });
+
+  it('should unwrap Flex acknowledgements and error messages', function () {
+    var call = new messages.RemotingMessage({ destination: 'ninjaService', operation: 'getNinja', body: [ 1 ] });
+    var broken = new messages.RemotingMessage({ destination: 'ninjaService', operation: 'train', body: [] });
+    var flexRequest = {
+      version: 3,
+      messages: [ messages.toPacketMessage(call, '/1'), messages.toPacketMessage(broken, '/2') ]
+    };
+    var response = remoting.encodePacket({
+      version: 3,
+      messages: [
+        { targetUri: '/1/onResult', responseUri: '', body: new messages.AcknowledgeMessageExt({
+          correlationId: call.messageId, body: { name: 'Sasuke' }
+        }) },
+        { targetUri: '/2/onStatus', responseUri: '', body: new messages.ErrorMessage({
+          correlationId: broken.messageId,
+          faultCode: 'Server.Processing',
+          faultString: 'Not enough chakra',
+          faultDetail: 'train() needs 10',
+          rootCause: { message: 'ChakraException' }
+        }) }
+      ]
+    });
+    var calls = remoting.pairResponses(remoting.encodePacket(flexRequest), response).calls;
+
+    assert.deepStrictEqual({ name: 'Sasuke' }, calls[0].result);
+    var err = calls[1].error;
+    assert.strictEqual('Server.Processing', err.code);
+    assert.strictEqual('Not enough chakra', err.description);
+    assert.strictEqual('train() needs 10', err.details);
+    assert.deepStrictEqual({ message: 'ChakraException' }, err.rootCause);
+    assert(err.flexMessage instanceof messages.ErrorMessage);
+  });
+
+  it('should treat an ErrorMessage sent to onResult as a fault', function () {
+    var calls = remoting.pairResponses({ messages: [ request.messages[0] ] }, {
+      messages: [ { targetUri: '/1/onResult', body: new messages.ErrorMessage({ faultString: 'nope' }) } ]
+    }).calls;
+    assert.strictEqual('fault', calls[0].status);
+    assert.strictEqual('nope', calls[0].error.message);
+  });
+
+  it('should name the Flex operation of an unanswered call', function () {
+    var call = new messages.RemotingMessage({ destination: 'ninjaService', operation: 'getNinja' });
+    var calls = remoting.pairResponses({ messages: [ messages.toPacketMessage(call) ] }, { messages: [] }).calls;
+    assert.strictEqual('No response to ninjaService.getNinja (/1)', calls[0].error.description);
+  });
+
+  it('should return the results or throw the first fault with getResults()', function () {
+    var ok = { messages: [ { targetUri: '/1/onResult', body: 'a' }, { targetUri: '/2/onResult', body: 'b' } ] };
+    assert.deepStrictEqual([ 'a', 'b' ], remoting.getResults({ messages: request.messages.slice(0, 2) }, ok));
+
+    assert.throws(function () {
+      remoting.getResults(request, ok);
+    }, function (err) {
+      return err instanceof amf.RemotingFault && 'Client.NoResponse' === err.code && '/3' === err.responseUri;
+    });
+  });
+
+});
@@ -0,0 +1,360 @@
+
+/**
+ * Module dependencies.
+ */
+
+var fs = require('fs');
+var amf = require('../');
+var path = require('path');
+var assert = require('assert');
+var Readable = require('stream').Readable;
+
+function chunks (data, size) {
+  var list = [];
+  for (var i = 0; i < data.length; i += size) list.push(data.slice(i, i + size));
+  return list;
+}
+
+function collect (stream, data, size, done) {
+  var records = [];
+  stream.on('data', function (record) { records.push(record); });
+  stream.on('error', done);
+  stream.on('end', function () { done(null, records); });
+  chunks(data, size).forEach(function (chunk) { stream.write(chunk); });
+  stream.end();
+}
+
+describe('DecodeStream', function () {
+
+  var flv = fs.readFileSync(path.resolve(__dirname, 'fixtures', 'amf0-flv-metadata.bin'));
+
+  it('should emit each value of FLV script data fed one byte at a time', function (done) {
+    var info = { offset: 0 };
+    var expected = [ amf.read(flv, info), amf.read(flv, info) ];
+
+    collect(new amf.DecodeStream(), flv, 1, function (err, records) {
+      if (err) return done(err);
+      assert.equal(2, records.length);
+      assert.deepEqual(expected, records.map(function (r) { return r.value; }));
+      assert.equal(0, records[0].offset);
+      assert.equal(flv.length, records[1].offset + records[1].byteLength);
+      done();
+    });
+  });
+
+  it('should carry `null` and `undefined` values', function (done) {
+    var data = Buffer.concat([ amf.encode(null), amf.encode(undefined), amf.encode(3) ]);
+    collect(amf.DecodeStream(), data, 2, function (err, records) {
+      if (err) return done(err);
+      assert.deepStrictEqual([ null, undefined, 3 ], records.map(function (r) { return r.value; }));
+      done();
+    });
+  });
+
+  it('should keep AMF3 references across values with `resetReferences: "never"`', function (done) {
+    var encoder = new amf.AMF3Encoder();
+    encoder.encodeValue({ name: 'kakashi' });
+    encoder.encodeValue({ name: 'kakashi' });
+    var data = encoder.finish();
+
+    var options = { objectEncoding: 3, resetReferences: 'never' };
+    collect(new amf.DecodeStream(options), data, 3, function (err, records) {
+      if (err) return done(err);
+      assert.deepEqual([ { name: 'kakashi' }, { name: 'kakashi' } ], records.map(function (r) { return r.value; }));
+      done();
+    });
+  });
+
+  it('should start each value with fresh references by default', function (done) {
+    var encoder = new amf.AMF3Encoder();
+    encoder.encodeValue('kakashi');
+    encoder.encodeValue('kakashi');
+
+    var stream = new amf.DecodeStream({ objectEncoding: 3 });
+    stream.on('data', function () {});
+    stream.on('error', function (err) {
+      assert(err instanceof amf.AMFDecodeError);
+      assert(/Invalid string reference: 0/.test(err.message), err.message);
+      assert.equal(9, err.offset);
+      done();
+    });
+    stream.end(encoder.finish());
+  });
+
+  it('should let a function decide when to reset references', function (done) {
+    var encoder = new amf.AMF3Encoder();
+    encoder.encodeValue('kakashi');
+    encoder.encodeValue('kakashi');
+    encoder.resetRefs();
+    encoder.encodeValue('kakashi');
+
+    var seen = [];
+    var options = {
+      objectEncoding: 3,
+      resetReferences: function (record) {
+        seen.push(record.offset);
+        return seen.length === 2;
+      }
+    };
+    collect(new amf.DecodeStream(options), encoder.finish(), 4, function (err, records) {
+      if (err) return done(err);
+      assert.equal(3, records.length);
+      assert.deepEqual([ 0, 9, 11 ], seen);
+      done();
+    });
+  });
+
+  it('should carry on with a value split across chunks where it ran out', function (done) {
+    var ninja = { name: 'kakashi', jutsu: [ 'chidori', 'kamui' ] };
+    var value = {
+      ninjas: [ ninja, ninja, amf.createAmf3Object({ name: 'kakashi', rank: 'jonin' }, 'com.ninjasaga.data.Ninja') ],
+      byName: new Map([ [ 'kakashi', ninja ], [ ninja, 'kakashi' ] ]),
+      squad: amf.createArrayCollection([ { name: 'kamui' }, { name: 'chidori' } ])
+    };
+    var encoder = new amf.AMF3Encoder();
+    encoder.encodeValue(value);
+    encoder.encodeValue(value);
+    var data = encoder.finish();
+    var options = { objectEncoding: 3, resetReferences: 'never' };
+
+    collect(new amf.DecodeStream(options), data, 3, function (err, records) {
+      if (err) return done(err);
+      var info = Object.assign({ offset: 0, version: 3 }, options);
+      assert.deepStrictEqual([ amf.read(data, info), amf.read(data, info) ], records.map(function (r) {
+        return r.value;
+      }));
+      var ninjas = records[0].value.ninjas;
+      assert.strictEqual(ninjas[0], ninjas[1]);
+      assert.strictEqual(records[0].value, records[1].value);
+      done();
+    });
+  });
+
+  it('should not decode a large value from its start for every chunk', function (done) {
+    var reads = 0;
+    amf.registerClass('com.ninjasaga.data.Point', {
+      read: function (input, obj) {
+        reads++;
+        obj.x = input.readInt();
+        obj.y = input.readInt();
+      },
+      write: function (output, obj) {
+        output.writeInt(obj.x);
+        output.writeInt(obj.y);
+      }
+    });
+    var points = [];
+    for (var i = 0; i < 2000; i++) points.push(amf.createAmf3Object({ x: i, y: -i }, 'com.ninjasaga.data.Point'));
+    var data = amf.encode({ path: points }, { objectEncoding: 3 });
+
+    collect(new amf.DecodeStream({ objectEncoding: 3 }), data, 64, function (err, records) {
+      if (err) return done(err);
+      assert.equal(1, records.length);
+      assert.equal(-1999, records[0].value.path[1999].y);
+      // every point once, plus the one each chunk ends in the middle of
+      assert(reads <= points.length + chunks(data, 64).length, reads + ' reads');
+      done();
+    });
+  });
+
+  it('should fail when the input ends in the middle of a value', function (done) {
+    var data = amf.encode({ foo: 'bar' });
+    var stream = new amf.DecodeStream();
+    stream.on('data', function () {});
+    stream.on('error', function (err) {
+      assert(err instanceof amf.AMFDecodeError);
+      assert(err.truncated);
+      done();
+    });
+    stream.end(data.slice(0, data.length - 1));
+  });
+
+});
+
+describe('decodeValues()', function () {
+
+  it('should iterate over the values of a Readable', async function () {
+    var data = Buffer.concat([ amf.encode('a'), amf.encode(null), amf.encode({ b: [ 1, 2 ] }) ]);
+    var values = [];
+    for await (var value of amf.decodeValues(Readable.from(chunks(data, 5)))) {
+      values.push(value);
+    }
+    assert.deepStrictEqual([ 'a', null, { b: [ 1, 2 ] } ], values);
+  });
+
+  it('should reject malformed input', async function () {
+    var values = amf.decodeValues([ amf.encode('a'), Buffer.from([ 0x42 ]) ]);
+    assert.equal('a', (await values.next()).value);
+    await assert.rejects(values.next(), /Unknown AMF0 type: 66 \(offset 4/);
+  });
+
+});
+
+describe('EncodeStream', function () {
+
+  function drain (stream, done) {
+    var chunks = [];
+    stream.on('data', function (chunk) { chunks.push(chunk); });
+    stream.on('error', done);
+    stream.on('end', function () { done(null, chunks); });
+  }
+
+  it('should write the same bytes as `encode()`, back to back', function (done) {
+    var values = [ 'a', { b: [ 1, 2 ] }, 3.5 ];
+    var stream = new amf.EncodeStream();
+    drain(stream, function (err, chunks) {
+      if (err) return done(err);
+      var expected = Buffer.concat(values.map(function (v) { return amf.encode(v); }).concat(
+        [ amf.encode(null), amf.encode(undefined) ]));
+      assert.deepEqual(expected, Buffer.concat(chunks));
+      done();
+    });
+    values.forEach(function (value) { stream.write(value); });
+    stream.writeValue(null);
+    stream.writeValue(undefined);
+    stream.end();
+  });
+
+  it('should emit a large value in `chunkSize` pieces', function (done) {
+    var rows = [];
+    for (var i = 0; i < 2000; i++) rows.push({ id: i, name: 'member ' + i });
+    var stream = new amf.EncodeStream({ objectEncoding: 3, chunkSize: 1024 });
+    drain(stream, function (err, chunks) {
+      if (err) return done(err);
+      assert(chunks.length > 10);
+      chunks.forEach(function (chunk) { assert(chunk.length <= 1024); });
+      assert.deepEqual(rows, amf.decode(Buffer.concat(chunks), { objectEncoding: 3 }));
+      done();
+    });
+    stream.end(rows);
+  });
+
+  it('should apply backpressure when nothing reads the bytes', function () {
+    var stream = new amf.EncodeStream({ chunkSize: 1024 });
+    var big = new Array(64 * 1024).join('x');
+    var writes = 0;
+    while (stream.write(big)) writes++;
+    assert(writes < 20, writes);
+    // only the first value got encoded, the others wait in the writable buffer
+    assert(stream.readableLength < 2 * big.length);
+  });
+
+  it('should stop in the middle of a large value until the bytes are read', function (done) {
+    var rows = [];
+    for (var i = 0; i < 5000; i++) rows.push({ id: i, name: 'member ' + i, tags: [ 'a', 'b' ] });
+    var encoded = amf.encode(rows, { objectEncoding: 3 });
+    var stream = new amf.EncodeStream({ objectEncoding: 3, chunkSize: 1024 });
+    stream.end(rows);
+    setImmediate(function () {
+      assert(stream.readableLength < stream.readableHighWaterMark + 2 * 1024, stream.readableLength);
+      drain(stream, function (err, chunks) {
+        if (err) return done(err);
+        assert.deepEqual(encoded, Buffer.concat(chunks));
+        done();
+      });
+    });
+  });
+
+  it('should write the same bytes as `encode()` when read a little at a time', function (done) {
+    var list = [];
+    for (var i = 0; i < 300; i++) list.push({ id: i, label: 'row ' + i });
+    var dictionary = new Map();
+    list.slice(0, 100).forEach(function (row) { dictionary.set(row, [ row.label ]); });
+    var values = [
+      { list: list, again: list, pairs: dictionary, ints: amf.createAmf3Vector(list.map(function (row) { return row.id; }), 'int') },
+      [ list, { list: list } ],
+      amf.createAmf3Vector(list, 'Row')
+    ];
+    var options = { objectEncoding: 3, resetReferences: 'never' };
+    var stream = new amf.EncodeStream(Object.assign({ chunkSize: 256 }, options));
+    var encoder = new amf.AMF3Encoder();
+    values.forEach(function (value) { encoder.encodeValue(value); });
+    var expected = encoder.finish();
+    var chunks = [];
+    stream.on('readable', function () {
+      var chunk;
+      while ((chunk = stream.read(100)) !== null) chunks.push(chunk);
+    });
+    stream.on('error', done);
+    stream.on('end', function () {
+      assert.deepEqual(expected, Buffer.concat(chunks));
+      done();
+    });
+    values.forEach(function (value) { stream.write(value); });
+    stream.end();
+  });
+
+  it('should stop in the middle of remoting packets too', function (done) {
+    var rows = [];
+    for (var i = 0; i < 2000; i++) rows.push({ id: i, name: 'member ' + i });
+    var args = rows.slice(0, 1000);
+    Object.defineProperty(args, '__strict__', { value: true });
+    var packet = {
+      version: 3,
+      headers: [ { name: 'rows', value: rows } ],
+      messages: [
+        { targetUri: 'a', responseUri: '/1', body: rows, objectEncoding: 3 },
+        { targetUri: 'b', responseUri: '/2', body: rows },
+        { targetUri: 'c', responseUri: '/3', body: args, objectEncoding: 3 }
+      ]
+    };
+    var stream = new amf.EncodeStream({ remoting: true, chunkSize: 512 });
+    stream.end(packet);
+    setImmediate(function () {
+      assert(stream.readableLength < stream.readableHighWaterMark + 2 * 512, stream.readableLength);
+      drain(stream, function (err, chunks) {
+        if (err) return done(err);
+        var expected = amf.remoting.encodePacket(packet, { unknownLength: true });
+        assert.deepEqual(expected, Buffer.concat(chunks));
+        done();
+      });
+    });
+  });
+
+  it('should share AMF3 references with `resetReferences: "never"`', function (done) {
+    var stream = new amf.EncodeStream({ objectEncoding: 3, resetReferences: 'never' });
+    var decoder = new amf.DecodeStream({ objectEncoding: 3, resetReferences: 'never' });
+    var values = [];
+    decoder.on('data', function (record) { values.push(record.value); });
+    decoder.on('error', done);
+    decoder.on('end', function () {
+      assert.deepEqual([ 'kakashi', 'kakashi' ], values);
+      done();
+    });
+    stream.pipe(decoder);
+    stream.write('kakashi');
+    stream.end('kakashi');
+  });
+
+  it('should write remoting packets with `remoting: true`', function (done) {
+    var packet = {
+      version: 3,
+      headers: [ { name: 'token', value: 'abc' } ],
+      messages: [ { targetUri: '/1/onResult', responseUri: '', body: { ok: true }, objectEncoding: 3 } ]
+    };
+    var stream = new amf.EncodeStream({ remoting: true });
+    drain(stream, function (err, chunks) {
+      if (err) return done(err);
+      var decoded = amf.remoting.decodePacket(Buffer.concat(chunks));
+      assert.equal('abc', decoded.headers[0].value);
+      assert.equal(-1, decoded.messages[0].length);
+      assert.equal(3, decoded.messages[0].objectEncoding);
+      assert.deepEqual({ ok: true }, decoded.messages[0].body);
+      done();
+    });
+    stream.end(packet);
+  });
+
+  it('should emit an AMFEncodeError for values it cannot encode', function (done) {
+    var stream = new amf.EncodeStream();
+    stream.on('data', function () {});
+    stream.on('error', function (err) {
+      assert(err instanceof amf.AMFEncodeError);
+      assert.equal(2, err.offset);
+      done();
+    });
+    stream.write(true);
+    stream.write(Symbol('nope'));
+  });
+
+});
@@ -0,0 +1,167 @@
+
+/**
+ * Module dependencies.
+ */
+
+var fs = require('fs');
+var amf = require('../');
+var path = require('path');
+var assert = require('assert');
+
+function roundTrip (data, options) {
+  var json = amf.toTypedJSON(data, options);
+  assert.deepEqual(data, amf.fromTypedJSON(json));
+  return JSON.parse(json);
+}
+
+describe('typed JSON', function () {
+
+  describe('fixtures', function () {
+    fs.readdirSync(path.resolve(__dirname, 'fixtures')).filter(function (name) {
+      return /^amf0-.*\.bin$/.test(name);
+    }).forEach(function (name) {
+      it('should give back the bytes of "' + name + '"', function () {
+        roundTrip(fs.readFileSync(path.resolve(__dirname, 'fixtures', name)));
+      });
+    });
+  });
+
+  it('should keep what `JSON.stringify()` loses', function () {
+    var shared = { id: 1 };
+    var value = {
+      typed: { __className__: 'com.ninjasaga.Character', level: 5, hp: amf.double(100) },
+      date: new Date(1500000000000),
+      bytes: amf.createAmf3ByteArray(Buffer.from('hi')),
+      xml: amf.createAmf3XML('<a/>'),
+      nothing: undefined,
+      a: shared,
+      b: shared,
+      special: [ NaN, -0, Infinity ]
+    };
+
+    [0, 3].forEach(function (objectEncoding) {
+      roundTrip(amf.encode(value, { objectEncoding: objectEncoding }), { objectEncoding: objectEncoding });
+    });
+
+    var doc = roundTrip(amf.encode(value, { objectEncoding: 3 }), { objectEncoding: 3 });
+    var members = {};
+    doc.value.members.forEach(function (member) { members[member[0]] = member[1]; });
+    assert.equal('com.ninjasaga.Character', members.typed.className);
+    assert.deepEqual([ 'level', { type: 'int', value: 5 } ], members.typed.sealed[0]);
+    assert.deepEqual([ 'hp', { type: 'double', value: 100 } ], members.typed.sealed[1]);
+    assert.deepEqual({ type: 'date', value: '2017-07-14T02:40:00.000Z' }, members.date);
+    assert.deepEqual({ type: 'bytearray', value: '6869' }, members.bytes);
+    assert.deepEqual({ type: 'xml', value: '<a/>' }, members.xml);
+    assert.deepEqual({ type: 'undefined' }, members.nothing);
+    assert.deepEqual({ type: 'object', ref: 5 }, members.b);
+    assert.deepEqual([ 'NaN', '-0', 'Infinity' ], members.special.items.map(function (item) {
+      return item.value;
+    }));
+  });
+
+  it('should cover Vectors, Dictionaries and Flex collections', function () {
+    var item = { id: 1 };
+    var value = {
+      ints: amf.createAmf3Vector([ 1, -2 ], 'int', true),
+      doubles: amf.createAmf3Vector([ 0.5 ], 'Number'),
+      items: amf.createAmf3Vector([ item, item ], 'com.Item'),
+      dictionary: amf.createAmf3Dictionary([ [ item, 'a' ], [ 2, 'b' ] ], true),
+      list: amf.createArrayCollection([ 'x', 'x' ])
+    };
+    var doc = roundTrip(amf.encode(value, { objectEncoding: 3 }), { objectEncoding: 3 });
+    var list = doc.value.members[4][1];
+    assert.equal('flex.messaging.io.ArrayCollection', list.className);
+    assert.equal('array', list.external[0].type);
+  });
+
+  it('should mark strings and traits that were not referenced the usual way', function () {
+    // [ "ab", "ab" (inline again), "ab" (reference to the second copy) ]
+    var strings = new Buffer('09070106056162060561620602', 'hex');
+    var doc = roundTrip(strings, { objectEncoding: 3 });
+    assert.deepEqual([
+      { type: 'string', value: 'ab' },
+      { type: 'string', value: 'ab', inline: true },
+      { type: 'string', value: 'ab', ref: 1 }
+    ], doc.value.items);
+
+    // two anonymous objects, both with inline traits
+    var traits = new Buffer('0905010a0b01010a0b0101', 'hex');
+    doc = roundTrip(traits, { objectEncoding: 3 });
+    assert.strictEqual(true, doc.value.items[1].inlineTraits);
+  });
+
+  it('should handle remoting packets', function () {
+    var packet = amf.remoting.encodePacket({
+      version: 3,
+      headers: [ { name: 'sessionId', mustUnderstand: true, value: 'abc' } ],
+      messages: [ { targetUri: 'Character.load', responseUri: '/1', body: [ { id: 1 } ], objectEncoding: 3 } ]
+    });
+    var doc = roundTrip(packet, { remoting: true });
+    assert.equal('Character.load', doc.remoting.messages[0].targetUri);
+    assert.equal('avmplus', doc.remoting.messages[0].body.type);
+
+    var streamed = amf.remoting.encodePacket({ messages: [ { body: 1 } ] });
+    streamed.writeInt32BE(-1, 10);
+    assert.strictEqual(true, roundTrip(streamed, { remoting: true }).remoting.messages[0].unknownLength);
+  });
+
+  it('should keep body lengths that do not match their value, like `decodePacket()`', function () {
+    var packet = amf.remoting.encodePacket({ messages: [
+      { targetUri: 'a', responseUri: '/1', body: 1 },
+      { targetUri: 'b', responseUri: '/2', body: 2 }
+    ] });
+    // negative but not -1, then three bytes past the second number
+    packet.writeInt32BE(-2, 13);
+    packet.writeInt32BE(12, 33);
+    packet = Buffer.concat([ packet, Buffer.from('abcdef', 'hex') ]);
+
+    var messages = roundTrip(packet, { remoting: true }).remoting.messages;
+    assert.strictEqual(-2, messages[0].length);
+    assert.strictEqual(12, messages[1].length);
+    assert.strictEqual('abcdef', messages[1].skipped);
+    assert.deepEqual([ 1, 2 ], amf.remoting.decodePacket(packet).messages.map(function (message) {
+      return message.body;
+    }));
+  });
+
+  it('should keep several values back to back', function () {
+    var data = Buffer.concat([ amf.encode('a'), amf.encode(1) ]);
+    assert.equal(2, roundTrip(data).values.length);
+  });
+
+  it('should encode hand-written documents', function () {
+    var data = amf.fromTypedJSON(JSON.stringify({
+      amf: 3,
+      value: {
+        type: 'object',
+        className: 'com.ninjasaga.LoginRequest',
+        sealed: [
+          [ 'accountId', { type: 'string', value: 'x' } ],
+          [ 'level', { type: 'double', value: 5 } ],
+          [ 'since', { type: 'date', value: '2020-01-01T00:00:00.000Z' } ]
+        ]
+      }
+    }));
+    var value = amf.decode(data, { objectEncoding: 3, preserveNumberTypes: true });
+    assert.equal('com.ninjasaga.LoginRequest', value.__className__);
+    assert.equal('Number', value.level.type);
+    assert.equal(Date.UTC(2020, 0, 1), value.since.getTime());
+  });
+
+  it('should report bad documents with their path', function () {
+    assert.throws(function () {
+      amf.fromTypedJSON({ amf: 0, value: { type: 'object', members: [ [ 'a', { type: 'nope' } ] ] } });
+    }, function (err) {
+      return err instanceof amf.AMFEncodeError && err.path === 'a' && /Unknown AMF0 node type "nope"/.test(err.message);
+    });
+  });
+
+  it('should throw an AMFDecodeError for malformed input', function () {
+    assert.throws(function () {
+      amf.toTypedJSON(new Buffer([ 0x03, 0x00, 0x01, 0x61, 0x02, 0x00 ]));
+    }, function (err) {
+      return err instanceof amf.AMFDecodeError && err.truncated && err.path === 'a';
+    });
+  });
+
+});
@@ -79,4 +79,205 @@ describe('write()', function () {
     assert.deepEqual(data, buf);
   });
 
+  it('should write a "strict array"', function () {
+    var data = fs.readFileSync(path.resolve(__dirname, 'fixtures', 'amf0-strict-array.bin'));
+    var buf = new Buffer(data.length);
+
+    var array = ['a', 'b', 'c', 'd'];
+    amf.write(buf, array, { type: amf.amf0Types.kStrictArrayType });
+    assert.deepEqual(data, buf);
+  });
+
+  it('should refuse to write the AMF0-only markers in AMF3', function () {
+    [
+      function () { amf.encode(amf.UNSUPPORTED, { objectEncoding: 3 }); },
+      function () { amf.encode([ amf.RECORDSET ], { objectEncoding: 3 }); },
+      function () { amf.encode({ clip: amf.createAmf3Object({ a: amf.MOVIECLIP }) }); }
+    ].forEach(function (fn, i) {
+      assert.throws(fn, function (err) {
+        assert(err instanceof amf.AMFEncodeError);
+        assert.strictEqual(3, err.version);
+        assert.strictEqual([ '', '[0]', 'clip.a' ][i], err.path);
+        return true;
+      });
+    });
+  });
+
+  it('should write a decoded "strict array" back as a "strict array"', function () {
+    var data = fs.readFileSync(path.resolve(__dirname, 'fixtures', 'amf0-strict-array.bin'));
+    var buf = new Buffer(data.length);
+
+    amf.write(buf, amf.read(data, 0), 0);
+    assert.deepEqual(data, buf);
+  });
+
+  it('should write a Date value', function () {
+    var buf = new Buffer(11);
+    amf.write(buf, new Date(1590796800000), 0);
+    assert.equal(amf.amf0Types.kDateType, buf[0]);
+    assert.equal(1590796800000, buf.readDoubleBE(1));
+    assert.equal(0, buf.readInt16BE(9));
+  });
+
+  it('should write a decoded Date value with its timezone', function () {
+    var data = fs.readFileSync(path.resolve(__dirname, 'fixtures', 'amf0-date.bin'));
+    var buf = new Buffer(data.length);
+
+    amf.write(buf, amf.read(data, 0), 0);
+    assert.deepEqual(data, buf);
+  });
+
+  it('should write an "untyped object"', function () {
+    var data = fs.readFileSync(path.resolve(__dirname, 'fixtures', 'amf0-untyped-object.bin'));
+    var buf = new Buffer(data.length);
+
+    amf.write(buf, { baz: null, foo: 'bar' }, 0);
+    assert.deepEqual(data, buf);
+  });
+
+  it('should write a "typed object"', function () {
+    var data = fs.readFileSync(path.resolve(__dirname, 'fixtures', 'amf0-typed-object.bin'));
+    var buf = new Buffer(data.length);
+
+    amf.write(buf, { baz: null, foo: 'bar', __className__: 'org.amf.ASClass' }, 0);
+    assert.deepEqual(data, buf);
+  });
+
+  it('should start every AVM+ member with empty AMF3 reference tables, like read()', function () {
+    var value = {
+      a: amf.createAmf3Object({ s: 'hello' }),
+      b: amf.createAmf3Object({ s: 'hello' })
+    };
+    var data = amf.encode(value);
+    assert.equal(2, data.toString('hex').split('0a0b010373060b68656c6c6f01').length - 1);
+    assert.deepEqual({ a: { s: 'hello' }, b: { s: 'hello' } }, amf.decode(data));
+  });
+
+  it('should write a "long string" when the String exceeds 65535 bytes', function () {
+    var str = new Array(0x10001).join('x');
+    var buf = new Buffer(5 + str.length);
+
+    var bytes = amf.write(buf, str, 0);
+    assert.equal(buf.length, bytes);
+    assert.equal(amf.amf0Types.kLongStringType, buf[0]);
+    assert.equal(str.length, buf.readUInt32BE(1));
+    assert.equal(str, amf.read(buf, 0));
+  });
+
+  it('should refuse to write an Object key longer than 65535 bytes', function () {
+    var obj = {};
+    obj[new Array(0x10001).join('x')] = 1;
+
+    assert.throws(function () {
+      amf.write(new Buffer(0x20000), obj, 0);
+    }, function (err) {
+      return err instanceof amf.AMFEncodeError && err.cause instanceof RangeError;
+    });
+  });
+
+  it('should write an "XML document"', function () {
+    var xml = '<a b="c"/>';
+    var data = Buffer.concat([ new Buffer([ 0x0F, 0, 0, 0, xml.length ]), new Buffer(xml) ]);
+    var buf = new Buffer(data.length);
+
+    amf.write(buf, amf.read(data, 0), 0);
+    assert.deepEqual(data, buf);
+  });
+
+  it('should write the "unsupported", "recordset" and "movieclip" markers', function () {
+    var data = new Buffer([ 0x0A, 0, 0, 0, 3, 0x0D, 0x0E, 0x04 ]);
+    var buf = new Buffer(data.length);
+
+    var array = [ amf.UNSUPPORTED, amf.RECORDSET, amf.MOVIECLIP ];
+    amf.write(buf, array, { type: amf.amf0Types.kStrictArrayType });
+    assert.deepEqual(data, buf);
+  });
+
+  it('should refuse to write the AMF0-only markers in AMF3', function () {
+    [
+      function () { amf.encode(amf.UNSUPPORTED, { objectEncoding: 3 }); },
+      function () { amf.encode([ amf.RECORDSET ], { objectEncoding: 3 }); },
+      function () { amf.encode({ clip: amf.createAmf3Object({ a: amf.MOVIECLIP }) }); }
+    ].forEach(function (fn, i) {
+      assert.throws(fn, function (err) {
+        assert(err instanceof amf.AMFEncodeError);
+        assert.strictEqual(3, err.version);
+        assert.strictEqual([ '', '[0]', 'clip.a' ][i], err.path);
+        return true;
+      });
+    });
+  });
+
+  describe('growable output', function () {
+
+    it('should append to an `amf.Writer` without a size hint', function () {
+      var out = new amf.Writer(4);
+      var info = { offset: 0 };
+      amf.write(out, 'hello', info);
+      amf.write(out, 3, info);
+
+      assert.equal(info.offset, out.length);
+      assert.equal(out.length, 8 + 9);
+      info = { offset: 0 };
+      assert.equal('hello', amf.read(out.toBuffer(), info));
+      assert.equal(3, amf.read(out.toBuffer(), info));
+    });
+
+    it('should return an exactly-sized Buffer from `encode()` for large payloads', function () {
+      this.timeout(10000);
+      var rows = [];
+      for (var i = 0; i < 5000; i++) {
+        rows.push({ id: i, name: 'row-' + i, tags: [ 'a', 'b' ] });
+      }
+      [0, 3].forEach(function (objectEncoding) {
+        var buf = amf.encode(rows, { objectEncoding: objectEncoding });
+        var info = { offset: 0, version: objectEncoding };
+        var decoded = amf.read(buf, info);
+        assert.equal(info.offset, buf.length);
+        assert.equal(decoded.length, rows.length);
+        assert.equal(decoded[4999].name, 'row-4999');
+      });
+    });
+
+    it('should not scan the reference tables for every value', function () {
+      // scanning the tables for every value makes this take tens of seconds
+      this.timeout(10000);
+      var rows = [];
+      for (var i = 0; i < 50000; i++) rows.push({ name: 'ninja-' + i });
+      rows.push(rows[0], rows[49999].name);
+      [0, 3].forEach(function (objectEncoding) {
+        var decoded = amf.decode(amf.encode(rows, { objectEncoding: objectEncoding }), { objectEncoding: objectEncoding });
+        assert.strictEqual(decoded[0], decoded[50000]);
+        assert.strictEqual('ninja-49999', decoded[50001]);
+      });
+    });
+
+    it('should throw a RangeError when a caller-supplied Buffer is too small', function () {
+      assert.throws(function () {
+        amf.write(new Buffer(4), 'hello', 0);
+      }, RangeError);
+    });
+
+  });
+
+  describe('FLV metadata', function () {
+
+    ['amf0-flv-metadata.bin', 'amf0-flv-metadata-2.bin'].forEach(function (name) {
+      it('should round-trip "' + name + '" byte-for-byte', function () {
+        var data = fs.readFileSync(path.resolve(__dirname, 'fixtures', name));
+        var info = { offset: 0 };
+        var event = amf.read(data, info);
+        var metadata = amf.read(data, info);
+
+        var buf = new Buffer(data.length);
+        info = { offset: 0 };
+        amf.write(buf, event, info);
+        amf.write(buf, metadata, info);
+        assert.equal(info.offset, data.length);
+        assert.deepEqual(data, buf);
+      });
+    });
+
+  });
+
 });